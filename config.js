@@ -27,6 +27,49 @@ module.exports = {
     sessionSecret: process.env.SESSION_SECRET || 'your-secret-key-change-this-in-production'
   },
   
+  // pump.fun chat connection
+  // Point PUMP_CHAT_URL at the local emulator (npm run chat:emulator) to work offline
+  pumpChat: {
+    url: process.env.PUMP_CHAT_URL || 'wss://livechat.pump.fun/socket.io/?EIO=4&transport=websocket',
+    origin: process.env.PUMP_CHAT_ORIGIN || 'https://pump.fun'
+  },
+  
+  // Solana RPC endpoints used by WalletMonitor, picked by health score (see RpcEndpointPool)
+  // SOLANA_RPC_URLS is a comma-separated list; point it at the local stub
+  // (npm run solana:stub) to test donation detection offline
+  solana: {
+    rpcUrls: (process.env.SOLANA_RPC_URLS || process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean),
+    commitment: process.env.SOLANA_COMMITMENT || 'confirmed',
+    // 'subscribe' gets new transactions pushed over the RPC websocket (logsSubscribe) and
+    // polls only while the socket is down; 'poll' always polls
+    detectionMode: process.env.SOLANA_DETECTION_MODE || 'subscribe',
+    wsUrl: process.env.SOLANA_WS_URL || null, // Defaults to the active RPC URL with ws:// or wss://
+    // Request budget per endpoint, shared by every monitored wallet
+    rateLimit: {
+      requestsPerSecond: parseFloat(process.env.SOLANA_RPC_RPS) || 4,
+      burst: parseInt(process.env.SOLANA_RPC_BURST) || 8
+    }
+  },
+  
+  // TTS synthesis configuration
+  // engine: 'espeak' (default), 'piper', or 'browser' to leave speech to the browser source
+  tts: {
+    engine: process.env.TTS_ENGINE || 'espeak',
+    audioDir: process.env.TTS_AUDIO_DIR || './data/tts-audio',
+    maxFilesPerStreamer: parseInt(process.env.TTS_AUDIO_MAX_FILES) || 200,
+    espeak: {
+      binary: process.env.ESPEAK_BINARY || 'espeak-ng'
+    },
+    piper: {
+      binary: process.env.PIPER_BINARY || 'piper',
+      modelDir: process.env.PIPER_MODEL_DIR || './data/piper-models',
+      defaultModel: process.env.PIPER_DEFAULT_MODEL || 'en_US-lessac-medium'
+    }
+  },
+  
   // Admin configuration
   admin: {
     email: process.env.ADMIN_EMAIL || 'admin@pump.fun',
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Local pump.fun chat emulator for offline development
+ *
+ * Usage:
+ *   npm run chat:emulator -- [--port 4100] [--room <token address>] [--script chat.json] [--require-auth]
+ *
+ * Then start the dashboard with:
+ *   PUMP_CHAT_URL=ws://localhost:4100/socket.io/?EIO=4&transport=websocket
+ *
+ * Lines typed into this terminal are posted to the chat as "username: message"
+ * (or just "message" to post as "viewer"). They go to --room, or to every room
+ * a client has joined when no room is given.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const PumpChatEmulator = require('./src/dev/PumpChatEmulator');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--require-auth') {
+      args.requireAuth = true;
+    } else if (arg.startsWith('--')) {
+      args[arg.substring(2)] = argv[++i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const emulator = new PumpChatEmulator({
+    port: parseInt(args.port) || parseInt(process.env.PUMP_CHAT_EMULATOR_PORT) || 4100,
+    requireAuth: args.requireAuth
+  });
+
+  emulator.on('joinRoom', ({ roomId, username }) => {
+    console.log(`👋 ${username} joined ${roomId}`);
+  });
+  emulator.on('sendMessage', (message) => {
+    console.log(`💬 [${message.roomId}] ${message.username}: ${message.message}`);
+  });
+
+  await emulator.start();
+  console.log(`🔗 Set PUMP_CHAT_URL=${emulator.getUrl().replace('127.0.0.1', 'localhost')}\n`);
+
+  if (args.script) {
+    const script = JSON.parse(fs.readFileSync(args.script, 'utf8'));
+    const steps = Array.isArray(script) ? script : script.messages || [];
+    const roomId = args.room || script.roomId;
+
+    // Give the dashboard a moment to join before the script starts
+    emulator.once('joinRoom', async () => {
+      console.log(`▶️ Running ${steps.length} scripted messages from ${args.script}`);
+      await emulator.runScript(steps, { roomId });
+      console.log('⏹️ Script finished');
+    });
+  }
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', (line) => {
+    const text = line.trim();
+    if (!text) return;
+
+    const separator = text.indexOf(': ');
+    const message = separator > 0
+      ? { username: text.substring(0, separator), message: text.substring(separator + 2) }
+      : { username: 'viewer', message: text };
+
+    const rooms = args.room ? [args.room] : emulator.getJoinedRooms();
+    if (rooms.length === 0) {
+      console.log('⚠️ No rooms joined yet - start the dashboard or pass --room');
+      return;
+    }
+    rooms.forEach(roomId => emulator.postMessage(roomId, message));
+  });
+
+  const shutdown = async () => {
+    rl.close();
+    await emulator.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error('❌ Chat emulator failed to start:', error);
+  process.exit(1);
+});
@@ -11,6 +11,8 @@ const flash = require('express-flash');
 const http = require('http');
 const socketIo = require('socket.io');
 require('dotenv').config();
+const config = require('./config');
+const { isValidBrowserSourceKey } = require('./src/utils/browserSource');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -18,7 +20,10 @@ const dashboardRoutes = require('./src/routes/dashboard');
 const ttsRoutes = require('./src/routes/tts');
 const pollRoutes = require('./src/routes/poll');
 const automodRoutes = require('./src/routes/automod');
+const alertRoutes = require('./src/routes/alerts');
+const goalRoutes = require('./src/routes/goals');
 const apiRoutes = require('./src/routes/api');
+const browserSourceRoutes = require('./src/routes/browser-source');
 
 // Import services
 const DatabaseService = require('./src/services/DatabaseService');
@@ -28,6 +33,10 @@ const PollService = require('./src/services/PollService');
 const IntegratedPollService = require('./src/services/IntegratedPollService');
 const AutomodService = require('./src/services/AutomodService');
 const ChatMonitorManager = require('./src/services/ChatMonitorManager');
+const TTSSynthesisService = require('./src/services/TTSSynthesisService');
+const AlertService = require('./src/services/AlertService');
+const GoalService = require('./src/services/GoalService');
+const PollSchedulerService = require('./src/services/PollSchedulerService');
 
 class SendKitApp {
   constructor() {
@@ -48,10 +57,14 @@ class SendKitApp {
     this.databaseService = new DatabaseService();
     this.chatMonitorManager = new ChatMonitorManager();
     this.ttsService = new TTSService();
+    this.ttsSynthesisService = new TTSSynthesisService(config.tts);
     this.integratedTTSService = new IntegratedTTSService();
     this.pollService = new PollService();
     this.integratedPollService = new IntegratedPollService();
     this.automodService = new AutomodService();
+    this.alertService = new AlertService();
+    this.goalService = new GoalService();
+    this.pollSchedulerService = new PollSchedulerService();
     
     this.setupMiddleware();
     this.setupPassport();
@@ -67,9 +80,42 @@ class SendKitApp {
       
       // Initialize other services
       await this.ttsService.initialize();
+      await this.ttsSynthesisService.initialize();
       await this.integratedTTSService.initialize(this.databaseService, this.io);
+      this.integratedTTSService.setSynthesisService(this.ttsSynthesisService);
+      await this.alertService.initialize(this.databaseService, this.io);
+      this.integratedTTSService.on('donation-received', (donation) => {
+        this.alertService.showDonationAlert(donation.streamerId, donation).catch((error) => {
+          console.error(`❌ [ALERTS] Error showing alert for ${donation.streamerId}:`, error);
+        });
+        this.goalService.refreshGoal(donation.streamerId).catch((error) => {
+          console.error(`❌ [GOALS] Error updating goal for ${donation.streamerId}:`, error);
+        });
+        this.integratedPollService.refreshDonationWeights(donation.streamerId).catch((error) => {
+          console.error(`❌ [POLL] Error updating donation-weighted poll for ${donation.streamerId}:`, error);
+        });
+      });
+      this.integratedTTSService.on('credit-announcement', ({ streamerId, message }) => {
+        this.automodService.sendChatMessage(streamerId, message);
+      });
+      await this.goalService.initialize(this.databaseService, this.io);
+      this.goalService.on('goal-completed', ({ streamerId, message }) => {
+        this.automodService.sendChatMessage(streamerId, message);
+      });
       await this.pollService.initialize();
       await this.integratedPollService.initialize();
+      this.integratedPollService.on('poll-ended', ({ streamerId, message }) => {
+        this.automodService.sendChatMessage(streamerId, message);
+      });
+      this.integratedPollService.on('prediction-resolved', ({ streamerId, message }) => {
+        this.automodService.sendChatMessage(streamerId, message);
+      });
+      this.integratedPollService.on('proposal-approved', ({ streamerId, message }) => {
+        this.automodService.sendChatMessage(streamerId, message);
+      });
+      this.integratedPollService.on('chat-message', ({ streamerId, message }) => {
+        this.automodService.sendChatMessage(streamerId, message);
+      });
       await this.automodService.initialize();
       
       // Set up automod service
@@ -78,10 +124,17 @@ class SendKitApp {
       
       // Set Socket.IO instance for IntegratedPollService
       this.integratedPollService.setSocketIO(this.io);
+      this.integratedPollService.setRpcPool(this.integratedTTSService.getWalletMonitor().rpcPool);
       
       // Load existing streamers and start their poll bots
       await this.integratedPollService.setDatabaseServiceAndLoadStreamers(this.databaseService, this.chatMonitorManager);
       
+      // Templates, queued polls and scheduled polls start through the poll bots
+      await this.pollSchedulerService.initialize(this.databaseService, this.integratedPollService);
+      this.pollSchedulerService.on('poll-started', ({ streamerId, message }) => {
+        this.automodService.sendChatMessage(streamerId, message);
+      });
+      
       // Load existing streamers and start their TTS services
       await this.integratedTTSService.setDatabaseServiceAndLoadStreamers(this.databaseService, this.chatMonitorManager);
       
@@ -127,7 +180,7 @@ class SendKitApp {
 
     // Session configuration
     this.app.use(session({
-      secret: process.env.SESSION_SECRET || 'your-secret-key',
+      secret: config.server.sessionSecret,
       resave: false,
       saveUninitialized: false,
       cookie: {
@@ -148,6 +201,9 @@ class SendKitApp {
     this.app.use('/css', express.static(path.join(__dirname, 'public/css')));
     this.app.use('/js', express.static(path.join(__dirname, 'public/js')));
     this.app.use('/images', express.static(path.join(__dirname, 'public/images')));
+    
+    // Synthesized TTS audio (played by browser sources)
+    this.app.use(this.ttsSynthesisService.publicPath, express.static(this.ttsSynthesisService.audioDir));
 
     // View engine
     this.app.set('view engine', 'ejs');
@@ -162,6 +218,9 @@ class SendKitApp {
       req.pollService = this.pollService;
       req.integratedPollService = this.integratedPollService;
       req.automodService = this.automodService;
+      req.alertService = this.alertService;
+      req.goalService = this.goalService;
+      req.pollSchedulerService = this.pollSchedulerService;
       req.io = this.io;
       next();
     });
@@ -242,12 +301,16 @@ class SendKitApp {
     this.app.use('/poll', this.requireAuth, pollRoutes);
     this.app.use('/integrated-poll', this.requireAuth, require('./src/routes/integrated-poll'));
     this.app.use('/automod', this.requireAuth, automodRoutes);
+    this.app.use('/alerts', this.requireAuth, alertRoutes);
+    this.app.use('/goals', this.requireAuth, goalRoutes);
+    this.app.use('/api/browser-source', browserSourceRoutes);
     this.app.use('/api', this.requireAuth, apiRoutes);
 
     // Browser source routes (public)
     this.app.get('/browser-source/tts/:streamerId', (req, res) => {
       res.render('browser-sources/tts', { 
         streamerId: req.params.streamerId,
+        sourceKey: typeof req.query.key === 'string' ? req.query.key : '',
         title: 'TTS Browser Source'
       });
     });
@@ -259,6 +322,20 @@ class SendKitApp {
       });
     });
 
+    this.app.get('/browser-source/alerts/:streamerId', (req, res) => {
+      res.render('browser-sources/alerts', { 
+        streamerId: req.params.streamerId,
+        title: 'Alerts Browser Source'
+      });
+    });
+
+    this.app.get('/browser-source/goal/:streamerId', (req, res) => {
+      res.render('browser-sources/goal', { 
+        streamerId: req.params.streamerId,
+        title: 'Goal Browser Source'
+      });
+    });
+
     // 404 handler
     this.app.use((req, res) => {
       res.status(404).render('error', { 
@@ -315,6 +392,26 @@ class SendKitApp {
         }
       });
 
+      // A TTS browser source proves it's the streamer's own with the key from its URL
+      socket.on('register-tts-source', (data) => {
+        if (!data || !data.streamerId) return;
+        if (!isValidBrowserSourceKey(String(data.streamerId), data.key)) {
+          console.log(`❌ Client ${socket.id} sent a bad TTS source key for streamer ${data.streamerId}`);
+          return;
+        }
+        socket.data.ttsSourceFor = String(data.streamerId);
+        console.log(`🎤 Client ${socket.id} registered as TTS source for streamer ${data.streamerId}`);
+      });
+
+      // Playback acknowledgements, only from the streamer's registered TTS browser source
+      ['started', 'ended', 'error'].forEach((event) => {
+        socket.on(`tts-playback-${event}`, (data) => {
+          if (!data || !data.streamerId || !data.id) return;
+          if (socket.data.ttsSourceFor !== String(data.streamerId)) return;
+          this.integratedTTSService.handlePlaybackEvent(data.streamerId, event, data);
+        });
+      });
+
       socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id);
       });
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Local Solana JSON-RPC stub for testing donation detection offline
+ *
+ * Usage:
+ *   npm run solana:stub -- [--port 8899] [--fixtures src/dev/fixtures/solana]
+ *   npm run solana:stub -- record <signature> [--rpc https://api.mainnet-beta.solana.com] [--name my-fixture]
+ *
+ * Then start the dashboard with:
+ *   SOLANA_RPC_URLS=http://localhost:8899
+ *
+ * Commands typed into this terminal:
+ *   list                              show loaded fixtures
+ *   replay <fixture>                  land a fixture as a fresh transaction
+ *   fail <method|*> <type> [count]    queue failures (rate_limit, storage, server_error, rpc_error, not_found)
+ *   clear                             drop queued failures
+ *   drop                              close websocket subscriptions (tests the polling fallback)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const axios = require('axios');
+const SolanaRpcStub = require('./src/dev/SolanaRpcStub');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'src', 'dev', 'fixtures', 'solana');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].substring(2)] = argv[++i];
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+// Save a real transaction from an upstream node as a fixture
+async function record(signature, args) {
+  const rpcUrl = args.rpc || process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+  const response = await axios.post(rpcUrl, {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'getTransaction',
+    params: [signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 }]
+  });
+
+  if (response.data.error || !response.data.result) {
+    throw new Error(`Could not fetch ${signature}: ${JSON.stringify(response.data.error || 'not found')}`);
+  }
+
+  const fixturesDir = args.fixtures || DEFAULT_FIXTURES_DIR;
+  const filePath = path.join(fixturesDir, `${args.name || signature.substring(0, 16)}.json`);
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(response.data.result, null, 2) + '\n');
+  console.log(`💾 Recorded ${signature} to ${filePath}`);
+}
+
+async function serve(args) {
+  const stub = new SolanaRpcStub({
+    port: parseInt(args.port) || 8899,
+    fixturesDir: args.fixtures || DEFAULT_FIXTURES_DIR
+  });
+
+  stub.on('request', ({ method, failure }) => {
+    console.log(`📨 ${method}${failure ? ` -> injected ${failure}` : ''}`);
+  });
+
+  await stub.start();
+  console.log(`🔗 Set SOLANA_RPC_URLS=${stub.getUrl().replace('127.0.0.1', 'localhost')}\n`);
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', (line) => {
+    const [command, ...rest] = line.trim().split(/\s+/);
+    try {
+      switch (command) {
+        case 'list':
+          console.log(Array.from(stub.fixtures.keys()).join('\n'));
+          break;
+        case 'replay':
+          console.log(`✅ Landed ${stub.replay(rest[0])}`);
+          break;
+        case 'fail':
+          stub.injectFailure(rest[0], rest[1], parseInt(rest[2]) || 1);
+          console.log(`💥 Next ${parseInt(rest[2]) || 1} ${rest[0]} call(s) will fail with ${rest[1]}`);
+          break;
+        case 'clear':
+          stub.clearFailures();
+          console.log('🧹 Cleared injected failures');
+          break;
+        case 'drop':
+          stub.dropSockets();
+          console.log('🔌 Dropped websocket connections');
+          break;
+        case '':
+        case undefined:
+          break;
+        default:
+          console.log(`⚠️ Unknown command: ${command}`);
+      }
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+    }
+  });
+
+  const shutdown = async () => {
+    rl.close();
+    await stub.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const run = args._[0] === 'record' ? record(args._[1], args) : serve(args);
+
+run.catch((error) => {
+  console.error('❌ Solana RPC stub failed:', error.message);
+  process.exit(1);
+});
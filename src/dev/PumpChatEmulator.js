@@ -0,0 +1,306 @@
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+
+// Local stand-in for livechat.pump.fun. Speaks the same Engine.IO v4 / socket.io
+// text framing PumpChatClient uses (0 open, 40 connect, 42N request, 43N ack,
+// 42 event, 2/3 ping-pong) so TTS, polls and automod can be exercised offline.
+//
+// Point the app at it with PUMP_CHAT_URL=ws://localhost:<port>/socket.io/?EIO=4&transport=websocket
+class PumpChatEmulator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.port = options.port !== undefined ? options.port : 4100;
+    this.host = options.host || '127.0.0.1';
+    this.pingInterval = options.pingInterval || 25000;
+    this.historyLimit = options.historyLimit || 200;
+    this.requireAuth = !!options.requireAuth; // Reject sendMessage without an auth_token cookie, like pump.fun
+    this.server = null;
+    this.wss = null;
+    this.clients = new Set(); // { socket, sid, rooms, username, authenticated, pingTimer }
+    this.rooms = new Map(); // roomId -> array of messages (oldest first)
+    this.scriptTimers = new Set();
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+      });
+
+      this.wss = new WebSocketServer({ server: this.server, path: '/socket.io/' });
+      this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        console.log(`🧪 [CHAT EMULATOR] Listening on ${this.getUrl()}`);
+        this.emit('listening', this.port);
+        resolve(this);
+      });
+    });
+  }
+
+  async stop() {
+    for (const timer of this.scriptTimers) {
+      clearTimeout(timer);
+    }
+    this.scriptTimers.clear();
+
+    for (const client of this.clients) {
+      clearInterval(client.pingTimer);
+      client.socket.close(1001, 'Emulator stopped');
+    }
+    this.clients.clear();
+
+    if (this.wss) {
+      await new Promise(resolve => this.wss.close(resolve));
+      this.wss = null;
+    }
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    console.log('🧪 [CHAT EMULATOR] Stopped');
+  }
+
+  // WebSocket URL to give PumpChatClient (PUMP_CHAT_URL)
+  getUrl() {
+    return `ws://${this.host}:${this.port}/socket.io/?EIO=4&transport=websocket`;
+  }
+
+  handleConnection(socket, req) {
+    const cookies = req.headers.cookie || '';
+    const client = {
+      socket,
+      sid: crypto.randomBytes(10).toString('base64url'),
+      rooms: new Set(),
+      username: null,
+      authenticated: /(^|;\s*)auth_token=[^;]+/.test(cookies),
+      origin: req.headers.origin || null,
+      pingTimer: null
+    };
+    this.clients.add(client);
+
+    socket.on('message', (data) => this.handleFrame(client, data.toString()));
+    socket.on('close', () => {
+      clearInterval(client.pingTimer);
+      this.clients.delete(client);
+      for (const roomId of client.rooms) {
+        this.broadcast(roomId, 'userLeft', { roomId, username: client.username });
+      }
+      this.emit('disconnect', { sid: client.sid, rooms: Array.from(client.rooms) });
+    });
+
+    // Engine.IO open packet
+    this.send(client, '0' + JSON.stringify({
+      sid: client.sid,
+      upgrades: [],
+      pingInterval: this.pingInterval,
+      pingTimeout: 20000,
+      maxPayload: 1000000
+    }));
+
+    client.pingTimer = setInterval(() => this.send(client, '2'), this.pingInterval);
+    this.emit('connection', { sid: client.sid, origin: client.origin, authenticated: client.authenticated });
+  }
+
+  handleFrame(client, frame) {
+    if (frame === '2') {
+      this.send(client, '3');
+      return;
+    }
+    if (frame === '3') return;
+
+    if (frame.startsWith('40')) {
+      this.send(client, '40' + JSON.stringify({ sid: client.sid }));
+      return;
+    }
+
+    // 42["event",payload] or 42N["event",payload] where N is the ack id
+    const match = /^42(\d*)(\[.*)$/s.exec(frame);
+    if (!match) {
+      console.log(`🧪 [CHAT EMULATOR] Ignoring unknown frame: ${frame.substring(0, 80)}`);
+      return;
+    }
+
+    let eventName;
+    let payload;
+    try {
+      [eventName, payload] = JSON.parse(match[2]);
+    } catch (error) {
+      console.log(`🧪 [CHAT EMULATOR] Malformed event frame: ${frame.substring(0, 80)}`);
+      return;
+    }
+
+    const ackId = match[1];
+    const reply = (data) => {
+      if (ackId !== '') {
+        this.send(client, `43${ackId}` + JSON.stringify([data]));
+      }
+    };
+
+    switch (eventName) {
+      case 'joinRoom':
+        this.handleJoinRoom(client, payload || {}, reply);
+        break;
+      case 'getMessageHistory':
+        this.handleGetMessageHistory(payload || {}, reply);
+        break;
+      case 'sendMessage':
+        this.handleSendMessage(client, payload || {}, reply);
+        break;
+      default:
+        reply({ error: `Unknown event: ${eventName}` });
+    }
+  }
+
+  handleJoinRoom(client, { roomId, username }, reply) {
+    if (!roomId) {
+      reply({ error: 'roomId is required' });
+      return;
+    }
+
+    client.rooms.add(roomId);
+    client.username = username || client.username || 'anonymous';
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, []);
+    }
+
+    console.log(`🧪 [CHAT EMULATOR] ${client.username} joined ${roomId}`);
+    this.emit('joinRoom', { roomId, username: client.username, sid: client.sid });
+    reply({ authenticated: client.authenticated, isCreator: false, isModerator: false });
+  }
+
+  handleGetMessageHistory({ roomId, before, limit }, reply) {
+    let messages = this.rooms.get(roomId) || [];
+    if (before) {
+      const beforeTime = new Date(before).getTime();
+      messages = messages.filter(message => new Date(message.timestamp).getTime() < beforeTime);
+    }
+    reply(messages.slice(-(parseInt(limit) || 100)));
+  }
+
+  handleSendMessage(client, { roomId, message, username }, reply) {
+    if (this.requireAuth && !client.authenticated) {
+      reply({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+      return;
+    }
+    if (!roomId || !client.rooms.has(roomId)) {
+      reply({ error: 'Not in room' });
+      return;
+    }
+
+    const posted = this.postMessage(roomId, {
+      username: username || client.username,
+      message
+    });
+    this.emit('sendMessage', { ...posted, sid: client.sid });
+    reply(posted);
+  }
+
+  /**
+   * Post a chat message to a room as if a viewer had sent it
+   * @param {string} roomId - Token address of the room
+   * @param {Object} message - { username, userAddress, message, ... } (extra fields are passed through)
+   * @returns {Object} The message as delivered to clients
+   */
+  postMessage(roomId, message = {}) {
+    const username = message.username || 'viewer';
+    const delivered = {
+      ...message,
+      id: message.id || crypto.randomUUID(),
+      roomId,
+      username,
+      userAddress: message.userAddress || this.fakeAddress(username),
+      message: String(message.message || ''),
+      profile_image: message.profile_image || null,
+      timestamp: message.timestamp || new Date().toISOString(),
+      messageType: message.messageType || 'REGULAR'
+    };
+
+    const history = this.rooms.get(roomId) || [];
+    history.push(delivered);
+    if (history.length > this.historyLimit) {
+      history.shift();
+    }
+    this.rooms.set(roomId, history);
+
+    this.broadcast(roomId, 'newMessage', delivered);
+    return delivered;
+  }
+
+  /**
+   * Play back a list of scripted messages
+   * @param {Object[]} steps - [{ delay, roomId, username, userAddress, message }] where delay is ms after the previous step
+   * @param {Object} [options]
+   * @param {string} [options.roomId] - Room for steps that don't name one
+   * @returns {Promise<Object[]>} Resolves with the delivered messages once the script finishes
+   */
+  runScript(steps, { roomId } = {}) {
+    return new Promise((resolve) => {
+      const delivered = [];
+      let index = 0;
+
+      const next = () => {
+        if (index >= steps.length) {
+          resolve(delivered);
+          return;
+        }
+
+        const { delay, roomId: stepRoomId, ...message } = steps[index++];
+        const timer = setTimeout(() => {
+          this.scriptTimers.delete(timer);
+          const targetRoom = stepRoomId || roomId;
+          if (targetRoom) {
+            delivered.push(this.postMessage(targetRoom, message));
+          } else {
+            console.log(`🧪 [CHAT EMULATOR] Skipping script step ${index} - no roomId`);
+          }
+          next();
+        }, delay || 0);
+        this.scriptTimers.add(timer);
+      };
+
+      next();
+    });
+  }
+
+  broadcast(roomId, eventName, payload) {
+    const frame = '42' + JSON.stringify([eventName, payload]);
+    for (const client of this.clients) {
+      if (client.rooms.has(roomId)) {
+        this.send(client, frame);
+      }
+    }
+  }
+
+  send(client, frame) {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(frame);
+    }
+  }
+
+  // Stable base58-looking address per username so donor lookups line up across runs
+  fakeAddress(username) {
+    const alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+    const digest = crypto.createHash('sha256').update(username).digest();
+    let address = '';
+    for (let i = 0; i < 44; i++) {
+      address += alphabet[digest[i % digest.length] % alphabet.length];
+    }
+    return address;
+  }
+
+  getJoinedRooms() {
+    const rooms = new Set();
+    for (const client of this.clients) {
+      client.rooms.forEach(roomId => rooms.add(roomId));
+    }
+    return Array.from(rooms);
+  }
+}
+
+module.exports = PumpChatEmulator;
@@ -0,0 +1,498 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+const bs58 = require('bs58').default;
+const { PublicKey } = require('@solana/web3.js');
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+// Local JSON-RPC stand-in for a Solana node, enough for WalletMonitor:
+// getSignaturesForAddress and getTransaction answered from recorded fixtures.
+//
+// Fixtures are getTransaction results (json encoding) saved to disk. They stay
+// hidden until replayed, so a test can start monitoring and then "land" a
+// donation at a known moment. Failures (HTTP 429, -32019 storage errors, ...)
+// can be queued per method to exercise the monitor's fallback paths.
+//
+// The same port accepts websocket connections for logsSubscribe, so landing a
+// fixture pushes a logsNotification; dropSockets() exercises the polling fallback.
+//
+// Point the app at it with SOLANA_RPC_URLS=http://localhost:<port>
+class SolanaRpcStub extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.port = options.port !== undefined ? options.port : 8899;
+    this.host = options.host || '127.0.0.1';
+    this.server = null;
+    this.fixtures = new Map(); // fixture name -> recorded getTransaction result
+    this.transactions = new Map(); // signature -> getTransaction result (landed)
+    this.failures = []; // [{ method, type, remaining }]
+    this.requests = []; // { method, params, failure } for assertions
+    this.wss = null;
+    this.logSubscriptions = new Map(); // subscription id -> { socket, mentions }
+    this.nextSubscriptionId = 1;
+    this.slot = options.startSlot || 300000000;
+
+    if (options.fixturesDir) {
+      this.loadFixtures(options.fixturesDir);
+    }
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.wss = new WebSocketServer({ server: this.server });
+      this.wss.on('connection', (socket) => this.handleSocket(socket));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        console.log(`🧪 [RPC STUB] Listening on ${this.getUrl()} with ${this.fixtures.size} fixtures`);
+        resolve(this);
+      });
+    });
+  }
+
+  stop() {
+    if (this.wss) {
+      this.dropSockets();
+      this.wss.close();
+      this.wss = null;
+    }
+
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => {
+        this.server = null;
+        console.log('🧪 [RPC STUB] Stopped');
+        resolve();
+      });
+      this.server.closeAllConnections();
+    });
+  }
+
+  getUrl() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Load every *.json fixture in a directory (file name without extension is the fixture name)
+   * @param {string} dir - Directory containing recorded getTransaction results
+   */
+  loadFixtures(dir) {
+    for (const fileName of fs.readdirSync(dir)) {
+      if (!fileName.endsWith('.json')) continue;
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, fileName), 'utf8'));
+      this.addFixture(path.basename(fileName, '.json'), fixture);
+    }
+  }
+
+  addFixture(name, fixture) {
+    this.fixtures.set(name, fixture);
+  }
+
+  /**
+   * Make a fixture visible on chain, as if it just confirmed
+   * @param {string} name - Fixture name
+   * @param {Object} [options]
+   * @param {number} [options.blockTime] - Unix seconds (defaults to now so monitors treat it as fresh)
+   * @param {string} [options.signature] - Override the signature so one fixture can land several times
+   * @returns {string} The landed signature
+   */
+  replay(name, { blockTime, signature } = {}) {
+    const fixture = this.fixtures.get(name);
+    if (!fixture) {
+      throw new Error(`Unknown fixture: ${name}`);
+    }
+    return this.landTransaction(fixture, { blockTime, signature });
+  }
+
+  landTransaction(fixture, { blockTime, signature } = {}) {
+    const landed = JSON.parse(JSON.stringify(fixture));
+    this.slot += 1;
+    landed.slot = this.slot;
+    landed.blockTime = blockTime || Math.floor(Date.now() / 1000);
+    if (signature) {
+      landed.transaction.signatures[0] = signature;
+    }
+
+    const landedSignature = landed.transaction.signatures[0];
+    this.transactions.set(landedSignature, landed);
+    this.notifyLogSubscribers(landed);
+    this.emit('landed', landedSignature);
+    return landedSignature;
+  }
+
+  /**
+   * Close every websocket connection, as if the node dropped them
+   */
+  dropSockets() {
+    if (!this.wss) return;
+    for (const socket of this.wss.clients) {
+      socket.terminate();
+    }
+    this.logSubscriptions.clear();
+  }
+
+  handleSocket(socket) {
+    socket.on('message', (data) => {
+      let call;
+      try {
+        call = JSON.parse(data.toString());
+      } catch (error) {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+        return;
+      }
+
+      const { id, method, params = [] } = call;
+      this.requests.push({ method, params, failure: null });
+      this.emit('request', { method, params, failure: null });
+
+      if (method === 'logsSubscribe') {
+        const subscriptionId = this.nextSubscriptionId++;
+        const filter = params[0] || {};
+        this.logSubscriptions.set(subscriptionId, { socket, mentions: filter === 'all' ? null : filter.mentions || [] });
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id, result: subscriptionId }));
+      } else if (method === 'logsUnsubscribe') {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id, result: this.logSubscriptions.delete(params[0]) }));
+      } else {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } }));
+      }
+    });
+
+    socket.on('close', () => {
+      for (const [subscriptionId, subscription] of this.logSubscriptions) {
+        if (subscription.socket === socket) {
+          this.logSubscriptions.delete(subscriptionId);
+        }
+      }
+    });
+  }
+
+  notifyLogSubscribers(landed) {
+    const accountKeys = landed.transaction.message.accountKeys;
+    for (const [subscriptionId, { socket, mentions }] of this.logSubscriptions) {
+      if (mentions && !mentions.some(address => accountKeys.includes(address))) continue;
+      if (socket.readyState !== socket.OPEN) continue;
+
+      socket.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'logsNotification',
+        params: {
+          subscription: subscriptionId,
+          result: {
+            context: { slot: landed.slot },
+            value: {
+              signature: landed.transaction.signatures[0],
+              err: landed.meta.err,
+              logs: landed.meta.logMessages || []
+            }
+          }
+        }
+      }));
+    }
+  }
+
+  /**
+   * Queue failures for a method
+   * @param {string} method - RPC method name, or '*' for any
+   * @param {string} type - 'rate_limit' (HTTP 429), 'storage' (-32019), 'server_error' (HTTP 500), 'rpc_error' (-32603)
+   *   or 'not_found' (a null result, as when a node hasn't seen the transaction yet)
+   * @param {number} [count=1] - How many calls fail before the stub answers normally again
+   */
+  injectFailure(method, type, count = 1) {
+    this.failures.push({ method, type, remaining: count });
+  }
+
+  clearFailures() {
+    this.failures = [];
+  }
+
+  takeFailure(method) {
+    const failure = this.failures.find(candidate => candidate.remaining > 0 &&
+      (candidate.method === method || candidate.method === '*'));
+    if (!failure) return null;
+
+    failure.remaining--;
+    this.failures = this.failures.filter(candidate => candidate.remaining > 0);
+    return failure.type;
+  }
+
+  handleRequest(req, res) {
+    if (req.method !== 'POST') {
+      this.sendJson(res, 405, { error: 'Use POST for JSON-RPC' });
+      return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        this.sendJson(res, 200, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+        return;
+      }
+
+      // web3.js only batches for a few methods, but answer batches anyway
+      if (Array.isArray(payload)) {
+        this.sendJson(res, 200, payload.map(call => this.handleCall(call).body));
+        return;
+      }
+
+      const { status, body: response } = this.handleCall(payload);
+      this.sendJson(res, status, response);
+    });
+  }
+
+  handleCall({ id, method, params = [] }) {
+    const failure = this.takeFailure(method);
+    this.requests.push({ method, params, failure });
+    this.emit('request', { method, params, failure });
+
+    if (failure === 'rate_limit') {
+      return { status: 429, body: { jsonrpc: '2.0', id, error: { code: 429, message: 'Too many requests for a specific RPC call' } } };
+    }
+    if (failure === 'server_error') {
+      return { status: 500, body: { jsonrpc: '2.0', id, error: { code: -32603, message: 'Internal server error' } } };
+    }
+    if (failure === 'storage') {
+      return { status: 200, body: { jsonrpc: '2.0', id, error: { code: -32019, message: 'Failed to query long-term storage; please try again' } } };
+    }
+    if (failure === 'rpc_error') {
+      return { status: 200, body: { jsonrpc: '2.0', id, error: { code: -32603, message: 'Internal error' } } };
+    }
+    if (failure === 'not_found') {
+      return this.result(id, null);
+    }
+
+    switch (method) {
+      case 'getSignaturesForAddress':
+        return this.result(id, this.getSignaturesForAddress(params[0], params[1] || {}));
+      case 'getTransaction':
+        return this.result(id, this.transactions.get(params[0]) || null);
+      case 'getHealth':
+        return this.result(id, 'ok');
+      case 'getSlot':
+        return this.result(id, this.slot);
+      case 'getVersion':
+        return this.result(id, { 'solana-core': 'stub', 'feature-set': 0 });
+      default:
+        return { status: 200, body: { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } } };
+    }
+  }
+
+  result(id, result) {
+    return { status: 200, body: { jsonrpc: '2.0', id, result } };
+  }
+
+  // Newest first, honouring limit/before/until like a real node
+  getSignaturesForAddress(address, { limit = 1000, before, until } = {}) {
+    const matching = Array.from(this.transactions.values())
+      .filter(tx => tx.transaction.message.accountKeys.includes(address))
+      .sort((a, b) => b.slot - a.slot);
+
+    let start = 0;
+    if (before) {
+      const index = matching.findIndex(tx => tx.transaction.signatures[0] === before);
+      start = index === -1 ? matching.length : index + 1;
+    }
+
+    const signatures = [];
+    for (const tx of matching.slice(start)) {
+      if (until && tx.transaction.signatures[0] === until) break;
+      if (signatures.length >= limit) break;
+      signatures.push({
+        signature: tx.transaction.signatures[0],
+        slot: tx.slot,
+        err: tx.meta.err,
+        memo: getMemo(tx),
+        blockTime: tx.blockTime,
+        confirmationStatus: 'confirmed'
+      });
+    }
+    return signatures;
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// Memo text as getSignaturesForAddress reports it ("[len] text"), or null
+function getMemo(tx) {
+  const { accountKeys, instructions } = tx.transaction.message;
+  const memos = instructions
+    .filter(instruction => accountKeys[instruction.programIdIndex] === MEMO_PROGRAM_ID)
+    .map(instruction => Buffer.from(bs58.decode(instruction.data)).toString('utf8'));
+  return memos.length > 0 ? memos.map(memo => `[${Buffer.byteLength(memo)}] ${memo}`).join('; ') : null;
+}
+
+// Append an SPL Memo instruction (and its logs) to a built fixture
+function attachMemo(fixture, memo) {
+  const { message } = fixture.transaction;
+  message.accountKeys.push(MEMO_PROGRAM_ID);
+  message.header.numReadonlyUnsignedAccounts += 1;
+  message.instructions.push({ programIdIndex: message.accountKeys.length - 1, accounts: [0], data: bs58.encode(Buffer.from(memo, 'utf8')), stackHeight: null });
+  fixture.meta.preBalances.push(1);
+  fixture.meta.postBalances.push(1);
+  fixture.meta.logMessages.push(
+    `Program ${MEMO_PROGRAM_ID} invoke [1]`,
+    `Program log: Memo (len ${Buffer.byteLength(memo)}): ${JSON.stringify(memo)}`,
+    `Program ${MEMO_PROGRAM_ID} success`
+  );
+  return fixture;
+}
+
+/**
+ * Build a getTransaction result for a plain SOL transfer
+ * @param {Object} transfer
+ * @param {string} transfer.from - Sender address (fee payer)
+ * @param {string} transfer.to - Recipient address
+ * @param {number} transfer.lamports - Amount moved
+ * @param {number} [transfer.fee=5000] - Fee paid by the sender
+ * @param {string} [transfer.signature] - Defaults to a random signature
+ * @param {number} [transfer.fromBalance] - Sender lamports before the transfer
+ * @param {number} [transfer.toBalance] - Recipient lamports before the transfer
+ * @param {string} [transfer.memo] - Attach an SPL Memo with this text
+ * @returns {Object} A fixture in the same shape a node returns
+ */
+function buildTransferFixture({ from, to, lamports, fee = 5000, signature, fromBalance = 10e9, toBalance = 1e9, memo }) {
+  // System program Transfer: u32 instruction index 2, then u64 lamports (little endian)
+  const data = Buffer.alloc(12);
+  data.writeUInt32LE(2, 0);
+  data.writeBigUInt64LE(BigInt(lamports), 4);
+
+  const fixture = {
+    slot: 0,
+    blockTime: null,
+    version: 'legacy',
+    meta: {
+      err: null,
+      status: { Ok: null },
+      fee,
+      preBalances: [fromBalance, toBalance, 1],
+      postBalances: [fromBalance - lamports - fee, toBalance + lamports, 1],
+      innerInstructions: [],
+      logMessages: [
+        `Program ${SYSTEM_PROGRAM_ID} invoke [1]`,
+        `Program ${SYSTEM_PROGRAM_ID} success`
+      ],
+      preTokenBalances: [],
+      postTokenBalances: [],
+      rewards: [],
+      loadedAddresses: { writable: [], readonly: [] },
+      computeUnitsConsumed: 150
+    },
+    transaction: {
+      signatures: [signature || bs58.encode(crypto.randomBytes(64))],
+      message: {
+        header: { numRequiredSignatures: 1, numReadonlySignedAccounts: 0, numReadonlyUnsignedAccounts: 1 },
+        accountKeys: [from, to, SYSTEM_PROGRAM_ID],
+        recentBlockhash: bs58.encode(crypto.randomBytes(32)),
+        instructions: [{ programIdIndex: 2, accounts: [0, 1], data: bs58.encode(data), stackHeight: null }]
+      }
+    }
+  };
+
+  return memo ? attachMemo(fixture, memo) : fixture;
+}
+
+/**
+ * Build a getTransaction result for an SPL TransferChecked between two associated token accounts
+ * @param {Object} transfer
+ * @param {string} transfer.from - Sender wallet (owner of the source token account, fee payer)
+ * @param {string} transfer.to - Recipient wallet
+ * @param {string} transfer.mint - Token mint
+ * @param {number|string} transfer.amount - Raw token amount (before decimals)
+ * @param {number} [transfer.decimals=6] - Mint decimals (pump.fun tokens use 6)
+ * @param {number|string} [transfer.fromBalance] - Sender raw token balance before the transfer
+ * @param {number|string} [transfer.toBalance=0] - Recipient raw token balance before; 0 leaves out the pre balance
+ * @param {string} [transfer.signature] - Defaults to a random signature
+ * @param {string} [transfer.memo] - Attach an SPL Memo with this text
+ * @returns {Object} A fixture in the same shape a node returns
+ */
+function buildTokenTransferFixture({ from, to, mint, amount, decimals = 6, fromBalance, toBalance = 0, signature, fee = 5000, memo }) {
+  const tokenAccount = owner => PublicKey.findProgramAddressSync(
+    [new PublicKey(owner).toBuffer(), new PublicKey(TOKEN_PROGRAM_ID).toBuffer(), new PublicKey(mint).toBuffer()],
+    new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID)
+  )[0].toBase58();
+
+  const raw = BigInt(amount);
+  const senderBefore = fromBalance !== undefined ? BigInt(fromBalance) : raw * 10n;
+  const recipientBefore = BigInt(toBalance);
+  const balance = (accountIndex, owner, value) => ({
+    accountIndex,
+    mint,
+    owner,
+    programId: TOKEN_PROGRAM_ID,
+    uiTokenAmount: {
+      amount: value.toString(),
+      decimals,
+      uiAmount: Number(value) / Math.pow(10, decimals),
+      uiAmountString: (Number(value) / Math.pow(10, decimals)).toString()
+    }
+  });
+
+  // Token program TransferChecked: u8 instruction 12, u64 amount, u8 decimals
+  const data = Buffer.alloc(10);
+  data.writeUInt8(12, 0);
+  data.writeBigUInt64LE(raw, 1);
+  data.writeUInt8(decimals, 9);
+
+  const preTokenBalances = [balance(1, from, senderBefore)];
+  if (recipientBefore > 0n) {
+    preTokenBalances.push(balance(2, to, recipientBefore));
+  }
+
+  const fixture = {
+    slot: 0,
+    blockTime: null,
+    version: 'legacy',
+    meta: {
+      err: null,
+      status: { Ok: null },
+      fee,
+      preBalances: [10e9, 2039280, 2039280, 1461600, 1],
+      postBalances: [10e9 - fee, 2039280, 2039280, 1461600, 1],
+      innerInstructions: [],
+      logMessages: [
+        `Program ${TOKEN_PROGRAM_ID} invoke [1]`,
+        'Program log: Instruction: TransferChecked',
+        `Program ${TOKEN_PROGRAM_ID} success`
+      ],
+      preTokenBalances,
+      postTokenBalances: [
+        balance(1, from, senderBefore - raw),
+        balance(2, to, recipientBefore + raw)
+      ],
+      rewards: [],
+      loadedAddresses: { writable: [], readonly: [] },
+      computeUnitsConsumed: 6200
+    },
+    transaction: {
+      signatures: [signature || bs58.encode(crypto.randomBytes(64))],
+      message: {
+        header: { numRequiredSignatures: 1, numReadonlySignedAccounts: 0, numReadonlyUnsignedAccounts: 2 },
+        accountKeys: [from, tokenAccount(from), tokenAccount(to), mint, TOKEN_PROGRAM_ID],
+        recentBlockhash: bs58.encode(crypto.randomBytes(32)),
+        instructions: [{ programIdIndex: 4, accounts: [1, 3, 2, 0], data: bs58.encode(data), stackHeight: null }]
+      }
+    }
+  };
+
+  return memo ? attachMemo(fixture, memo) : fixture;
+}
+
+module.exports = SolanaRpcStub;
+module.exports.buildTransferFixture = buildTransferFixture;
+module.exports.buildTokenTransferFixture = buildTokenTransferFixture;
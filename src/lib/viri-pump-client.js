@@ -17,6 +17,10 @@ const websocket_1 = __importDefault(require("websocket"));
 const events_1 = require("events");
 const https = require('https');
 const http = require('http');
+/** Default pump.fun chat endpoint (Engine.IO v4 over WebSocket) */
+const DEFAULT_CHAT_URL = "wss://livechat.pump.fun/socket.io/?EIO=4&transport=websocket";
+/** Origin pump.fun expects on the upgrade request and socket.io handshake */
+const DEFAULT_CHAT_ORIGIN = "https://pump.fun";
 /**
  * Event definitions for PumpChatClient
  * @event PumpChatClient#connected - Emitted when successfully connected to the chat room
@@ -56,6 +60,8 @@ class PumpChatClient extends events_1.EventEmitter {
      * @param {string} options.roomId - The token address to connect to
      * @param {string} [options.username="anonymous"] - Username for chat messages
      * @param {number} [options.messageHistoryLimit=100] - Max messages to store
+     * @param {string} [options.url] - Chat WebSocket URL, e.g. a local emulator (defaults to livechat.pump.fun)
+     * @param {string} [options.origin="https://pump.fun"] - Origin sent on the upgrade request and handshake
      * @constructor
      */
     constructor(options) {
@@ -68,6 +74,8 @@ class PumpChatClient extends events_1.EventEmitter {
         this.isConnected = false;
         /** Interval timer for sending ping messages to keep connection alive */
         this.pingInterval = null;
+        /** Interval timer for dropping acknowledgments that never got a response */
+        this.ackCleanupInterval = null;
         /** Counter for reconnection attempts */
         this.reconnectAttempts = 0;
         /** Maximum number of times to attempt reconnection before giving up */
@@ -86,6 +94,8 @@ class PumpChatClient extends events_1.EventEmitter {
         this.roomId = options.roomId;
         this.username = options.username || "anonymous";
         this.messageHistoryLimit = options.messageHistoryLimit || 100;
+        this.url = options.url || DEFAULT_CHAT_URL;
+        this.origin = options.origin || DEFAULT_CHAT_ORIGIN;
         // Initialize WebSocket client
         this.client = new websocket_1.default.client();
         
@@ -175,6 +185,9 @@ class PumpChatClient extends events_1.EventEmitter {
             this.emit("disconnected");
             // Stop sending ping messages
             this.stopPing();
+            // Stop the stale acknowledgment cleanup; a new connection starts its own
+            clearInterval(this.ackCleanupInterval);
+            this.ackCleanupInterval = null;
             // Attempt to reconnect unless explicitly disconnected
             this.attemptReconnect();
         });
@@ -192,7 +205,8 @@ class PumpChatClient extends events_1.EventEmitter {
          * Set up periodic cleanup of stale acknowledgments.
          * This prevents memory leaks from acknowledgments that never receive responses.
          */
-        setInterval(() => {
+        clearInterval(this.ackCleanupInterval);
+        this.ackCleanupInterval = setInterval(() => {
             this.cleanupStaleAcks();
         }, 10000); // Run cleanup every 10 seconds
     }
@@ -266,7 +280,7 @@ class PumpChatClient extends events_1.EventEmitter {
         }
         // Send socket.io handshake with origin and timestamp
         // The "40" prefix indicates this is a handshake message
-        this.send(`40{"origin":"https://pump.fun","timestamp":${Date.now()},"token":null}`);
+        this.send(`40{"origin":${JSON.stringify(this.origin)},"timestamp":${Date.now()},"token":null}`);
     }
     /**
      * Handles the server's acknowledgment of our handshake.
@@ -527,7 +541,7 @@ class PumpChatClient extends events_1.EventEmitter {
         }
     }
     /**
-     * Connects to the pump.fun chat room.
+     * Connects to the chat room at the configured URL (pump.fun by default).
      * Sets up all required headers for the WebSocket handshake.
      * @public
      * @example
@@ -540,7 +554,7 @@ class PumpChatClient extends events_1.EventEmitter {
         // Headers required for successful WebSocket connection to pump.fun
         const headers = {
             // Standard WebSocket headers
-            "Host": "livechat.pump.fun",
+            "Host": new URL(this.url).host,
             "Connection": "Upgrade",
             "Pragma": "no-cache",
             "Cache-Control": "no-cache",
@@ -548,7 +562,7 @@ class PumpChatClient extends events_1.EventEmitter {
             "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/139.0.0.0 Safari/537.36",
             // WebSocket specific headers
             "Upgrade": "websocket",
-            "Origin": "https://pump.fun",
+            "Origin": this.origin,
             "Sec-WebSocket-Version": "13",
             "Sec-WebSocket-Key": this.generateWebSocketKey(),
             // Compression and language preferences
@@ -571,7 +585,7 @@ class PumpChatClient extends events_1.EventEmitter {
 
         // Initiate WebSocket connection
         // EIO=4 specifies Engine.IO protocol version 4
-        this.client.connect("wss://livechat.pump.fun/socket.io/?EIO=4&transport=websocket", undefined, // No specific protocol
+        this.client.connect(this.url, undefined, // No specific protocol
         undefined, // Use default origin
         headers);
     }
@@ -720,4 +734,6 @@ class PumpChatClient extends events_1.EventEmitter {
     }
 }
 exports.PumpChatClient = PumpChatClient;
+exports.DEFAULT_CHAT_URL = DEFAULT_CHAT_URL;
+exports.DEFAULT_CHAT_ORIGIN = DEFAULT_CHAT_ORIGIN;
 //# sourceMappingURL=index.js.map
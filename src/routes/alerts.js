@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { getAlertsBrowserSourceUrl } = require('../utils/browserSource');
+
+// Donation alert settings page
+router.get('/:streamerId', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).render('error', {
+        title: 'Streamer Not Found',
+        message: 'Streamer not found or access denied',
+        user: user
+      });
+    }
+
+    const alertSettings = await req.alertService.getAlertSettings(streamerId);
+    const ttsSettings = await req.databaseService.getTTSSettings(streamerId);
+
+    res.render('alerts/settings', {
+      title: `Alert Settings - ${streamerConfig.username}`,
+      user: user,
+      streamer: streamerConfig,
+      alertSettings,
+      // Template minimums use the same unit as the TTS minimum donation
+      donationUnit: req.integratedTTSService.getDonationUnitLabel(ttsSettings || req.integratedTTSService.getDefaultSettings()),
+      browserSourceUrl: getAlertsBrowserSourceUrl(req, streamerId)
+    });
+
+  } catch (error) {
+    console.error('Alert settings error:', error);
+    res.render('error', {
+      title: 'Alert Settings Error',
+      message: 'Failed to load alert settings',
+      user: req.user
+    });
+  }
+});
+
+// Update alert settings
+router.post('/:streamerId/update', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+
+    const settings = req.body;
+
+    // Validate settings
+    const validation = req.alertService.validateSettings(settings);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid settings',
+        details: validation.errors
+      });
+    }
+
+    const savedSettings = await req.alertService.updateAlertSettings(streamerId, settings);
+
+    res.json({ success: true, message: 'Alert settings updated successfully', settings: savedSettings });
+
+  } catch (error) {
+    console.error('Update alert settings error:', error);
+    res.status(500).json({ error: 'Failed to update alert settings' });
+  }
+});
+
+// Send a test alert to the overlay
+router.post('/:streamerId/test', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const { sender, amount } = req.body;
+    const user = req.user;
+
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+
+    const testAmount = parseFloat(amount);
+    if (!(testAmount >= 0)) {
+      return res.status(400).json({ error: 'amount must be a number of 0 or more' });
+    }
+
+    const ttsSettings = await req.databaseService.getTTSSettings(streamerId);
+    const unit = req.integratedTTSService.getDonationUnitLabel(ttsSettings || req.integratedTTSService.getDefaultSettings());
+
+    const alert = await req.alertService.showDonationAlert(streamerId, {
+      from: sender || 'Test Donor',
+      amount: testAmount,
+      amountLabel: `${testAmount} ${unit}`
+    }, { test: true });
+
+    if (!alert) {
+      return res.status(400).json({ error: `${testAmount} ${unit} is below every alert template` });
+    }
+
+    console.log(`🧪 [TEST] Sent test alert for ${streamerId}: ${alert.text}`);
+    res.json({ success: true, alert });
+
+  } catch (error) {
+    console.error('Test alert error:', error);
+    res.status(500).json({ error: 'Failed to send test alert' });
+  }
+});
+
+module.exports = router;
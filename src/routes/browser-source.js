@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+
+const LEADERBOARD_PERIODS = ['day', 'week', 'all'];
+
+// Browser source data endpoints (public - OBS has no session, so these are mounted before requireAuth).
+// They only expose what the overlays show; TTS and poll data stay behind the login in api.js.
+
+// Top donors for a leaderboard overlay: ?period=day|week|all&limit=10
+router.get('/leaderboard/:streamerId/data', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const period = LEADERBOARD_PERIODS.includes(req.query.period) ? req.query.period : 'all';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    
+    // Get streamer config (no auth required for browser sources)
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig) {
+      return res.status(404).json({ error: 'Streamer not found' });
+    }
+    
+    const leaders = await req.databaseService.getDonationLeaderboard(streamerId, period, limit);
+    const totals = await req.databaseService.getDonationTotals(streamerId, period);
+    
+    res.json({
+      streamerId: streamerId,
+      streamerName: streamerConfig.username,
+      period,
+      leaders: leaders.map((leader, index) => ({ rank: index + 1, ...leader })),
+      totals,
+      updatedAt: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Browser source leaderboard data error:', error);
+    res.status(500).json({ error: 'Failed to get leaderboard data' });
+  }
+});
+
+// Current donation goal and its progress, for the goal overlay
+router.get('/goal/:streamerId/data', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    
+    // Get streamer config (no auth required for browser sources)
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig) {
+      return res.status(404).json({ error: 'Streamer not found' });
+    }
+    
+    res.json({
+      streamerId: streamerId,
+      streamerName: streamerConfig.username,
+      goal: await req.goalService.getGoalState(streamerId)
+    });
+    
+  } catch (error) {
+    console.error('Browser source goal data error:', error);
+    res.status(500).json({ error: 'Failed to get goal data' });
+  }
+});
+
+module.exports = router;
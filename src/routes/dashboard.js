@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const config = require('../../config');
-const { getAllBrowserSourceUrls } = require('../utils/browserSource');
+const { getAllBrowserSourceUrls, getLeaderboardDataUrl } = require('../utils/browserSource');
 
 // Main dashboard
 router.get('/', async (req, res) => {
@@ -123,6 +123,50 @@ router.get('/streamer/:streamerId', async (req, res) => {
   }
 });
 
+// Donation ledger: totals and top donors per period, plus the latest donations
+router.get('/streamer/:streamerId/donations', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).render('error', {
+        title: 'Streamer Not Found',
+        message: 'Streamer not found or access denied',
+        user: user
+      });
+    }
+    
+    const periods = {};
+    for (const period of ['day', 'week', 'all']) {
+      periods[period] = {
+        totals: await req.databaseService.getDonationTotals(streamerId, period),
+        leaders: await req.databaseService.getDonationLeaderboard(streamerId, period, 10)
+      };
+    }
+    const recentDonations = await req.databaseService.getDonations(streamerId, 50);
+    
+    res.render('dashboard/donations', {
+      title: `Donations - ${streamerConfig.username}`,
+      user: user,
+      streamer: streamerConfig,
+      periods,
+      recentDonations,
+      leaderboardUrl: getLeaderboardDataUrl(req, streamerId)
+    });
+    
+  } catch (error) {
+    console.error('Donations page error:', error);
+    res.render('error', {
+      title: 'Donations Error',
+      message: 'Failed to load donations',
+      user: req.user
+    });
+  }
+});
+
 // Add new streamer
 router.get('/add-streamer', (req, res) => {
   res.render('dashboard/add-streamer', {
@@ -400,11 +444,9 @@ router.post('/streamer/:streamerId/toggle-status', async (req, res) => {
       if (is_active) {
         // Start poll bot if it doesn't exist
         if (!req.integratedPollService.streamers.has(streamerId)) {
-          const pollSettings = await req.databaseService.getPollSettings(streamerId);
           await req.integratedPollService.createStreamerPoll(streamerId, {
             tokenAddress: streamerConfig.token_address,
-            walletAddress: streamerConfig.wallet_address,
-            whitelist: pollSettings?.whitelist || []
+            walletAddress: streamerConfig.wallet_address
           });
         }
         await req.integratedPollService.startStreamer(streamerId);
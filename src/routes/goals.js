@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const { getGoalBrowserSourceUrl } = require('../utils/browserSource');
+
+// Donation goal page
+router.get('/:streamerId', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).render('error', {
+        title: 'Streamer Not Found',
+        message: 'Streamer not found or access denied',
+        user: user
+      });
+    }
+
+    const goal = await req.goalService.getGoalState(streamerId);
+    const goals = await req.goalService.getGoalHistory(streamerId, 20);
+
+    res.render('goals/index', {
+      title: `Donation Goals - ${streamerConfig.username}`,
+      user: user,
+      streamer: streamerConfig,
+      goal,
+      pastGoals: goals.filter(pastGoal => !goal || pastGoal.id !== goal.id),
+      browserSourceUrl: getGoalBrowserSourceUrl(req, streamerId)
+    });
+
+  } catch (error) {
+    console.error('Donation goals error:', error);
+    res.render('error', {
+      title: 'Donation Goals Error',
+      message: 'Failed to load donation goals',
+      user: req.user
+    });
+  }
+});
+
+// Start a new goal (ends the current one)
+router.post('/:streamerId/create', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+
+    const validation = req.goalService.validateGoal(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid goal',
+        details: validation.errors
+      });
+    }
+
+    if (req.body.unit === 'TOKEN' && !streamerConfig.token_address) {
+      return res.status(400).json({ error: 'Add a token address to this streamer to set a token goal' });
+    }
+
+    const goal = await req.goalService.createGoal(streamerId, req.body, streamerConfig.token_address);
+
+    res.json({ success: true, message: 'Goal started', goal });
+
+  } catch (error) {
+    console.error('Create goal error:', error);
+    res.status(500).json({ error: 'Failed to start goal' });
+  }
+});
+
+// End the current goal and clear the overlay
+router.post('/:streamerId/end', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+
+    const ended = await req.goalService.endGoal(streamerId);
+    if (!ended) {
+      return res.status(404).json({ error: 'No active goal' });
+    }
+
+    res.json({ success: true, message: 'Goal ended' });
+
+  } catch (error) {
+    console.error('End goal error:', error);
+    res.status(500).json({ error: 'Failed to end goal' });
+  }
+});
+
+module.exports = router;
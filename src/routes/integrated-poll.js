@@ -31,8 +31,7 @@ router.get('/:streamerId', async (req, res) => {
         enabled: false,
         defaultDuration: 60,
         allowViewerVotes: true,
-        requireWhitelist: false,
-        whitelist: []
+        requireWhitelist: false
       },
       activePoll: activePoll,
       pollStats: pollStats,
@@ -53,7 +52,7 @@ router.post('/:streamerId/settings', async (req, res) => {
   try {
     const { streamerId } = req.params;
     const user = req.user;
-    const { enabled, defaultDuration, allowViewerVotes, requireWhitelist, whitelist } = req.body;
+    const { enabled, defaultDuration, allowViewerVotes, requireWhitelist, allowViewerPolls, requireDonation, minDonation } = req.body;
     
     // Verify user owns this streamer
     const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
@@ -61,13 +60,18 @@ router.post('/:streamerId/settings', async (req, res) => {
       return res.status(404).json({ error: 'Streamer not found or access denied' });
     }
     
-    // Update poll settings
+    // Update poll settings, keeping any the form doesn't send
+    const currentSettings = await req.databaseService.getPollSettings(streamerId) || {};
     const pollSettings = {
+      ...currentSettings,
       enabled: enabled === 'on',
       defaultDuration: parseInt(defaultDuration) || 60,
       allowViewerVotes: allowViewerVotes === 'on',
       requireWhitelist: requireWhitelist === 'on',
-      whitelist: Array.isArray(whitelist) ? whitelist : (whitelist ? [whitelist] : [])
+      // Viewer /propose, optionally only for recent donors
+      allow_viewer_polls: allowViewerPolls === 'on',
+      require_donation: requireDonation === 'on',
+      min_donation: Math.max(0, parseFloat(minDonation) || 0)
     };
     
     await req.databaseService.updatePollSettings(streamerId, pollSettings);
@@ -76,8 +80,7 @@ router.post('/:streamerId/settings', async (req, res) => {
     if (pollSettings.enabled && !req.integratedPollService.streamers.has(streamerId)) {
       await req.integratedPollService.createStreamerPoll(streamerId, {
         tokenAddress: streamerConfig.token_address,
-        walletAddress: streamerConfig.wallet_address,
-        whitelist: pollSettings.whitelist
+        walletAddress: streamerConfig.wallet_address
       });
       
       // Start the streamer if not already active
@@ -238,11 +241,9 @@ router.post('/:streamerId/toggle', async (req, res) => {
     if (action === 'start') {
       // Create streamer poll instance if it doesn't exist
       if (!req.integratedPollService.streamers.has(streamerId)) {
-        const pollSettings = await req.databaseService.getPollSettings(streamerId);
         await req.integratedPollService.createStreamerPoll(streamerId, {
           tokenAddress: streamerConfig.token_address,
-          walletAddress: streamerConfig.wallet_address,
-          whitelist: pollSettings?.whitelist || []
+          walletAddress: streamerConfig.wallet_address
         });
       }
       
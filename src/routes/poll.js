@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getPollBrowserSourceUrl } = require('../utils/browserSource');
+const { toCsv } = require('../utils/csv');
 
 // Poll settings page
 router.get('/:streamerId', async (req, res) => {
@@ -20,11 +21,9 @@ router.get('/:streamerId', async (req, res) => {
     
     // Ensure streamer exists in IntegratedPollService
     if (!req.integratedPollService.streamers.has(streamerId)) {
-      const pollSettings = await req.databaseService.getPollSettings(streamerId);
       await req.integratedPollService.createStreamerPoll(streamerId, {
         tokenAddress: streamerConfig.token_address,
-        walletAddress: streamerConfig.wallet_address,
-        whitelist: pollSettings?.whitelist || []
+        walletAddress: streamerConfig.wallet_address
       });
     }
     
@@ -32,6 +31,11 @@ router.get('/:streamerId', async (req, res) => {
     const pollSettings = await req.databaseService.getPollSettings(streamerId);
     const activePoll = await req.integratedPollService.getActivePoll(streamerId);
     const pollStats = await req.integratedPollService.getPollStats(streamerId);
+    const predictions = await req.integratedPollService.getPredictions(streamerId);
+    const templates = await req.databaseService.getPollTemplates(streamerId);
+    const pollQueue = await req.pollSchedulerService.getQueueState(streamerId);
+    const schedules = await req.databaseService.getPollSchedules(streamerId);
+    const proposals = await req.databaseService.getPollProposals(streamerId);
     
     res.render('poll/settings', {
       title: `Poll Settings - ${streamerConfig.username}`,
@@ -40,6 +44,11 @@ router.get('/:streamerId', async (req, res) => {
       pollSettings: pollSettings || req.integratedPollService.getDefaultSettings(),
       activePoll: activePoll ? req.integratedPollService.formatPollForDisplay(activePoll) : null,
       pollStats,
+      predictions,
+      templates,
+      pollQueue,
+      schedules,
+      proposals,
       browserSourceUrl: getPollBrowserSourceUrl(req, streamerId)
     });
     
@@ -98,7 +107,7 @@ router.post('/:streamerId/update', async (req, res) => {
 router.post('/:streamerId/create', async (req, res) => {
   try {
     const { streamerId } = req.params;
-    const { question, options, duration } = req.body;
+    const { question, options, duration, weighting, type } = req.body;
     const user = req.user;
     
     // Verify user owns this streamer
@@ -108,7 +117,7 @@ router.post('/:streamerId/create', async (req, res) => {
     }
     
     // Validate poll data
-    const pollData = { question, options, duration: parseInt(duration) };
+    const pollData = { question, options, duration: parseInt(duration), weighting: weighting || 'none', type: type || 'single' };
     const validation = req.integratedPollService.validatePollData(pollData);
     if (!validation.isValid) {
       return res.status(400).json({ 
@@ -116,6 +125,10 @@ router.post('/:streamerId/create', async (req, res) => {
         details: validation.errors 
       });
     }
+
+    if (pollData.weighting === 'token' && !streamerConfig.token_address) {
+      return res.status(400).json({ error: 'Add a token address to this streamer to weight votes by holdings' });
+    }
     
     // Check if there's already an active poll
     const activePoll = await req.integratedPollService.getActivePoll(streamerId);
@@ -256,7 +269,438 @@ router.get('/:streamerId/stats', async (req, res) => {
   }
 });
 
-// Get whitelist
+// Resolve a locked prediction to the outcome that happened
+router.post('/:streamerId/predictions/:pollId/resolve', async (req, res) => {
+  try {
+    const { streamerId, pollId } = req.params;
+    const optionNumber = parseInt(req.body.optionNumber);
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    if (!Number.isInteger(optionNumber)) {
+      return res.status(400).json({ error: 'Winning option is required' });
+    }
+    
+    const prediction = await req.integratedPollService.resolvePrediction(streamerId, parseInt(pollId), optionNumber);
+    res.json({ success: true, message: 'Prediction resolved', prediction });
+    
+  } catch (error) {
+    console.error('Resolve prediction error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Record that a payout was sent, with the transaction signature if there is one
+router.post('/:streamerId/predictions/entries/:entryId/paid', async (req, res) => {
+  try {
+    const { streamerId, entryId } = req.params;
+    const signature = String(req.body.signature || '').trim() || null;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const entry = await req.databaseService.markPredictionEntryPaid(streamerId, parseInt(entryId), signature);
+    if (!entry) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+    if (entry.payout_status !== 'paid') {
+      return res.status(400).json({ error: 'Nothing to pay out for this entry' });
+    }
+    
+    res.json({ success: true, message: 'Payout marked as paid' });
+    
+  } catch (error) {
+    console.error('Mark payout paid error:', error);
+    res.status(500).json({ error: 'Failed to mark payout as paid' });
+  }
+});
+
+// Export the prediction payout ledger as CSV or JSON, for every prediction or just ?pollId=
+router.get('/:streamerId/predictions/export', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const { pollId = '', format = 'csv' } = req.query;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    if (format !== 'csv' && format !== 'json') {
+      return res.status(400).json({ error: 'Format must be csv or json' });
+    }
+    
+    const entries = await req.databaseService.getPredictionEntries(streamerId, pollId ? parseInt(pollId) : null);
+    
+    const fileName = `predictions-${streamerId}${pollId ? `-${parseInt(pollId)}` : ''}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    
+    if (format === 'json') {
+      return res.json(entries);
+    }
+    
+    res.type('text/csv');
+    res.send(toCsv(entries, ['pollId', 'question', 'resolvedOption', 'resolvedAt', 'voter', 'walletAddress', 'optionNumber', 'optionText', 'stake', 'result', 'share', 'payout', 'payoutStatus', 'payoutSignature', 'paidAt']));
+    
+  } catch (error) {
+    console.error('Export predictions error:', error);
+    res.status(500).json({ error: 'Failed to export predictions' });
+  }
+});
+
+// Start a viewer's proposed poll
+router.post('/:streamerId/proposals/:proposalId/approve', async (req, res) => {
+  try {
+    const { streamerId, proposalId } = req.params;
+    const duration = parseInt(req.body.duration) || 60;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const activePoll = await req.integratedPollService.getActivePoll(streamerId);
+    if (activePoll) {
+      return res.status(400).json({ error: 'A poll is already active' });
+    }
+    
+    const poll = await req.integratedPollService.approveProposal(streamerId, parseInt(proposalId), duration);
+    res.json({ success: true, message: 'Proposal approved', poll });
+    
+  } catch (error) {
+    console.error('Approve poll proposal error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Turn down a viewer's proposed poll
+router.post('/:streamerId/proposals/:proposalId/reject', async (req, res) => {
+  try {
+    const { streamerId, proposalId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const rejected = await req.integratedPollService.rejectProposal(streamerId, parseInt(proposalId));
+    if (!rejected) {
+      return res.status(404).json({ error: 'Proposal not found or already reviewed' });
+    }
+    
+    res.json({ success: true, message: 'Proposal rejected' });
+    
+  } catch (error) {
+    console.error('Reject poll proposal error:', error);
+    res.status(500).json({ error: 'Failed to reject proposal' });
+  }
+});
+
+// Save a poll as a template for the queue and schedules
+router.post('/:streamerId/templates', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const { name, question, options, duration, weighting, type } = req.body;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const template = { name, question, options, duration: parseInt(duration), weighting: weighting || 'none', type: type || 'single' };
+    const validation = req.pollSchedulerService.validateTemplate(template);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid template', 
+        details: validation.errors 
+      });
+    }
+
+    if (template.weighting === 'token' && !streamerConfig.token_address) {
+      return res.status(400).json({ error: 'Add a token address to this streamer to weight votes by holdings' });
+    }
+    
+    const created = await req.pollSchedulerService.createTemplate(streamerId, template);
+    res.json({ success: true, message: 'Template saved', template: created });
+    
+  } catch (error) {
+    console.error('Save poll template error:', error);
+    res.status(500).json({ error: 'Failed to save template' });
+  }
+});
+
+// Delete a template, with its queued polls and schedules
+router.post('/:streamerId/templates/:templateId/delete', async (req, res) => {
+  try {
+    const { streamerId, templateId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const deleted = await req.pollSchedulerService.deleteTemplate(streamerId, parseInt(templateId));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    res.json({ success: true, message: 'Template deleted' });
+    
+  } catch (error) {
+    console.error('Delete poll template error:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+// Start a template's poll now
+router.post('/:streamerId/templates/:templateId/start', async (req, res) => {
+  try {
+    const { streamerId, templateId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const activePoll = await req.integratedPollService.getActivePoll(streamerId);
+    if (activePoll) {
+      return res.status(400).json({ error: 'A poll is already active' });
+    }
+    
+    const poll = await req.pollSchedulerService.startTemplate(streamerId, parseInt(templateId));
+    res.json({ success: true, message: 'Poll started', poll });
+    
+  } catch (error) {
+    console.error('Start poll template error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Add a template to the end of the queue
+router.post('/:streamerId/queue', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const templateId = parseInt(req.body.templateId);
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    if (!Number.isInteger(templateId)) {
+      return res.status(400).json({ error: 'Template is required' });
+    }
+    
+    await req.pollSchedulerService.enqueueTemplate(streamerId, templateId);
+    const queue = await req.pollSchedulerService.getQueueState(streamerId);
+    res.json({ success: true, message: 'Added to the queue', queue });
+    
+  } catch (error) {
+    console.error('Queue poll error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Take a poll out of the queue before it starts
+router.post('/:streamerId/queue/:itemId/remove', async (req, res) => {
+  try {
+    const { streamerId, itemId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    await req.databaseService.removeFromPollQueue(streamerId, parseInt(itemId));
+    res.json({ success: true, message: 'Removed from the queue' });
+    
+  } catch (error) {
+    console.error('Remove queued poll error:', error);
+    res.status(500).json({ error: 'Failed to remove poll from the queue' });
+  }
+});
+
+// Empty the queue and stop it
+router.post('/:streamerId/queue/clear', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    req.pollSchedulerService.stopQueue(streamerId);
+    await req.databaseService.clearPollQueue(streamerId);
+    res.json({ success: true, message: 'Queue cleared' });
+    
+  } catch (error) {
+    console.error('Clear poll queue error:', error);
+    res.status(500).json({ error: 'Failed to clear the queue' });
+  }
+});
+
+// Run the queue: each poll starts gapSeconds after the one before it closes
+router.post('/:streamerId/queue/start', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const { gapSeconds } = req.body;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    if (!req.integratedPollService.streamers.has(streamerId)) {
+      return res.status(400).json({ error: "The poll bot isn't running for this streamer" });
+    }
+    
+    const queue = await req.pollSchedulerService.startQueue(streamerId, gapSeconds);
+    res.json({ success: true, message: 'Queue started', queue });
+    
+  } catch (error) {
+    console.error('Start poll queue error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Stop starting queued polls; a poll that's running carries on
+router.post('/:streamerId/queue/stop', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    req.pollSchedulerService.stopQueue(streamerId);
+    res.json({ success: true, message: 'Queue stopped' });
+    
+  } catch (error) {
+    console.error('Stop poll queue error:', error);
+    res.status(500).json({ error: 'Failed to stop the queue' });
+  }
+});
+
+// Start a template on a cron schedule, e.g. "0 20 * * 5"
+router.post('/:streamerId/schedules', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const { templateId, cronExpression, timezone } = req.body;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const schedule = {
+      template_id: parseInt(templateId),
+      cron_expression: cronExpression,
+      timezone: String(timezone || '').trim() || null
+    };
+    const validation = req.pollSchedulerService.validateSchedule(schedule);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid schedule', 
+        details: validation.errors 
+      });
+    }
+    
+    const created = await req.pollSchedulerService.createSchedule(streamerId, schedule);
+    res.json({ success: true, message: 'Schedule added', schedule: created });
+    
+  } catch (error) {
+    console.error('Create poll schedule error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Pause or resume a schedule
+router.post('/:streamerId/schedules/:scheduleId/toggle', async (req, res) => {
+  try {
+    const { streamerId, scheduleId } = req.params;
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const schedule = await req.pollSchedulerService.setScheduleEnabled(streamerId, parseInt(scheduleId), enabled);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json({ success: true, message: enabled ? 'Schedule resumed' : 'Schedule paused', schedule });
+    
+  } catch (error) {
+    console.error('Toggle poll schedule error:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+// Delete a schedule
+router.post('/:streamerId/schedules/:scheduleId/delete', async (req, res) => {
+  try {
+    const { streamerId, scheduleId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const deleted = await req.pollSchedulerService.deleteSchedule(streamerId, parseInt(scheduleId));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json({ success: true, message: 'Schedule deleted' });
+    
+  } catch (error) {
+    console.error('Delete poll schedule error:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// Get everyone with a poll role, plus recent role changes from chat and the dashboard
 router.get('/:streamerId/whitelist', async (req, res) => {
   try {
     const { streamerId } = req.params;
@@ -270,16 +714,15 @@ router.get('/:streamerId/whitelist', async (req, res) => {
     
     // Ensure streamer exists in IntegratedPollService
     if (!req.integratedPollService.streamers.has(streamerId)) {
-      const pollSettings = await req.databaseService.getPollSettings(streamerId);
       await req.integratedPollService.createStreamerPoll(streamerId, {
         tokenAddress: streamerConfig.token_address,
-        walletAddress: streamerConfig.wallet_address,
-        whitelist: pollSettings?.whitelist || []
+        walletAddress: streamerConfig.wallet_address
       });
     }
     
-    const whitelist = await req.integratedPollService.getWhitelist(streamerId);
-    res.json({ whitelist });
+    const whitelist = await req.integratedPollService.getRoles(streamerId);
+    const audit = await req.databaseService.getStreamerRoleAudit(streamerId);
+    res.json({ whitelist, audit });
     
   } catch (error) {
     console.error('Get whitelist error:', error);
@@ -287,42 +730,33 @@ router.get('/:streamerId/whitelist', async (req, res) => {
   }
 });
 
-// Add to whitelist
+// Give an address a role (poll-runner by default) or change its role
 router.post('/:streamerId/whitelist/add', async (req, res) => {
   try {
     const { streamerId } = req.params;
-    const { address } = req.body;
+    const { address, role = 'poll-runner' } = req.body;
     const user = req.user;
     
-    console.log(`🔍 Add to whitelist request: streamerId=${streamerId}, address=${address}, user=${user?.id}`);
-    
     if (!address) {
-      console.log('❌ No address provided');
       return res.status(400).json({ error: 'Address is required' });
     }
     
     // Verify user owns this streamer
     const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
     if (!streamerConfig || streamerConfig.user_id !== user.id) {
-      console.log('❌ Streamer not found or access denied');
       return res.status(404).json({ error: 'Streamer not found or access denied' });
     }
     
     // Ensure streamer exists in IntegratedPollService
     if (!req.integratedPollService.streamers.has(streamerId)) {
-      console.log(`🔧 Creating streamer poll instance for ${streamerId}`);
-      const pollSettings = await req.databaseService.getPollSettings(streamerId);
       await req.integratedPollService.createStreamerPoll(streamerId, {
         tokenAddress: streamerConfig.token_address,
-        walletAddress: streamerConfig.wallet_address,
-        whitelist: pollSettings?.whitelist || []
+        walletAddress: streamerConfig.wallet_address
       });
     }
     
-    console.log(`✅ Adding address ${address} to whitelist for streamer ${streamerId}`);
-    const result = await req.integratedPollService.addToWhitelist(streamerId, address, req.databaseService);
-    console.log(`✅ Add to whitelist result:`, result);
-    res.json(result);
+    const result = await req.integratedPollService.setRole(streamerId, address.trim(), role, user.username, 'dashboard');
+    res.json({ success: true, ...result });
     
   } catch (error) {
     console.error('Add to whitelist error:', error);
@@ -349,16 +783,14 @@ router.post('/:streamerId/whitelist/remove', async (req, res) => {
     
     // Ensure streamer exists in IntegratedPollService
     if (!req.integratedPollService.streamers.has(streamerId)) {
-      const pollSettings = await req.databaseService.getPollSettings(streamerId);
       await req.integratedPollService.createStreamerPoll(streamerId, {
         tokenAddress: streamerConfig.token_address,
-        walletAddress: streamerConfig.wallet_address,
-        whitelist: pollSettings?.whitelist || []
+        walletAddress: streamerConfig.wallet_address
       });
     }
     
-    const result = await req.integratedPollService.removeFromWhitelist(streamerId, address, req.databaseService);
-    res.json(result);
+    const result = await req.integratedPollService.removeRole(streamerId, address, user.username, 'dashboard');
+    res.json({ success: true, ...result });
     
   } catch (error) {
     console.error('Remove from whitelist error:', error);
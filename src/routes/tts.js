@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { getTTSBrowserSourceUrl } = require('../utils/browserSource');
+const { toCsv } = require('../utils/csv');
+
+const MESSAGE_EXPORT_LIMIT = 10000;
 
 // TTS settings page
 router.get('/:streamerId', async (req, res) => {
@@ -156,11 +159,13 @@ router.get('/:streamerId/stats', async (req, res) => {
   }
 });
 
-// Get recent messages
+// Get message history (paginated, searchable)
 router.get('/:streamerId/messages', async (req, res) => {
   try {
     const { streamerId } = req.params;
-    const { limit = 20 } = req.query;
+    const { search = '', type = '' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
     const user = req.user;
     
     // Verify user owns this streamer
@@ -169,8 +174,22 @@ router.get('/:streamerId/messages', async (req, res) => {
       return res.status(404).json({ error: 'Streamer not found or access denied' });
     }
     
-    const messages = await req.integratedTTSService.getRecentMessages(streamerId, parseInt(limit));
-    res.json({ messages });
+    const { messages, total } = await req.integratedTTSService.searchMessages(streamerId, {
+      search: search.trim(),
+      type,
+      page,
+      limit
+    });
+    
+    res.json({
+      messages,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.max(Math.ceil(total / limit), 1)
+      }
+    });
     
   } catch (error) {
     console.error('Get recent messages error:', error);
@@ -178,6 +197,46 @@ router.get('/:streamerId/messages', async (req, res) => {
   }
 });
 
+// Export message history as CSV or JSON
+router.get('/:streamerId/messages/export', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const { search = '', type = '', format = 'csv' } = req.query;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    if (format !== 'csv' && format !== 'json') {
+      return res.status(400).json({ error: 'Format must be csv or json' });
+    }
+    
+    const { messages } = await req.integratedTTSService.searchMessages(streamerId, {
+      search: search.trim(),
+      type,
+      page: 1,
+      limit: MESSAGE_EXPORT_LIMIT
+    });
+    
+    const fileName = `tts-history-${streamerId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    
+    if (format === 'json') {
+      return res.json(messages);
+    }
+    
+    res.type('text/csv');
+    res.send(toCsv(messages, ['timestamp', 'type', 'sender', 'walletAddress', 'amount', 'text', 'audioUrl']));
+    
+  } catch (error) {
+    console.error('Export TTS messages error:', error);
+    res.status(500).json({ error: 'Failed to export TTS messages' });
+  }
+});
+
 // Submit TTS request (for testing)
 router.post('/:streamerId/submit', async (req, res) => {
   try {
@@ -214,7 +273,116 @@ router.post('/:streamerId/submit', async (req, res) => {
   }
 });
 
-// Clear TTS queue (admin function)
+// Get playback state and pending queue
+router.get('/:streamerId/queue', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    res.json(req.integratedTTSService.getQueueState(streamerId));
+    
+  } catch (error) {
+    console.error('Get TTS queue error:', error);
+    res.status(500).json({ error: 'Failed to get TTS queue' });
+  }
+});
+
+// Skip the message that is currently playing
+router.post('/:streamerId/skip', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const result = req.integratedTTSService.skipCurrent(streamerId);
+    res.status(result.success ? 200 : 409).json(result);
+    
+  } catch (error) {
+    console.error('Skip TTS message error:', error);
+    res.status(500).json({ error: 'Failed to skip TTS message' });
+  }
+});
+
+// Pause playback (the current message pauses, the queue holds)
+router.post('/:streamerId/pause', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const result = req.integratedTTSService.pausePlayback(streamerId);
+    res.status(result.success ? 200 : 409).json(result);
+    
+  } catch (error) {
+    console.error('Pause TTS playback error:', error);
+    res.status(500).json({ error: 'Failed to pause TTS playback' });
+  }
+});
+
+// Resume playback
+router.post('/:streamerId/resume', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const result = req.integratedTTSService.resumePlayback(streamerId);
+    res.status(result.success ? 200 : 409).json(result);
+    
+  } catch (error) {
+    console.error('Resume TTS playback error:', error);
+    res.status(500).json({ error: 'Failed to resume TTS playback' });
+  }
+});
+
+// Replay a message from history
+router.post('/:streamerId/replay', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const { messageId } = req.body;
+    if (!messageId) {
+      return res.status(400).json({ error: 'messageId is required' });
+    }
+    
+    const result = await req.integratedTTSService.replayMessage(streamerId, messageId);
+    res.status(result.success ? 200 : 404).json(result);
+    
+  } catch (error) {
+    console.error('Replay TTS message error:', error);
+    res.status(500).json({ error: 'Failed to replay TTS message' });
+  }
+});
+
+// Clear pending TTS messages
 router.post('/:streamerId/clear-queue', async (req, res) => {
   try {
     const { streamerId } = req.params;
@@ -226,9 +394,8 @@ router.post('/:streamerId/clear-queue', async (req, res) => {
       return res.status(404).json({ error: 'Streamer not found or access denied' });
     }
     
-    // This would clear the TTS queue for the streamer
-    // Implementation depends on the TTS service API
-    res.json({ success: true, message: 'TTS queue cleared' });
+    const result = req.integratedTTSService.clearQueue(streamerId);
+    res.status(result.success ? 200 : 409).json(result);
     
   } catch (error) {
     console.error('Clear TTS queue error:', error);
@@ -236,6 +403,32 @@ router.post('/:streamerId/clear-queue', async (req, res) => {
   }
 });
 
+// Reorder pending TTS messages
+router.post('/:streamerId/reorder', async (req, res) => {
+  try {
+    const { streamerId } = req.params;
+    const user = req.user;
+    
+    // Verify user owns this streamer
+    const streamerConfig = await req.databaseService.getStreamerConfig(streamerId);
+    if (!streamerConfig || streamerConfig.user_id !== user.id) {
+      return res.status(404).json({ error: 'Streamer not found or access denied' });
+    }
+    
+    const { order } = req.body;
+    if (!Array.isArray(order)) {
+      return res.status(400).json({ error: 'order must be an array of request ids' });
+    }
+    
+    const result = req.integratedTTSService.reorderQueue(streamerId, order);
+    res.status(result.success ? 200 : 409).json(result);
+    
+  } catch (error) {
+    console.error('Reorder TTS queue error:', error);
+    res.status(500).json({ error: 'Failed to reorder TTS queue' });
+  }
+});
+
 // Test donation registration endpoint
 router.post('/:streamerId/test-donation', async (req, res) => {
   try {
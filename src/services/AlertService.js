@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+
+const ALERT_ANIMATIONS = ['fade', 'slide', 'bounce', 'zoom'];
+const ASSET_URL_PATTERN = /^(https?:\/\/|\/)[^\s"'<>]+$/;
+
+// Donation alerts for the /browser-source/alerts overlay. Each template covers
+// donations from its min_amount up, in the same unit as the streamer's TTS
+// minimum (SOL or their token); a donation uses the highest template it reaches.
+class AlertService {
+  constructor() {
+    this.databaseService = null;
+    this.io = null;
+  }
+
+  async initialize(databaseService, io) {
+    this.databaseService = databaseService;
+    this.io = io;
+    console.log('✅ Alert Service initialized');
+  }
+
+  getDefaultSettings() {
+    return {
+      enabled: true,
+      animation: 'fade', // fade | slide | bounce | zoom, templates can override it
+      duration_seconds: 6,
+      volume: 0.8,
+      templates: [
+        // [{ name, min_amount, text_template, image_url, sound_url, animation }]
+        {
+          name: 'Default',
+          min_amount: 0,
+          text_template: '{sender} donated {amount}!',
+          image_url: null,
+          sound_url: null,
+          animation: null
+        }
+      ]
+    };
+  }
+
+  async getAlertSettings(streamerId) {
+    const stored = await this.databaseService.getAlertSettings(streamerId);
+    return { ...this.getDefaultSettings(), ...(stored || {}) };
+  }
+
+  async updateAlertSettings(streamerId, newSettings) {
+    const currentSettings = await this.getAlertSettings(streamerId);
+    const settings = { ...newSettings };
+    if (settings.templates) {
+      settings.templates = this.normalizeTemplates(settings.templates);
+    }
+
+    const mergedSettings = { ...currentSettings, ...settings };
+    await this.databaseService.updateAlertSettings(streamerId, mergedSettings);
+    return mergedSettings;
+  }
+
+  // Lowest minimum first, so the editor lists them in order
+  normalizeTemplates(templates) {
+    return templates
+      .map(template => ({
+        name: String(template.name || '').trim() || null,
+        min_amount: parseFloat(template.min_amount) || 0,
+        text_template: String(template.text_template || '').trim(),
+        image_url: template.image_url ? String(template.image_url).trim() : null,
+        sound_url: template.sound_url ? String(template.sound_url).trim() : null,
+        animation: ALERT_ANIMATIONS.includes(template.animation) ? template.animation : null
+      }))
+      .sort((a, b) => a.min_amount - b.min_amount);
+  }
+
+  validateSettings(settings) {
+    const errors = [];
+
+    if (settings.animation !== undefined && !ALERT_ANIMATIONS.includes(settings.animation)) {
+      errors.push(`Animation must be one of: ${ALERT_ANIMATIONS.join(', ')}`);
+    }
+
+    if (settings.duration_seconds !== undefined && !(settings.duration_seconds >= 1 && settings.duration_seconds <= 60)) {
+      errors.push('Alert duration must be between 1 and 60 seconds');
+    }
+
+    if (settings.volume !== undefined && !(settings.volume >= 0 && settings.volume <= 1)) {
+      errors.push('Volume must be between 0 and 1');
+    }
+
+    if (settings.templates !== undefined) {
+      errors.push(...this.validateTemplates(settings.templates));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  validateTemplates(templates) {
+    const errors = [];
+
+    if (!Array.isArray(templates)) {
+      return ['Alert templates must be a list'];
+    }
+
+    if (templates.length === 0) {
+      errors.push('Add at least one alert template');
+    }
+
+    if (templates.length > 10) {
+      errors.push('At most 10 alert templates are allowed');
+    }
+
+    templates.forEach((template, index) => {
+      const label = `Template ${index + 1}`;
+      const minAmount = parseFloat(template.min_amount);
+      if (!(minAmount >= 0)) {
+        errors.push(`${label}: minimum amount must be 0 or more`);
+      }
+      if (!template.text_template || !String(template.text_template).trim()) {
+        errors.push(`${label}: alert text is required`);
+      } else if (String(template.text_template).length > 200) {
+        errors.push(`${label}: alert text must be 200 characters or less`);
+      }
+      if (template.image_url && !ASSET_URL_PATTERN.test(template.image_url)) {
+        errors.push(`${label}: image must be an http(s) URL or a path on this site`);
+      }
+      if (template.sound_url && !ASSET_URL_PATTERN.test(template.sound_url)) {
+        errors.push(`${label}: sound must be an http(s) URL or a path on this site`);
+      }
+      if (template.animation && !ALERT_ANIMATIONS.includes(template.animation)) {
+        errors.push(`${label}: animation must be one of: ${ALERT_ANIMATIONS.join(', ')}`);
+      }
+    });
+
+    const amounts = templates.map(template => parseFloat(template.min_amount));
+    if (new Set(amounts).size !== amounts.length) {
+      errors.push('Alert templates must have different minimum amounts');
+    }
+
+    return errors;
+  }
+
+  // Highest template whose min_amount the donation reaches, or null when it's below all of them
+  getTemplate(settings, amount) {
+    const templates = Array.isArray(settings.templates) ? settings.templates : [];
+    return templates
+      .filter(template => (amount || 0) >= parseFloat(template.min_amount))
+      .sort((a, b) => parseFloat(b.min_amount) - parseFloat(a.min_amount))[0] || null;
+  }
+
+  renderText(textTemplate, values) {
+    return textTemplate.replace(/\{(sender|amount)\}/g, (match, key) => values[key] ?? match);
+  }
+
+  // Wallets are shown by their first four characters, like in TTS messages
+  formatSender(walletAddress) {
+    if (walletAddress && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
+      return walletAddress.substring(0, 4);
+    }
+    return walletAddress || 'Anonymous';
+  }
+
+  /**
+   * Send a donation alert to the streamer's alert overlays
+   * @param {string} streamerId
+   * @param {Object} donation - { from, amount, amountLabel, transactionHash } where amount is in the streamer's donation unit
+   * @param {Object} [options]
+   * @param {boolean} [options.test] - Show it even when alerts are turned off
+   * @returns {Promise<Object|null>} The alert sent, or null if none was shown
+   */
+  async showDonationAlert(streamerId, donation, options = {}) {
+    const settings = await this.getAlertSettings(streamerId);
+    if (!settings.enabled && !options.test) {
+      return null;
+    }
+
+    const template = this.getTemplate(settings, donation.amount);
+    if (!template) {
+      console.log(`🔔 [ALERTS] Donation of ${donation.amountLabel} is below every alert template for ${streamerId}`);
+      return null;
+    }
+
+    const sender = this.formatSender(donation.from);
+    const alert = {
+      id: crypto.randomUUID(),
+      streamerId,
+      text: this.renderText(template.text_template, { sender, amount: donation.amountLabel }),
+      sender,
+      amount: donation.amountLabel,
+      template: template.name,
+      imageUrl: template.image_url || null,
+      soundUrl: template.sound_url || null,
+      animation: template.animation || settings.animation,
+      durationMs: settings.duration_seconds * 1000,
+      volume: settings.volume,
+      transactionHash: donation.transactionHash || null,
+      test: !!options.test,
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.io) {
+      this.io.to(`streamer-${streamerId}`).emit('donation-alert', alert);
+    }
+    console.log(`🔔 [ALERTS] ${options.test ? 'Test alert' : 'Alert'} for ${streamerId}: ${alert.text}`);
+    return alert;
+  }
+}
+
+module.exports = AlertService;
@@ -4,6 +4,7 @@ const bs58 = require('bs58').default;
 const fs = require('fs').promises;
 const path = require('path');
 const PumpChatClient = require('../lib/viri-pump-client.js').PumpChatClient;
+const config = require('../../config');
 
 class AutomodService {
   constructor() {
@@ -340,6 +341,22 @@ class AutomodService {
     // TODO: Implement warning system
   }
 
+  // Post in the streamer's chat as the automod wallet. Needs the wallet summoned
+  // (and signed in to pump.fun); otherwise the message is only logged.
+  sendChatMessage(streamerId, message) {
+    const streamerData = this.activeStreamers.get(streamerId);
+    const client = streamerData && streamerData.automodClient;
+    if (!client || !client.isConnected) {
+      console.log(`💬 [AUTOMOD] No connected automod wallet for ${streamerId}, not sent: ${message}`);
+      return false;
+    }
+
+    // The client writes the text into the socket frame as-is, so keep it from breaking the JSON
+    client.sendMessage(message.replace(/["\\]/g, '').replace(/\s+/g, ' '));
+    console.log(`💬 [AUTOMOD] Sent chat message for ${streamerId}: ${message}`);
+    return true;
+  }
+
 
   async logAutomodAction(streamerId, actionData) {
     try {
@@ -604,7 +621,9 @@ class AutomodService {
             automodClient = new PumpChatClient({
               roomId: streamerConfig.token_address,
               username: `AutomodBot_${streamerId.substring(0, 8)}`,
-              messageHistoryLimit: 10
+              messageHistoryLimit: 10,
+              url: config.pumpChat.url,
+              origin: config.pumpChat.origin
             });
           }
         } else {
@@ -612,7 +631,9 @@ class AutomodService {
           automodClient = new PumpChatClient({
             roomId: streamerConfig.token_address,
             username: `AutomodBot_${streamerId.substring(0, 8)}`,
-            messageHistoryLimit: 10
+            messageHistoryLimit: 10,
+            url: config.pumpChat.url,
+            origin: config.pumpChat.origin
           });
         }
       } else {
@@ -73,6 +73,7 @@ class DatabaseService {
           tts_settings JSONB,
           poll_settings JSONB,
           automod_settings JSONB,
+          alert_settings JSONB,
           is_active BOOLEAN DEFAULT TRUE,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -81,10 +82,15 @@ class DatabaseService {
         `CREATE TABLE IF NOT EXISTS tts_messages (
           id SERIAL PRIMARY KEY,
           streamer_id VARCHAR(255) NOT NULL,
+          message_id VARCHAR(255),
           message TEXT NOT NULL,
           username VARCHAR(255),
+          sender VARCHAR(255),
+          wallet_address VARCHAR(255),
+          message_type VARCHAR(50) DEFAULT 'regular',
           amount DECIMAL(18,8),
           token_address VARCHAR(255),
+          audio_url TEXT,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )`,
         `CREATE TABLE IF NOT EXISTS admin_settings (
@@ -99,6 +105,156 @@ class DatabaseService {
           streamer_id VARCHAR(255) NOT NULL,
           action_data JSONB NOT NULL,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS wallet_cursors (
+          wallet_address VARCHAR(255) PRIMARY KEY,
+          last_signature VARCHAR(255) NOT NULL,
+          last_slot BIGINT,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS donations (
+          id SERIAL PRIMARY KEY,
+          streamer_id VARCHAR(255) NOT NULL,
+          signature VARCHAR(255) NOT NULL,
+          from_address VARCHAR(255) NOT NULL,
+          to_address VARCHAR(255) NOT NULL,
+          amount DECIMAL(30,9) NOT NULL,
+          mint VARCHAR(255),
+          sol_value DECIMAL(30,9),
+          triggered_tts BOOLEAN DEFAULT FALSE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS donation_goals (
+          id SERIAL PRIMARY KEY,
+          streamer_id VARCHAR(255) NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          target_amount DECIMAL(30,9) NOT NULL,
+          unit VARCHAR(10) NOT NULL DEFAULT 'SOL',
+          mint VARCHAR(255),
+          starts_at TIMESTAMP NOT NULL,
+          ends_at TIMESTAMP,
+          status VARCHAR(20) NOT NULL DEFAULT 'active',
+          completed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS polls (
+          id SERIAL PRIMARY KEY,
+          streamer_id VARCHAR(255) NOT NULL,
+          question TEXT NOT NULL,
+          duration_seconds INTEGER NOT NULL,
+          created_by VARCHAR(255),
+          poll_type VARCHAR(20) NOT NULL DEFAULT 'single',
+          weighting VARCHAR(20) NOT NULL DEFAULT 'none',
+          status VARCHAR(20) NOT NULL DEFAULT 'active',
+          starts_at TIMESTAMP NOT NULL,
+          ends_at TIMESTAMP NOT NULL,
+          ended_at TIMESTAMP,
+          resolved_option INTEGER,
+          resolved_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_options (
+          id SERIAL PRIMARY KEY,
+          poll_id INTEGER NOT NULL REFERENCES polls (id) ON DELETE CASCADE,
+          option_number INTEGER NOT NULL,
+          text TEXT NOT NULL,
+          final_votes INTEGER,
+          weighted_votes DECIMAL(30,9),
+          UNIQUE (poll_id, option_number)
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_votes (
+          id SERIAL PRIMARY KEY,
+          poll_id INTEGER NOT NULL REFERENCES polls (id) ON DELETE CASCADE,
+          voter VARCHAR(255) NOT NULL,
+          wallet_address VARCHAR(255),
+          option_number INTEGER NOT NULL,
+          ballot VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (poll_id, voter)
+        )`,
+        `CREATE TABLE IF NOT EXISTS prediction_entries (
+          id SERIAL PRIMARY KEY,
+          poll_id INTEGER NOT NULL REFERENCES polls (id) ON DELETE CASCADE,
+          streamer_id VARCHAR(255) NOT NULL,
+          voter VARCHAR(255) NOT NULL,
+          wallet_address VARCHAR(255),
+          option_number INTEGER NOT NULL,
+          stake DECIMAL(30,9) NOT NULL DEFAULT 0,
+          result VARCHAR(20) NOT NULL,
+          share DECIMAL(30,9) NOT NULL DEFAULT 0,
+          payout DECIMAL(30,9) NOT NULL DEFAULT 0,
+          payout_status VARCHAR(20) NOT NULL DEFAULT 'none',
+          payout_signature VARCHAR(255),
+          paid_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (poll_id, voter)
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_templates (
+          id SERIAL PRIMARY KEY,
+          streamer_id VARCHAR(255) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          question TEXT NOT NULL,
+          options JSONB NOT NULL,
+          poll_type VARCHAR(20) NOT NULL DEFAULT 'single',
+          weighting VARCHAR(20) NOT NULL DEFAULT 'none',
+          duration_seconds INTEGER NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_queue (
+          id SERIAL PRIMARY KEY,
+          streamer_id VARCHAR(255) NOT NULL,
+          template_id INTEGER NOT NULL REFERENCES poll_templates (id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'queued',
+          poll_id INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_schedules (
+          id SERIAL PRIMARY KEY,
+          streamer_id VARCHAR(255) NOT NULL,
+          template_id INTEGER NOT NULL REFERENCES poll_templates (id) ON DELETE CASCADE,
+          cron_expression VARCHAR(100) NOT NULL,
+          timezone VARCHAR(100),
+          enabled BOOLEAN DEFAULT TRUE,
+          last_run_at TIMESTAMP,
+          last_result TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_proposals (
+          id SERIAL PRIMARY KEY,
+          streamer_id VARCHAR(255) NOT NULL,
+          proposer VARCHAR(255) NOT NULL,
+          wallet_address VARCHAR(255),
+          question TEXT NOT NULL,
+          options JSONB NOT NULL,
+          poll_type VARCHAR(20) NOT NULL DEFAULT 'single',
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          poll_id INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          reviewed_at TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS streamer_roles (
+          id SERIAL PRIMARY KEY,
+          streamer_id VARCHAR(255) NOT NULL,
+          address VARCHAR(255) NOT NULL,
+          role VARCHAR(20) NOT NULL,
+          added_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (streamer_id, address)
+        )`,
+        `CREATE TABLE IF NOT EXISTS streamer_role_audit (
+          id SERIAL PRIMARY KEY,
+          streamer_id VARCHAR(255) NOT NULL,
+          address VARCHAR(255) NOT NULL,
+          action VARCHAR(20) NOT NULL,
+          role VARCHAR(20),
+          previous_role VARCHAR(20),
+          actor VARCHAR(255),
+          source VARCHAR(20) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )`
       ];
     } else if (this.dbType === 'sqlite') {
@@ -124,6 +280,7 @@ class DatabaseService {
           tts_settings TEXT,
           poll_settings TEXT,
           automod_settings TEXT,
+          alert_settings TEXT,
           is_active BOOLEAN DEFAULT 1,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -132,10 +289,15 @@ class DatabaseService {
         `CREATE TABLE IF NOT EXISTS tts_messages (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           streamer_id TEXT NOT NULL,
+          message_id TEXT,
           message TEXT NOT NULL,
           username TEXT,
+          sender TEXT,
+          wallet_address TEXT,
+          message_type TEXT DEFAULT 'regular',
           amount REAL,
           token_address TEXT,
+          audio_url TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )`,
         `CREATE TABLE IF NOT EXISTS admin_settings (
@@ -150,6 +312,161 @@ class DatabaseService {
           streamer_id TEXT NOT NULL,
           action_data TEXT NOT NULL,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS wallet_cursors (
+          wallet_address TEXT PRIMARY KEY,
+          last_signature TEXT NOT NULL,
+          last_slot INTEGER,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS donations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          streamer_id TEXT NOT NULL,
+          signature TEXT NOT NULL,
+          from_address TEXT NOT NULL,
+          to_address TEXT NOT NULL,
+          amount REAL NOT NULL,
+          mint TEXT,
+          sol_value REAL,
+          triggered_tts BOOLEAN DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS donation_goals (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          streamer_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          target_amount REAL NOT NULL,
+          unit TEXT NOT NULL DEFAULT 'SOL',
+          mint TEXT,
+          starts_at DATETIME NOT NULL,
+          ends_at DATETIME,
+          status TEXT NOT NULL DEFAULT 'active',
+          completed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS polls (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          streamer_id TEXT NOT NULL,
+          question TEXT NOT NULL,
+          duration_seconds INTEGER NOT NULL,
+          created_by TEXT,
+          poll_type TEXT NOT NULL DEFAULT 'single',
+          weighting TEXT NOT NULL DEFAULT 'none',
+          status TEXT NOT NULL DEFAULT 'active',
+          starts_at DATETIME NOT NULL,
+          ends_at DATETIME NOT NULL,
+          ended_at DATETIME,
+          resolved_option INTEGER,
+          resolved_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_options (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          poll_id INTEGER NOT NULL,
+          option_number INTEGER NOT NULL,
+          text TEXT NOT NULL,
+          final_votes INTEGER,
+          weighted_votes REAL,
+          UNIQUE (poll_id, option_number),
+          FOREIGN KEY (poll_id) REFERENCES polls (id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_votes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          poll_id INTEGER NOT NULL,
+          voter TEXT NOT NULL,
+          wallet_address TEXT,
+          option_number INTEGER NOT NULL,
+          ballot TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (poll_id, voter),
+          FOREIGN KEY (poll_id) REFERENCES polls (id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS prediction_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          poll_id INTEGER NOT NULL,
+          streamer_id TEXT NOT NULL,
+          voter TEXT NOT NULL,
+          wallet_address TEXT,
+          option_number INTEGER NOT NULL,
+          stake REAL NOT NULL DEFAULT 0,
+          result TEXT NOT NULL,
+          share REAL NOT NULL DEFAULT 0,
+          payout REAL NOT NULL DEFAULT 0,
+          payout_status TEXT NOT NULL DEFAULT 'none',
+          payout_signature TEXT,
+          paid_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (poll_id, voter),
+          FOREIGN KEY (poll_id) REFERENCES polls (id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          streamer_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          question TEXT NOT NULL,
+          options TEXT NOT NULL,
+          poll_type TEXT NOT NULL DEFAULT 'single',
+          weighting TEXT NOT NULL DEFAULT 'none',
+          duration_seconds INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          streamer_id TEXT NOT NULL,
+          template_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'queued',
+          poll_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          started_at DATETIME,
+          FOREIGN KEY (template_id) REFERENCES poll_templates (id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_schedules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          streamer_id TEXT NOT NULL,
+          template_id INTEGER NOT NULL,
+          cron_expression TEXT NOT NULL,
+          timezone TEXT,
+          enabled BOOLEAN DEFAULT 1,
+          last_run_at DATETIME,
+          last_result TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (template_id) REFERENCES poll_templates (id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE IF NOT EXISTS poll_proposals (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          streamer_id TEXT NOT NULL,
+          proposer TEXT NOT NULL,
+          wallet_address TEXT,
+          question TEXT NOT NULL,
+          options TEXT NOT NULL,
+          poll_type TEXT NOT NULL DEFAULT 'single',
+          status TEXT NOT NULL DEFAULT 'pending',
+          poll_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          reviewed_at DATETIME
+        )`,
+        `CREATE TABLE IF NOT EXISTS streamer_roles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          streamer_id TEXT NOT NULL,
+          address TEXT NOT NULL,
+          role TEXT NOT NULL,
+          added_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (streamer_id, address)
+        )`,
+        `CREATE TABLE IF NOT EXISTS streamer_role_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          streamer_id TEXT NOT NULL,
+          address TEXT NOT NULL,
+          action TEXT NOT NULL,
+          role TEXT,
+          previous_role TEXT,
+          actor TEXT,
+          source TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )`
       ];
     }
@@ -160,6 +477,51 @@ class DatabaseService {
 
     // Run migrations for existing databases
     await this.runMigrations();
+
+    await this.query('CREATE INDEX IF NOT EXISTS idx_tts_messages_streamer ON tts_messages (streamer_id, created_at)');
+    // One row per streamer, transaction and asset, so a re-checked signature isn't counted twice
+    await this.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_signature ON donations (streamer_id, signature, COALESCE(mint, ''))");
+    await this.query('CREATE INDEX IF NOT EXISTS idx_donations_streamer ON donations (streamer_id, created_at)');
+    await this.query('CREATE INDEX IF NOT EXISTS idx_donation_goals_streamer ON donation_goals (streamer_id, status)');
+    await this.query('CREATE INDEX IF NOT EXISTS idx_polls_streamer ON polls (streamer_id, status, created_at)');
+    await this.query('CREATE INDEX IF NOT EXISTS idx_prediction_entries_streamer ON prediction_entries (streamer_id, poll_id)');
+    await this.query('CREATE INDEX IF NOT EXISTS idx_poll_templates_streamer ON poll_templates (streamer_id)');
+    await this.query('CREATE INDEX IF NOT EXISTS idx_poll_queue_streamer ON poll_queue (streamer_id, status, position)');
+    await this.query('CREATE INDEX IF NOT EXISTS idx_poll_proposals_streamer ON poll_proposals (streamer_id, status, created_at)');
+    await this.query('CREATE INDEX IF NOT EXISTS idx_streamer_role_audit_streamer ON streamer_role_audit (streamer_id, created_at)');
+
+    await this.migratePollWhitelists();
+  }
+
+  // The poll whitelist used to live in poll_settings. Everyone on it could start polls and manage
+  // the list, so they carry on as mods in streamer_roles, and the old list is dropped.
+  async migratePollWhitelists() {
+    const result = await this.query('SELECT streamer_id, poll_settings FROM streamer_configs WHERE poll_settings IS NOT NULL');
+    for (const row of result.rows) {
+      const settings = typeof row.poll_settings === 'string' ? JSON.parse(row.poll_settings) : row.poll_settings;
+      if (!settings || settings.whitelist === undefined) continue;
+
+      let whitelist = settings.whitelist;
+      if (typeof whitelist === 'string') {
+        try {
+          whitelist = JSON.parse(whitelist);
+        } catch (error) {
+          whitelist = [];
+        }
+      }
+
+      let migrated = 0;
+      for (const address of Array.isArray(whitelist) ? whitelist : []) {
+        if (await this.getStreamerRole(row.streamer_id, address)) continue;
+        await this.setStreamerRole(row.streamer_id, address, 'mod', null);
+        await this.addStreamerRoleAudit(row.streamer_id, { address, action: 'add', role: 'mod', source: 'migration' });
+        migrated++;
+      }
+
+      const { whitelist: oldWhitelist, ...remainingSettings } = settings;
+      await this.updatePollSettings(row.streamer_id, remainingSettings);
+      console.log(`🔄 Moved ${migrated} whitelisted addresses to streamer_roles for ${row.streamer_id}`);
+    }
   }
 
   async runMigrations() {
@@ -192,6 +554,56 @@ class DatabaseService {
           await this.query("ALTER TABLE streamer_configs ADD COLUMN automod_settings TEXT");
         }
 
+        // Check if alert_settings column exists
+        const checkAlertSettings = await this.query("PRAGMA table_info(streamer_configs)");
+        const hasAlertSettings = checkAlertSettings.rows.some(col => col.name === 'alert_settings');
+        
+        if (!hasAlertSettings) {
+          console.log('🔄 Adding alert_settings column to streamer_configs table...');
+          await this.query("ALTER TABLE streamer_configs ADD COLUMN alert_settings TEXT");
+        }
+
+        // TTS history columns
+        const ttsMessageColumns = await this.query("PRAGMA table_info(tts_messages)");
+        const existingTtsColumns = ttsMessageColumns.rows.map(col => col.name);
+        for (const [column, definition] of Object.entries(this.getTTSMessageMigrationColumns())) {
+          if (!existingTtsColumns.includes(column)) {
+            console.log(`🔄 Adding ${column} column to tts_messages table...`);
+            await this.query(`ALTER TABLE tts_messages ADD COLUMN ${column} ${definition.sqlite}`);
+          }
+        }
+
+        // Poll type and vote weighting columns on the poll tables
+        for (const [table, columns] of Object.entries(this.getPollMigrationColumns())) {
+          const tableColumns = await this.query(`PRAGMA table_info(${table})`);
+          const existingColumns = tableColumns.rows.map(col => col.name);
+          for (const [column, definition] of Object.entries(columns)) {
+            if (!existingColumns.includes(column)) {
+              console.log(`🔄 Adding ${column} column to ${table} table...`);
+              await this.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition.sqlite}`);
+            }
+          }
+        }
+
+        console.log('✅ Database migrations completed');
+      } catch (error) {
+        console.error('❌ Migration failed:', error);
+        throw error;
+      }
+    } else if (this.dbType === 'postgresql') {
+      try {
+        await this.query('ALTER TABLE streamer_configs ADD COLUMN IF NOT EXISTS alert_settings JSONB');
+
+        for (const [column, definition] of Object.entries(this.getTTSMessageMigrationColumns())) {
+          await this.query(`ALTER TABLE tts_messages ADD COLUMN IF NOT EXISTS ${column} ${definition.postgresql}`);
+        }
+
+        for (const [table, columns] of Object.entries(this.getPollMigrationColumns())) {
+          for (const [column, definition] of Object.entries(columns)) {
+            await this.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition.postgresql}`);
+          }
+        }
+
         console.log('✅ Database migrations completed');
       } catch (error) {
         console.error('❌ Migration failed:', error);
@@ -200,6 +612,37 @@ class DatabaseService {
     }
   }
 
+  // Columns added to tts_messages after the original schema
+  getTTSMessageMigrationColumns() {
+    return {
+      message_id: { sqlite: 'TEXT', postgresql: 'VARCHAR(255)' },
+      sender: { sqlite: 'TEXT', postgresql: 'VARCHAR(255)' },
+      wallet_address: { sqlite: 'TEXT', postgresql: 'VARCHAR(255)' },
+      message_type: { sqlite: "TEXT DEFAULT 'regular'", postgresql: "VARCHAR(50) DEFAULT 'regular'" },
+      audio_url: { sqlite: 'TEXT', postgresql: 'TEXT' }
+    };
+  }
+
+  // Columns added to the poll tables for weighted voting, poll types and predictions
+  getPollMigrationColumns() {
+    return {
+      polls: {
+        poll_type: { sqlite: "TEXT NOT NULL DEFAULT 'single'", postgresql: "VARCHAR(20) NOT NULL DEFAULT 'single'" },
+        weighting: { sqlite: "TEXT NOT NULL DEFAULT 'none'", postgresql: "VARCHAR(20) NOT NULL DEFAULT 'none'" },
+        resolved_option: { sqlite: 'INTEGER', postgresql: 'INTEGER' },
+        resolved_at: { sqlite: 'DATETIME', postgresql: 'TIMESTAMP' }
+      },
+      poll_options: {
+        final_votes: { sqlite: 'INTEGER', postgresql: 'INTEGER' },
+        weighted_votes: { sqlite: 'REAL', postgresql: 'DECIMAL(30,9)' }
+      },
+      poll_votes: {
+        wallet_address: { sqlite: 'TEXT', postgresql: 'VARCHAR(255)' },
+        ballot: { sqlite: 'TEXT', postgresql: 'VARCHAR(255)' }
+      }
+    };
+  }
+
   async createDefaultAdmin() {
     try {
       const adminEmail = process.env.ADMIN_EMAIL || 'admin@pump.fun';
@@ -343,14 +786,109 @@ class DatabaseService {
     await this.query(query, [settingsJson, streamerId]);
   }
 
+  async getAlertSettings(streamerId) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT alert_settings FROM streamer_configs WHERE streamer_id = $1' : 
+      'SELECT alert_settings FROM streamer_configs WHERE streamer_id = ?';
+    const result = await this.query(query, [streamerId]);
+    if (result.rows[0] && result.rows[0].alert_settings) {
+      return typeof result.rows[0].alert_settings === 'string' ? 
+        JSON.parse(result.rows[0].alert_settings) : 
+        result.rows[0].alert_settings;
+    }
+    return null;
+  }
+
+  async updateAlertSettings(streamerId, settings) {
+    const settingsJson = JSON.stringify(settings);
+    const query = this.dbType === 'postgresql' ? 
+      'UPDATE streamer_configs SET alert_settings = $1 WHERE streamer_id = $2' : 
+      'UPDATE streamer_configs SET alert_settings = ? WHERE streamer_id = ?';
+    await this.query(query, [settingsJson, streamerId]);
+  }
+
   async getTTSMessages(streamerId, limit = 50) {
     const query = this.dbType === 'postgresql' ? 
-      'SELECT * FROM tts_messages WHERE streamer_id = $1 ORDER BY created_at DESC LIMIT $2' : 
-      'SELECT * FROM tts_messages WHERE streamer_id = ? ORDER BY created_at DESC LIMIT ?';
+      'SELECT * FROM tts_messages WHERE streamer_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2' : 
+      'SELECT * FROM tts_messages WHERE streamer_id = ? ORDER BY created_at DESC, id DESC LIMIT ?';
     const result = await this.query(query, [streamerId, limit]);
     return result.rows;
   }
 
+  async getTTSMessageByMessageId(streamerId, messageId) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM tts_messages WHERE streamer_id = $1 AND message_id = $2' : 
+      'SELECT * FROM tts_messages WHERE streamer_id = ? AND message_id = ?';
+    const result = await this.query(query, [streamerId, messageId]);
+    return result.rows[0];
+  }
+
+  async saveTTSMessage(streamerId, message) {
+    const params = [
+      streamerId,
+      message.id,
+      message.text,
+      message.sender || null,
+      message.walletAddress || null,
+      message.type || 'regular',
+      message.amount || 0,
+      message.audioUrl || null
+    ];
+    const query = this.dbType === 'postgresql' ? 
+      'INSERT INTO tts_messages (streamer_id, message_id, message, sender, wallet_address, message_type, amount, audio_url) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)' : 
+      'INSERT INTO tts_messages (streamer_id, message_id, message, sender, wallet_address, message_type, amount, audio_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?)';
+    await this.query(query, params);
+  }
+
+  // Apply a streamer's retention policy: drop messages older than retentionDays,
+  // then keep only the newest maxMessages
+  async cleanupOldTTSMessages(streamerId, maxMessages, retentionDays = null) {
+    if (retentionDays) {
+      const query = this.dbType === 'postgresql' ? 
+        "DELETE FROM tts_messages WHERE streamer_id = $1 AND created_at < CURRENT_TIMESTAMP - ($2 * INTERVAL '1 day')" : 
+        "DELETE FROM tts_messages WHERE streamer_id = ? AND created_at < datetime('now', ?)";
+      await this.query(query, [streamerId, this.dbType === 'postgresql' ? retentionDays : `-${retentionDays} days`]);
+    }
+
+    if (maxMessages) {
+      const query = this.dbType === 'postgresql' ? 
+        'DELETE FROM tts_messages WHERE streamer_id = $1 AND id NOT IN (SELECT id FROM tts_messages WHERE streamer_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2)' : 
+        'DELETE FROM tts_messages WHERE streamer_id = ? AND id NOT IN (SELECT id FROM tts_messages WHERE streamer_id = ? ORDER BY created_at DESC, id DESC LIMIT ?)';
+      const params = this.dbType === 'postgresql' ? [streamerId, maxMessages] : [streamerId, streamerId, maxMessages];
+      await this.query(query, params);
+    }
+  }
+
+  // Paginated TTS history with optional text search and type filter
+  async searchTTSMessages(streamerId, { search = '', type = '', page = 1, limit = 20 } = {}) {
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return this.dbType === 'postgresql' ? `$${params.length}` : '?';
+    };
+
+    let where = `streamer_id = ${param(streamerId)}`;
+    if (search) {
+      const like = this.dbType === 'postgresql' ? 'ILIKE' : 'LIKE';
+      const pattern = `%${search}%`;
+      where += ` AND (message ${like} ${param(pattern)} OR sender ${like} ${param(pattern)} OR wallet_address ${like} ${param(pattern)})`;
+    }
+    if (type) {
+      where += ` AND message_type = ${param(type)}`;
+    }
+
+    const countResult = await this.query(`SELECT COUNT(*) AS total FROM tts_messages WHERE ${where}`, params);
+    const total = parseInt(countResult.rows[0].total) || 0;
+
+    const offset = (page - 1) * limit;
+    const result = await this.query(
+      `SELECT * FROM tts_messages WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT ${param(limit)} OFFSET ${param(offset)}`,
+      params
+    );
+
+    return { messages: result.rows, total };
+  }
+
   async getAutomodSettings(streamerId) {
     const query = this.dbType === 'postgresql' ? 
       'SELECT automod_settings FROM streamer_configs WHERE streamer_id = $1' : 
@@ -385,6 +923,803 @@ class DatabaseService {
     }
   }
 
+  // Newest signature WalletMonitor has handled for a wallet, so restarts resume from it
+  async getWalletCursor(walletAddress) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM wallet_cursors WHERE wallet_address = $1' : 
+      'SELECT * FROM wallet_cursors WHERE wallet_address = ?';
+    const result = await this.query(query, [walletAddress]);
+    return result.rows[0] || null;
+  }
+
+  async saveWalletCursor(walletAddress, signature, slot = null) {
+    const query = this.dbType === 'postgresql' ? 
+      'INSERT INTO wallet_cursors (wallet_address, last_signature, last_slot, updated_at) VALUES ($1, $2, $3, CURRENT_TIMESTAMP) ON CONFLICT (wallet_address) DO UPDATE SET last_signature = EXCLUDED.last_signature, last_slot = EXCLUDED.last_slot, updated_at = CURRENT_TIMESTAMP' : 
+      'INSERT INTO wallet_cursors (wallet_address, last_signature, last_slot, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP) ON CONFLICT (wallet_address) DO UPDATE SET last_signature = excluded.last_signature, last_slot = excluded.last_slot, updated_at = CURRENT_TIMESTAMP';
+    await this.query(query, [walletAddress, signature, slot]);
+  }
+
+  // Record a detected donation. amount is in SOL, or in tokens when mint is set;
+  // sol_value is the SOL equivalent when it's known. Returns the stored row.
+  async saveDonation(streamerId, donation) {
+    const params = [
+      streamerId,
+      donation.signature,
+      donation.from,
+      donation.to,
+      donation.amount,
+      donation.mint || null,
+      donation.solValue ?? null
+    ];
+    const query = this.dbType === 'postgresql' ? 
+      'INSERT INTO donations (streamer_id, signature, from_address, to_address, amount, mint, sol_value) VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT DO NOTHING' : 
+      'INSERT INTO donations (streamer_id, signature, from_address, to_address, amount, mint, sol_value) VALUES (?, ?, ?, ?, ?, ?, ?) ON CONFLICT DO NOTHING';
+    await this.query(query, params);
+
+    const select = this.dbType === 'postgresql' ? 
+      "SELECT * FROM donations WHERE streamer_id = $1 AND signature = $2 AND COALESCE(mint, '') = $3" : 
+      "SELECT * FROM donations WHERE streamer_id = ? AND signature = ? AND COALESCE(mint, '') = ?";
+    const result = await this.query(select, [streamerId, donation.signature, donation.mint || '']);
+    return result.rows[0] || null;
+  }
+
+  async markDonationTriggeredTTS(donationId) {
+    const query = this.dbType === 'postgresql' ? 
+      'UPDATE donations SET triggered_tts = TRUE WHERE id = $1' : 
+      'UPDATE donations SET triggered_tts = 1 WHERE id = ?';
+    await this.query(query, [donationId]);
+  }
+
+  async getDonations(streamerId, limit = 50) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM donations WHERE streamer_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2' : 
+      'SELECT * FROM donations WHERE streamer_id = ? ORDER BY created_at DESC, id DESC LIMIT ?';
+    const result = await this.query(query, [streamerId, limit]);
+    return result.rows.map(row => ({
+      ...row,
+      amount: parseFloat(row.amount),
+      sol_value: row.sol_value === null ? null : parseFloat(row.sol_value),
+      triggered_tts: row.triggered_tts === true || row.triggered_tts === 1
+    }));
+  }
+
+  // WHERE clause for donations in a leaderboard period ('day', 'week' or 'all'), as rolling windows
+  donationPeriodWhere(streamerId, period, params) {
+    const param = (value) => {
+      params.push(value);
+      return this.dbType === 'postgresql' ? `$${params.length}` : '?';
+    };
+
+    let where = `streamer_id = ${param(streamerId)}`;
+    const days = { day: 1, week: 7 }[period];
+    if (days) {
+      where += this.dbType === 'postgresql' ? 
+        ` AND created_at >= CURRENT_TIMESTAMP - (${param(days)} * INTERVAL '1 day')` : 
+        ` AND created_at >= datetime('now', ${param(`-${days} days`)})`;
+    }
+    return where;
+  }
+
+  // Totals for a period; token amounts are summed per mint since they can't be added to SOL
+  async getDonationTotals(streamerId, period = 'all') {
+    const params = [];
+    const where = this.donationPeriodWhere(streamerId, period, params);
+
+    const totals = await this.query(
+      `SELECT COUNT(*) AS donation_count, COUNT(DISTINCT from_address) AS donor_count, COALESCE(SUM(sol_value), 0) AS total_sol, COALESCE(SUM(CASE WHEN triggered_tts THEN 1 ELSE 0 END), 0) AS tts_count FROM donations WHERE ${where}`,
+      params
+    );
+    const tokens = await this.query(
+      `SELECT mint, SUM(amount) AS total_amount, COUNT(*) AS donation_count FROM donations WHERE ${where} AND mint IS NOT NULL GROUP BY mint ORDER BY total_amount DESC`,
+      params
+    );
+
+    const row = totals.rows[0] || {};
+    return {
+      donationCount: parseInt(row.donation_count) || 0,
+      donorCount: parseInt(row.donor_count) || 0,
+      totalSol: parseFloat(row.total_sol) || 0,
+      ttsCount: parseInt(row.tts_count) || 0,
+      tokens: tokens.rows.map(token => ({
+        mint: token.mint,
+        totalAmount: parseFloat(token.total_amount) || 0,
+        donationCount: parseInt(token.donation_count) || 0
+      }))
+    };
+  }
+
+  // Top donors by SOL value for a period ('day', 'week' or 'all')
+  async getDonationLeaderboard(streamerId, period = 'all', limit = 10) {
+    const params = [];
+    const where = this.donationPeriodWhere(streamerId, period, params);
+    params.push(limit);
+    const limitParam = this.dbType === 'postgresql' ? `$${params.length}` : '?';
+
+    const result = await this.query(
+      `SELECT from_address, COALESCE(SUM(sol_value), 0) AS total_sol, COUNT(*) AS donation_count, MAX(created_at) AS last_donation_at FROM donations WHERE ${where} GROUP BY from_address ORDER BY total_sol DESC, donation_count DESC, last_donation_at DESC LIMIT ${limitParam}`,
+      params
+    );
+    return result.rows.map(row => ({
+      address: row.from_address,
+      totalSol: parseFloat(row.total_sol) || 0,
+      donationCount: parseInt(row.donation_count) || 0,
+      lastDonationAt: row.last_donation_at
+    }));
+  }
+
+  // Timestamps are stored like CURRENT_TIMESTAMP writes them (UTC, 'YYYY-MM-DD HH:MM:SS'),
+  // so goal windows compare directly against donations.created_at
+  toDbTimestamp(date) {
+    return new Date(date).toISOString().replace('T', ' ').substring(0, 19);
+  }
+
+  // Back to a Date; sqlite returns the stored string without a zone
+  fromDbTimestamp(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    return new Date(`${String(value).replace(' ', 'T')}Z`);
+  }
+
+  formatDonationGoal(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      target_amount: parseFloat(row.target_amount)
+    };
+  }
+
+  async createDonationGoal(streamerId, goal) {
+    const params = [
+      streamerId,
+      goal.title,
+      goal.targetAmount,
+      goal.unit,
+      goal.mint || null,
+      this.toDbTimestamp(goal.startsAt),
+      goal.endsAt ? this.toDbTimestamp(goal.endsAt) : null
+    ];
+
+    if (this.dbType === 'postgresql') {
+      const query = 'INSERT INTO donation_goals (streamer_id, title, target_amount, unit, mint, starts_at, ends_at) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *';
+      const result = await this.query(query, params);
+      return this.formatDonationGoal(result.rows[0]);
+    } else if (this.dbType === 'sqlite') {
+      const query = 'INSERT INTO donation_goals (streamer_id, title, target_amount, unit, mint, starts_at, ends_at) VALUES (?, ?, ?, ?, ?, ?, ?)';
+      await this.query(query, params);
+      const result = await this.query('SELECT * FROM donation_goals WHERE id = last_insert_rowid()');
+      return this.formatDonationGoal(result.rows[0]);
+    }
+  }
+
+  // The goal the overlay shows: the newest one that hasn't been ended
+  async getActiveDonationGoal(streamerId) {
+    const query = this.dbType === 'postgresql' ? 
+      "SELECT * FROM donation_goals WHERE streamer_id = $1 AND status = 'active' ORDER BY created_at DESC, id DESC LIMIT 1" : 
+      "SELECT * FROM donation_goals WHERE streamer_id = ? AND status = 'active' ORDER BY created_at DESC, id DESC LIMIT 1";
+    const result = await this.query(query, [streamerId]);
+    return this.formatDonationGoal(result.rows[0]);
+  }
+
+  async getDonationGoals(streamerId, limit = 20) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM donation_goals WHERE streamer_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2' : 
+      'SELECT * FROM donation_goals WHERE streamer_id = ? ORDER BY created_at DESC, id DESC LIMIT ?';
+    const result = await this.query(query, [streamerId, limit]);
+    return result.rows.map(row => this.formatDonationGoal(row));
+  }
+
+  // Ending a goal also closes its window, so later donations don't count towards it
+  async endActiveDonationGoals(streamerId) {
+    const query = this.dbType === 'postgresql' ? 
+      "UPDATE donation_goals SET status = 'ended', ends_at = CASE WHEN ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP THEN CURRENT_TIMESTAMP ELSE ends_at END WHERE streamer_id = $1 AND status = 'active'" : 
+      "UPDATE donation_goals SET status = 'ended', ends_at = CASE WHEN ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP THEN CURRENT_TIMESTAMP ELSE ends_at END WHERE streamer_id = ? AND status = 'active'";
+    await this.query(query, [streamerId]);
+  }
+
+  async markDonationGoalCompleted(goalId) {
+    const query = this.dbType === 'postgresql' ? 
+      'UPDATE donation_goals SET completed_at = CURRENT_TIMESTAMP WHERE id = $1 AND completed_at IS NULL' : 
+      'UPDATE donation_goals SET completed_at = CURRENT_TIMESTAMP WHERE id = ? AND completed_at IS NULL';
+    await this.query(query, [goalId]);
+  }
+
+  // Donations counted towards a goal: SOL value for SOL goals, raw amounts of the
+  // goal's mint for token goals, between starts_at and the optional ends_at
+  async getDonationGoalProgress(goal) {
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return this.dbType === 'postgresql' ? `$${params.length}` : '?';
+    };
+
+    let where = `streamer_id = ${param(goal.streamer_id)} AND created_at >= ${param(goal.starts_at)}`;
+    if (goal.ends_at) {
+      where += ` AND created_at <= ${param(goal.ends_at)}`;
+    }
+
+    let sum = 'sol_value';
+    if (goal.unit === 'TOKEN') {
+      sum = 'amount';
+      where += ` AND mint = ${param(goal.mint)}`;
+    }
+
+    const result = await this.query(
+      `SELECT COALESCE(SUM(${sum}), 0) AS total, COUNT(*) AS donation_count, COUNT(DISTINCT from_address) AS donor_count FROM donations WHERE ${where}`,
+      params
+    );
+    const row = result.rows[0] || {};
+    return {
+      total: parseFloat(row.total) || 0,
+      donationCount: parseInt(row.donation_count) || 0,
+      donorCount: parseInt(row.donor_count) || 0
+    };
+  }
+
+  // Poll history. options is [{ number, text }]; ends_at is when voting closes
+  async createPoll(streamerId, poll) {
+    const params = [
+      streamerId,
+      poll.question,
+      poll.durationSeconds,
+      poll.createdBy || null,
+      poll.type || 'single',
+      poll.weighting || 'none',
+      this.toDbTimestamp(poll.startsAt),
+      this.toDbTimestamp(poll.endsAt)
+    ];
+
+    let pollId;
+    if (this.dbType === 'postgresql') {
+      const query = 'INSERT INTO polls (streamer_id, question, duration_seconds, created_by, poll_type, weighting, starts_at, ends_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id';
+      const result = await this.query(query, params);
+      pollId = result.rows[0].id;
+    } else if (this.dbType === 'sqlite') {
+      const query = 'INSERT INTO polls (streamer_id, question, duration_seconds, created_by, poll_type, weighting, starts_at, ends_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)';
+      await this.query(query, params);
+      const result = await this.query('SELECT id FROM polls WHERE id = last_insert_rowid()');
+      pollId = result.rows[0].id;
+    }
+
+    const optionQuery = this.dbType === 'postgresql' ? 
+      'INSERT INTO poll_options (poll_id, option_number, text) VALUES ($1, $2, $3)' : 
+      'INSERT INTO poll_options (poll_id, option_number, text) VALUES (?, ?, ?)';
+    for (const option of poll.options) {
+      await this.query(optionQuery, [pollId, option.number, option.text]);
+    }
+
+    return this.getPoll(streamerId, pollId);
+  }
+
+  // A poll with its options and vote counts, or null if it isn't this streamer's
+  async getPoll(streamerId, pollId) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM polls WHERE id = $1 AND streamer_id = $2' : 
+      'SELECT * FROM polls WHERE id = ? AND streamer_id = ?';
+    const result = await this.query(query, [pollId, streamerId]);
+    if (!result.rows[0]) return null;
+
+    const [poll] = await this.attachPollOptions(result.rows);
+    return poll;
+  }
+
+  // Options with their vote counts, lowest option number first, and the number of ballots for each poll row
+  async attachPollOptions(polls) {
+    if (polls.length === 0) return [];
+
+    const ids = polls.map(poll => poll.id);
+    const placeholders = ids.map((_, index) => this.dbType === 'postgresql' ? `$${index + 1}` : '?').join(', ');
+    const result = await this.query(
+      `SELECT o.poll_id, o.option_number, o.text, o.final_votes, o.weighted_votes, COUNT(v.id) AS votes FROM poll_options o LEFT JOIN poll_votes v ON v.poll_id = o.poll_id AND v.option_number = o.option_number WHERE o.poll_id IN (${placeholders}) GROUP BY o.poll_id, o.option_number, o.text, o.final_votes, o.weighted_votes ORDER BY o.poll_id, o.option_number`,
+      ids
+    );
+
+    const ballots = await this.query(
+      `SELECT poll_id, COUNT(*) AS ballots FROM poll_votes WHERE poll_id IN (${placeholders}) GROUP BY poll_id`,
+      ids
+    );
+
+    return polls.map(poll => ({
+      ...poll,
+      total_votes: parseInt((ballots.rows.find(row => row.poll_id === poll.id) || {}).ballots) || 0,
+      options: result.rows
+        .filter(row => row.poll_id === poll.id)
+        .map(row => ({
+          number: parseInt(row.option_number),
+          text: row.text,
+          // Ended polls keep their final tally (approvals, or the last runoff round); running ones count first choices
+          votes: row.final_votes === null ? parseInt(row.votes) || 0 : parseInt(row.final_votes),
+          weighted: row.weighted_votes === null ? null : parseFloat(row.weighted_votes)
+        }))
+    }));
+  }
+
+  // The poll that was running for a streamer, with every ballot so it can be resumed
+  async getActivePoll(streamerId) {
+    const query = this.dbType === 'postgresql' ? 
+      "SELECT * FROM polls WHERE streamer_id = $1 AND status = 'active' ORDER BY created_at DESC, id DESC LIMIT 1" : 
+      "SELECT * FROM polls WHERE streamer_id = ? AND status = 'active' ORDER BY created_at DESC, id DESC LIMIT 1";
+    const result = await this.query(query, [streamerId]);
+    if (!result.rows[0]) return null;
+
+    const [poll] = await this.attachPollOptions(result.rows);
+    poll.votes = await this.getPollVotes(poll.id);
+    return poll;
+  }
+
+  // Every ballot in a poll, in the order they were first cast
+  async getPollVotes(pollId) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT voter, wallet_address, option_number, ballot FROM poll_votes WHERE poll_id = $1 ORDER BY id' : 
+      'SELECT voter, wallet_address, option_number, ballot FROM poll_votes WHERE poll_id = ? ORDER BY id';
+    const result = await this.query(query, [pollId]);
+    return result.rows.map(row => ({
+      voter: row.voter,
+      walletAddress: row.wallet_address,
+      ballot: row.ballot ? row.ballot.split(',').map(n => parseInt(n)) : [parseInt(row.option_number)]
+    }));
+  }
+
+  async getRecentPolls(streamerId, limit = 10) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM polls WHERE streamer_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2' : 
+      'SELECT * FROM polls WHERE streamer_id = ? ORDER BY created_at DESC, id DESC LIMIT ?';
+    const result = await this.query(query, [streamerId, limit]);
+    return this.attachPollOptions(result.rows);
+  }
+
+  async getPredictionPolls(streamerId, limit = 10) {
+    const query = this.dbType === 'postgresql' ? 
+      "SELECT * FROM polls WHERE streamer_id = $1 AND poll_type = 'prediction' ORDER BY created_at DESC, id DESC LIMIT $2" : 
+      "SELECT * FROM polls WHERE streamer_id = ? AND poll_type = 'prediction' ORDER BY created_at DESC, id DESC LIMIT ?";
+    const result = await this.query(query, [streamerId, limit]);
+    return this.attachPollOptions(result.rows);
+  }
+
+  // One ballot per voter; voting again replaces it. ballot is the option numbers in the order
+  // given, and option_number its first choice
+  async savePollVote(pollId, voter, ballot, walletAddress = null) {
+    const query = this.dbType === 'postgresql' ? 
+      'INSERT INTO poll_votes (poll_id, voter, wallet_address, option_number, ballot) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (poll_id, voter) DO UPDATE SET option_number = EXCLUDED.option_number, ballot = EXCLUDED.ballot, wallet_address = EXCLUDED.wallet_address, updated_at = CURRENT_TIMESTAMP' : 
+      'INSERT INTO poll_votes (poll_id, voter, wallet_address, option_number, ballot) VALUES (?, ?, ?, ?, ?) ON CONFLICT (poll_id, voter) DO UPDATE SET option_number = excluded.option_number, ballot = excluded.ballot, wallet_address = excluded.wallet_address, updated_at = CURRENT_TIMESTAMP';
+    await this.query(query, [pollId, voter, walletAddress, ballot[0], ballot.join(',')]);
+  }
+
+  // Final tallies of an ended poll; options is [{ number, count, weighted }], weighted only for weighted polls
+  async savePollTallies(pollId, options) {
+    const query = this.dbType === 'postgresql' ? 
+      'UPDATE poll_options SET final_votes = $1, weighted_votes = $2 WHERE poll_id = $3 AND option_number = $4' : 
+      'UPDATE poll_options SET final_votes = ?, weighted_votes = ? WHERE poll_id = ? AND option_number = ?';
+    for (const option of options) {
+      await this.query(query, [option.count, option.weighted ?? null, pollId, option.number]);
+    }
+  }
+
+  // SOL value each wallet donated to a streamer between two times
+  async getSolDonatedByDonor(streamerId, since, until) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT from_address, COALESCE(SUM(sol_value), 0) AS total_sol FROM donations WHERE streamer_id = $1 AND created_at >= $2 AND created_at <= $3 GROUP BY from_address' : 
+      'SELECT from_address, COALESCE(SUM(sol_value), 0) AS total_sol FROM donations WHERE streamer_id = ? AND created_at >= ? AND created_at <= ? GROUP BY from_address';
+    const result = await this.query(query, [streamerId, this.toDbTimestamp(since), this.toDbTimestamp(until)]);
+    return result.rows.map(row => ({
+      walletAddress: row.from_address,
+      totalSol: parseFloat(row.total_sol) || 0
+    }));
+  }
+
+  // Predictions close as 'locked' until the streamer resolves them
+  async endPoll(pollId, status = 'ended') {
+    const query = this.dbType === 'postgresql' ? 
+      "UPDATE polls SET status = $1, ended_at = CURRENT_TIMESTAMP WHERE id = $2 AND status = 'active'" : 
+      "UPDATE polls SET status = ?, ended_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'";
+    await this.query(query, [status, pollId]);
+  }
+
+  // Polls that ran out of time (possibly while the server was down) end when their timer did
+  async closeExpiredPolls(streamerId) {
+    const query = this.dbType === 'postgresql' ? 
+      "UPDATE polls SET status = CASE WHEN poll_type = 'prediction' THEN 'locked' ELSE 'ended' END, ended_at = ends_at WHERE streamer_id = $1 AND status = 'active' AND ends_at <= CURRENT_TIMESTAMP" : 
+      "UPDATE polls SET status = CASE WHEN poll_type = 'prediction' THEN 'locked' ELSE 'ended' END, ended_at = ends_at WHERE streamer_id = ? AND status = 'active' AND ends_at <= CURRENT_TIMESTAMP";
+    await this.query(query, [streamerId]);
+  }
+
+  // Settle a locked prediction: entries is one row per voter, as computed by the poll service
+  async resolvePrediction(streamerId, pollId, optionNumber, entries) {
+    const resolveQuery = this.dbType === 'postgresql' ? 
+      "UPDATE polls SET status = 'resolved', resolved_option = $1, resolved_at = CURRENT_TIMESTAMP WHERE id = $2 AND streamer_id = $3 AND status = 'locked'" : 
+      "UPDATE polls SET status = 'resolved', resolved_option = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND streamer_id = ? AND status = 'locked'";
+    await this.query(resolveQuery, [optionNumber, pollId, streamerId]);
+
+    const entryQuery = this.dbType === 'postgresql' ? 
+      'INSERT INTO prediction_entries (poll_id, streamer_id, voter, wallet_address, option_number, stake, result, share, payout, payout_status) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)' : 
+      'INSERT INTO prediction_entries (poll_id, streamer_id, voter, wallet_address, option_number, stake, result, share, payout, payout_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+    for (const entry of entries) {
+      await this.query(entryQuery, [
+        pollId,
+        streamerId,
+        entry.voter,
+        entry.walletAddress,
+        entry.optionNumber,
+        entry.stake,
+        entry.result,
+        entry.share,
+        entry.payout,
+        entry.payout > 0 ? 'pending' : 'none'
+      ]);
+    }
+  }
+
+  // The payout ledger, oldest prediction first; pollId narrows it to one prediction
+  async getPredictionEntries(streamerId, pollId = null) {
+    const params = [streamerId];
+    let query = 'SELECT e.*, p.question, p.resolved_option, p.resolved_at, o.text AS option_text FROM prediction_entries e JOIN polls p ON p.id = e.poll_id LEFT JOIN poll_options o ON o.poll_id = e.poll_id AND o.option_number = e.option_number WHERE e.streamer_id = ' + (this.dbType === 'postgresql' ? '$1' : '?');
+    if (pollId) {
+      params.push(pollId);
+      query += ' AND e.poll_id = ' + (this.dbType === 'postgresql' ? '$2' : '?');
+    }
+    query += ' ORDER BY e.poll_id, e.id';
+
+    const result = await this.query(query, params);
+    return result.rows.map(row => ({
+      id: row.id,
+      pollId: row.poll_id,
+      question: row.question,
+      resolvedOption: row.resolved_option,
+      resolvedAt: this.fromDbTimestamp(row.resolved_at),
+      voter: row.voter,
+      walletAddress: row.wallet_address,
+      optionNumber: row.option_number,
+      optionText: row.option_text,
+      stake: parseFloat(row.stake) || 0,
+      result: row.result,
+      share: parseFloat(row.share) || 0,
+      payout: parseFloat(row.payout) || 0,
+      payoutStatus: row.payout_status,
+      payoutSignature: row.payout_signature,
+      paidAt: this.fromDbTimestamp(row.paid_at)
+    }));
+  }
+
+  // Payouts are sent by hand; this records that one went out
+  async markPredictionEntryPaid(streamerId, entryId, signature = null) {
+    const query = this.dbType === 'postgresql' ? 
+      "UPDATE prediction_entries SET payout_status = 'paid', payout_signature = $1, paid_at = CURRENT_TIMESTAMP WHERE id = $2 AND streamer_id = $3 AND payout_status = 'pending'" : 
+      "UPDATE prediction_entries SET payout_status = 'paid', payout_signature = ?, paid_at = CURRENT_TIMESTAMP WHERE id = ? AND streamer_id = ? AND payout_status = 'pending'";
+    await this.query(query, [signature, entryId, streamerId]);
+
+    const selectQuery = this.dbType === 'postgresql' ? 
+      'SELECT * FROM prediction_entries WHERE id = $1 AND streamer_id = $2' : 
+      'SELECT * FROM prediction_entries WHERE id = ? AND streamer_id = ?';
+    const result = await this.query(selectQuery, [entryId, streamerId]);
+    return result.rows[0] || null;
+  }
+
+  formatPollTemplate(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      options: typeof row.options === 'string' ? JSON.parse(row.options) : row.options
+    };
+  }
+
+  // Saved polls; options is a list of option texts (empty for yes/no polls)
+  async createPollTemplate(streamerId, template) {
+    const params = [
+      streamerId,
+      template.name,
+      template.question,
+      JSON.stringify(template.options || []),
+      template.type || 'single',
+      template.weighting || 'none',
+      template.durationSeconds
+    ];
+
+    if (this.dbType === 'postgresql') {
+      const query = 'INSERT INTO poll_templates (streamer_id, name, question, options, poll_type, weighting, duration_seconds) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *';
+      const result = await this.query(query, params);
+      return this.formatPollTemplate(result.rows[0]);
+    } else if (this.dbType === 'sqlite') {
+      const query = 'INSERT INTO poll_templates (streamer_id, name, question, options, poll_type, weighting, duration_seconds) VALUES (?, ?, ?, ?, ?, ?, ?)';
+      await this.query(query, params);
+      const result = await this.query('SELECT * FROM poll_templates WHERE id = last_insert_rowid()');
+      return this.formatPollTemplate(result.rows[0]);
+    }
+  }
+
+  async getPollTemplates(streamerId) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM poll_templates WHERE streamer_id = $1 ORDER BY name, id' : 
+      'SELECT * FROM poll_templates WHERE streamer_id = ? ORDER BY name, id';
+    const result = await this.query(query, [streamerId]);
+    return result.rows.map(row => this.formatPollTemplate(row));
+  }
+
+  async getPollTemplate(streamerId, templateId) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM poll_templates WHERE id = $1 AND streamer_id = $2' : 
+      'SELECT * FROM poll_templates WHERE id = ? AND streamer_id = ?';
+    const result = await this.query(query, [templateId, streamerId]);
+    return this.formatPollTemplate(result.rows[0]);
+  }
+
+  // Takes the template's queue entries and schedules with it
+  async deletePollTemplate(streamerId, templateId) {
+    const queueQuery = this.dbType === 'postgresql' ? 
+      'DELETE FROM poll_queue WHERE template_id = $1 AND streamer_id = $2' : 
+      'DELETE FROM poll_queue WHERE template_id = ? AND streamer_id = ?';
+    await this.query(queueQuery, [templateId, streamerId]);
+
+    const schedulesQuery = this.dbType === 'postgresql' ? 
+      'DELETE FROM poll_schedules WHERE template_id = $1 AND streamer_id = $2' : 
+      'DELETE FROM poll_schedules WHERE template_id = ? AND streamer_id = ?';
+    await this.query(schedulesQuery, [templateId, streamerId]);
+
+    const query = this.dbType === 'postgresql' ? 
+      'DELETE FROM poll_templates WHERE id = $1 AND streamer_id = $2' : 
+      'DELETE FROM poll_templates WHERE id = ? AND streamer_id = ?';
+    await this.query(query, [templateId, streamerId]);
+  }
+
+  // Queued polls go to the back of the line
+  async addToPollQueue(streamerId, templateId) {
+    const positionQuery = this.dbType === 'postgresql' ? 
+      'SELECT COALESCE(MAX(position), 0) AS last_position FROM poll_queue WHERE streamer_id = $1' : 
+      'SELECT COALESCE(MAX(position), 0) AS last_position FROM poll_queue WHERE streamer_id = ?';
+    const last = await this.query(positionQuery, [streamerId]);
+    const position = (parseInt(last.rows[0].last_position) || 0) + 1;
+
+    const query = this.dbType === 'postgresql' ? 
+      'INSERT INTO poll_queue (streamer_id, template_id, position) VALUES ($1, $2, $3)' : 
+      'INSERT INTO poll_queue (streamer_id, template_id, position) VALUES (?, ?, ?)';
+    await this.query(query, [streamerId, templateId, position]);
+  }
+
+  // Polls still waiting their turn, next first, each with its template
+  async getPollQueue(streamerId) {
+    const query = this.dbType === 'postgresql' ? 
+      "SELECT q.id AS queue_id, q.position, t.* FROM poll_queue q JOIN poll_templates t ON t.id = q.template_id WHERE q.streamer_id = $1 AND q.status = 'queued' ORDER BY q.position, q.id" : 
+      "SELECT q.id AS queue_id, q.position, t.* FROM poll_queue q JOIN poll_templates t ON t.id = q.template_id WHERE q.streamer_id = ? AND q.status = 'queued' ORDER BY q.position, q.id";
+    const result = await this.query(query, [streamerId]);
+    return result.rows.map(({ queue_id, position, ...template }) => ({
+      id: queue_id,
+      position,
+      template: this.formatPollTemplate(template)
+    }));
+  }
+
+  async removeFromPollQueue(streamerId, itemId) {
+    const query = this.dbType === 'postgresql' ? 
+      "DELETE FROM poll_queue WHERE id = $1 AND streamer_id = $2 AND status = 'queued'" : 
+      "DELETE FROM poll_queue WHERE id = ? AND streamer_id = ? AND status = 'queued'";
+    await this.query(query, [itemId, streamerId]);
+  }
+
+  async clearPollQueue(streamerId) {
+    const query = this.dbType === 'postgresql' ? 
+      "DELETE FROM poll_queue WHERE streamer_id = $1 AND status = 'queued'" : 
+      "DELETE FROM poll_queue WHERE streamer_id = ? AND status = 'queued'";
+    await this.query(query, [streamerId]);
+  }
+
+  // status is 'started' (with the poll it started) or 'failed'
+  async markPollQueueItem(itemId, status, pollId = null) {
+    const query = this.dbType === 'postgresql' ? 
+      'UPDATE poll_queue SET status = $1, poll_id = $2, started_at = CURRENT_TIMESTAMP WHERE id = $3' : 
+      'UPDATE poll_queue SET status = ?, poll_id = ?, started_at = CURRENT_TIMESTAMP WHERE id = ?';
+    await this.query(query, [status, pollId, itemId]);
+  }
+
+  async createPollSchedule(streamerId, schedule) {
+    const params = [streamerId, schedule.templateId, schedule.cronExpression, schedule.timezone || null];
+
+    if (this.dbType === 'postgresql') {
+      const query = 'INSERT INTO poll_schedules (streamer_id, template_id, cron_expression, timezone) VALUES ($1, $2, $3, $4) RETURNING id';
+      const result = await this.query(query, params);
+      return this.getPollSchedule(streamerId, result.rows[0].id);
+    } else if (this.dbType === 'sqlite') {
+      const query = 'INSERT INTO poll_schedules (streamer_id, template_id, cron_expression, timezone) VALUES (?, ?, ?, ?)';
+      await this.query(query, params);
+      const result = await this.query('SELECT id FROM poll_schedules WHERE id = last_insert_rowid()');
+      return this.getPollSchedule(streamerId, result.rows[0].id);
+    }
+  }
+
+  formatPollSchedule(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      enabled: !!row.enabled,
+      last_run_at: this.fromDbTimestamp(row.last_run_at)
+    };
+  }
+
+  // Every streamer's schedules when streamerId is null, each with its template's name
+  async getPollSchedules(streamerId = null) {
+    let query = 'SELECT s.*, t.name AS template_name FROM poll_schedules s JOIN poll_templates t ON t.id = s.template_id';
+    const params = [];
+    if (streamerId) {
+      query += ' WHERE s.streamer_id = ' + (this.dbType === 'postgresql' ? '$1' : '?');
+      params.push(streamerId);
+    }
+    query += ' ORDER BY s.id';
+    const result = await this.query(query, params);
+    return result.rows.map(row => this.formatPollSchedule(row));
+  }
+
+  async getPollSchedule(streamerId, scheduleId) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT s.*, t.name AS template_name FROM poll_schedules s JOIN poll_templates t ON t.id = s.template_id WHERE s.id = $1 AND s.streamer_id = $2' : 
+      'SELECT s.*, t.name AS template_name FROM poll_schedules s JOIN poll_templates t ON t.id = s.template_id WHERE s.id = ? AND s.streamer_id = ?';
+    const result = await this.query(query, [scheduleId, streamerId]);
+    return this.formatPollSchedule(result.rows[0]);
+  }
+
+  async setPollScheduleEnabled(streamerId, scheduleId, enabled) {
+    const query = this.dbType === 'postgresql' ? 
+      'UPDATE poll_schedules SET enabled = $1 WHERE id = $2 AND streamer_id = $3' : 
+      'UPDATE poll_schedules SET enabled = ? WHERE id = ? AND streamer_id = ?';
+    await this.query(query, [enabled, scheduleId, streamerId]);
+  }
+
+  async deletePollSchedule(streamerId, scheduleId) {
+    const query = this.dbType === 'postgresql' ? 
+      'DELETE FROM poll_schedules WHERE id = $1 AND streamer_id = $2' : 
+      'DELETE FROM poll_schedules WHERE id = ? AND streamer_id = ?';
+    await this.query(query, [scheduleId, streamerId]);
+  }
+
+  // What happened the last time a schedule fired, for the poll page
+  async recordPollScheduleRun(scheduleId, result) {
+    const query = this.dbType === 'postgresql' ? 
+      'UPDATE poll_schedules SET last_run_at = CURRENT_TIMESTAMP, last_result = $1 WHERE id = $2' : 
+      'UPDATE poll_schedules SET last_run_at = CURRENT_TIMESTAMP, last_result = ? WHERE id = ?';
+    await this.query(query, [result, scheduleId]);
+  }
+
+  formatPollProposal(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      options: typeof row.options === 'string' ? JSON.parse(row.options) : row.options,
+      created_at: this.fromDbTimestamp(row.created_at)
+    };
+  }
+
+  // Viewer-submitted polls waiting for the streamer; options is empty for yes/no polls
+  async createPollProposal(streamerId, proposal) {
+    const params = [
+      streamerId,
+      proposal.proposer,
+      proposal.walletAddress || null,
+      proposal.question,
+      JSON.stringify(proposal.options || []),
+      proposal.type || 'single'
+    ];
+
+    if (this.dbType === 'postgresql') {
+      const query = 'INSERT INTO poll_proposals (streamer_id, proposer, wallet_address, question, options, poll_type) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *';
+      const result = await this.query(query, params);
+      return this.formatPollProposal(result.rows[0]);
+    } else if (this.dbType === 'sqlite') {
+      const query = 'INSERT INTO poll_proposals (streamer_id, proposer, wallet_address, question, options, poll_type) VALUES (?, ?, ?, ?, ?, ?)';
+      await this.query(query, params);
+      const result = await this.query('SELECT * FROM poll_proposals WHERE id = last_insert_rowid()');
+      return this.formatPollProposal(result.rows[0]);
+    }
+  }
+
+  // Oldest first, so proposals are reviewed in the order they came in
+  async getPollProposals(streamerId, status = 'pending') {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM poll_proposals WHERE streamer_id = $1 AND status = $2 ORDER BY created_at, id' : 
+      'SELECT * FROM poll_proposals WHERE streamer_id = ? AND status = ? ORDER BY created_at, id';
+    const result = await this.query(query, [streamerId, status]);
+    return result.rows.map(row => this.formatPollProposal(row));
+  }
+
+  async getPollProposal(streamerId, proposalId) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM poll_proposals WHERE id = $1 AND streamer_id = $2' : 
+      'SELECT * FROM poll_proposals WHERE id = ? AND streamer_id = ?';
+    const result = await this.query(query, [proposalId, streamerId]);
+    return this.formatPollProposal(result.rows[0]);
+  }
+
+  // status is 'approved' (with the poll it started) or 'rejected'
+  async reviewPollProposal(streamerId, proposalId, status, pollId = null) {
+    const query = this.dbType === 'postgresql' ? 
+      "UPDATE poll_proposals SET status = $1, poll_id = $2, reviewed_at = CURRENT_TIMESTAMP WHERE id = $3 AND streamer_id = $4 AND status = 'pending'" : 
+      "UPDATE poll_proposals SET status = ?, poll_id = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ? AND streamer_id = ? AND status = 'pending'";
+    await this.query(query, [status, pollId, proposalId, streamerId]);
+  }
+
+  formatStreamerRole(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      created_at: this.fromDbTimestamp(row.created_at),
+      updated_at: this.fromDbTimestamp(row.updated_at)
+    };
+  }
+
+  async getStreamerRoles(streamerId) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM streamer_roles WHERE streamer_id = $1 ORDER BY created_at, id' : 
+      'SELECT * FROM streamer_roles WHERE streamer_id = ? ORDER BY created_at, id';
+    const result = await this.query(query, [streamerId]);
+    return result.rows.map(row => this.formatStreamerRole(row));
+  }
+
+  async getStreamerRole(streamerId, address) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM streamer_roles WHERE streamer_id = $1 AND address = $2' : 
+      'SELECT * FROM streamer_roles WHERE streamer_id = ? AND address = ?';
+    const result = await this.query(query, [streamerId, address]);
+    return this.formatStreamerRole(result.rows[0]);
+  }
+
+  // An address has one role per streamer; setting another replaces it
+  async setStreamerRole(streamerId, address, role, addedBy) {
+    const query = this.dbType === 'postgresql' ? 
+      'INSERT INTO streamer_roles (streamer_id, address, role, added_by) VALUES ($1, $2, $3, $4) ON CONFLICT (streamer_id, address) DO UPDATE SET role = excluded.role, added_by = excluded.added_by, updated_at = CURRENT_TIMESTAMP' : 
+      'INSERT INTO streamer_roles (streamer_id, address, role, added_by) VALUES (?, ?, ?, ?) ON CONFLICT (streamer_id, address) DO UPDATE SET role = excluded.role, added_by = excluded.added_by, updated_at = CURRENT_TIMESTAMP';
+    await this.query(query, [streamerId, address, role, addedBy || null]);
+  }
+
+  async deleteStreamerRole(streamerId, address) {
+    const query = this.dbType === 'postgresql' ? 
+      'DELETE FROM streamer_roles WHERE streamer_id = $1 AND address = $2' : 
+      'DELETE FROM streamer_roles WHERE streamer_id = ? AND address = ?';
+    await this.query(query, [streamerId, address]);
+  }
+
+  // action is 'add', 'change' or 'remove'; source is 'chat', 'dashboard' or 'migration'
+  async addStreamerRoleAudit(streamerId, entry) {
+    const query = this.dbType === 'postgresql' ? 
+      'INSERT INTO streamer_role_audit (streamer_id, address, action, role, previous_role, actor, source) VALUES ($1, $2, $3, $4, $5, $6, $7)' : 
+      'INSERT INTO streamer_role_audit (streamer_id, address, action, role, previous_role, actor, source) VALUES (?, ?, ?, ?, ?, ?, ?)';
+    await this.query(query, [streamerId, entry.address, entry.action, entry.role || null, entry.previousRole || null, entry.actor || null, entry.source]);
+  }
+
+  // Newest first
+  async getStreamerRoleAudit(streamerId, limit = 20) {
+    const query = this.dbType === 'postgresql' ? 
+      'SELECT * FROM streamer_role_audit WHERE streamer_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2' : 
+      'SELECT * FROM streamer_role_audit WHERE streamer_id = ? ORDER BY created_at DESC, id DESC LIMIT ?';
+    const result = await this.query(query, [streamerId, limit]);
+    return result.rows.map(row => ({
+      ...row,
+      created_at: this.fromDbTimestamp(row.created_at)
+    }));
+  }
+
+  // Totals across every poll a streamer has run, and the option text voted for most
+  async getPollStats(streamerId) {
+    const param = this.dbType === 'postgresql' ? '$1' : '?';
+    const totals = await this.query(
+      `SELECT COUNT(*) AS total_polls, COALESCE(SUM(CASE WHEN status = 'active' THEN 0 ELSE 1 END), 0) AS completed_polls FROM polls WHERE streamer_id = ${param}`,
+      [streamerId]
+    );
+    const votes = await this.query(
+      `SELECT COUNT(*) AS total_votes, COUNT(DISTINCT v.voter) AS unique_voters FROM poll_votes v JOIN polls p ON p.id = v.poll_id WHERE p.streamer_id = ${param}`,
+      [streamerId]
+    );
+    const popular = await this.query(
+      `SELECT o.text, COUNT(v.id) AS votes FROM poll_options o JOIN polls p ON p.id = o.poll_id JOIN poll_votes v ON v.poll_id = o.poll_id AND v.option_number = o.option_number WHERE p.streamer_id = ${param} GROUP BY o.text ORDER BY votes DESC, o.text LIMIT 1`,
+      [streamerId]
+    );
+
+    const totalsRow = totals.rows[0] || {};
+    const votesRow = votes.rows[0] || {};
+    const popularRow = popular.rows[0];
+    return {
+      totalPolls: parseInt(totalsRow.total_polls) || 0,
+      completedPolls: parseInt(totalsRow.completed_polls) || 0,
+      totalVotes: parseInt(votesRow.total_votes) || 0,
+      uniqueVoters: parseInt(votesRow.unique_voters) || 0,
+      mostPopularOption: popularRow ? { text: popularRow.text, votes: parseInt(popularRow.votes) || 0 } : null
+    };
+  }
+
   async createStreamerConfig(configData) {
     const { user_id, streamer_id, username, wallet_address, token_address } = configData;
     
@@ -0,0 +1,191 @@
+const EventEmitter = require('events');
+
+const GOAL_UNITS = ['SOL', 'TOKEN'];
+
+// Donation goals for the /browser-source/goal overlay. Progress is read from the
+// donations ledger, so it survives restarts and counts every donation the wallet
+// monitor recorded since the goal started. Emits 'goal-completed' once per goal.
+class GoalService extends EventEmitter {
+  constructor() {
+    super();
+    this.databaseService = null;
+    this.io = null;
+    this.completedGoals = new Set(); // Goal ids already announced, so racing donations don't announce twice
+  }
+
+  async initialize(databaseService, io) {
+    this.databaseService = databaseService;
+    this.io = io;
+    console.log('✅ Goal Service initialized');
+  }
+
+  validateGoal(goal) {
+    const errors = [];
+
+    const title = String(goal.title || '').trim();
+    if (!title) {
+      errors.push('Goal title is required');
+    } else if (title.length > 100) {
+      errors.push('Goal title must be 100 characters or less');
+    }
+
+    if (!(parseFloat(goal.target_amount) > 0)) {
+      errors.push('Goal target must be more than 0');
+    }
+
+    if (goal.unit !== undefined && !GOAL_UNITS.includes(goal.unit)) {
+      errors.push(`Goal unit must be one of: ${GOAL_UNITS.join(', ')}`);
+    }
+
+    const startsAt = goal.starts_at ? new Date(goal.starts_at) : new Date();
+    if (isNaN(startsAt.getTime())) {
+      errors.push('Start time is not a valid date');
+    }
+
+    if (goal.ends_at) {
+      const endsAt = new Date(goal.ends_at);
+      if (isNaN(endsAt.getTime())) {
+        errors.push('Deadline is not a valid date');
+      } else if (endsAt <= startsAt || endsAt <= new Date()) {
+        errors.push('Deadline must be in the future and after the start time');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  // Starting a goal ends the current one; token goals track the streamer's own token
+  async createGoal(streamerId, goal, tokenAddress) {
+    const unit = goal.unit || 'SOL';
+    if (unit === 'TOKEN' && !tokenAddress) {
+      throw new Error('This streamer has no token to set a token goal in');
+    }
+
+    await this.databaseService.endActiveDonationGoals(streamerId);
+    const created = await this.databaseService.createDonationGoal(streamerId, {
+      title: String(goal.title).trim(),
+      targetAmount: parseFloat(goal.target_amount),
+      unit,
+      mint: unit === 'TOKEN' ? tokenAddress : null,
+      startsAt: goal.starts_at || new Date(),
+      endsAt: goal.ends_at || null
+    });
+    console.log(`🎯 [GOALS] Started goal "${created.title}" for ${streamerId}: ${created.target_amount} ${unit}`);
+
+    // Donations since starts_at may already count towards it
+    return this.refreshGoal(streamerId);
+  }
+
+  async endGoal(streamerId) {
+    const goal = await this.databaseService.getActiveDonationGoal(streamerId);
+    if (!goal) return false;
+
+    await this.databaseService.endActiveDonationGoals(streamerId);
+    console.log(`🎯 [GOALS] Ended goal "${goal.title}" for ${streamerId}`);
+    this.broadcastGoal(streamerId, null);
+    return true;
+  }
+
+  /**
+   * Current goal with its progress, as sent to the overlay
+   * @param {string} streamerId
+   * @returns {Promise<Object|null>} null when the streamer has no active goal
+   */
+  async getGoalState(streamerId) {
+    const goal = await this.databaseService.getActiveDonationGoal(streamerId);
+    return goal ? this.describeGoal(streamerId, goal) : null;
+  }
+
+  // Recent goals, newest first, each with the progress it made
+  async getGoalHistory(streamerId, limit = 20) {
+    const goals = await this.databaseService.getDonationGoals(streamerId, limit);
+    return Promise.all(goals.map(goal => this.describeGoal(streamerId, goal)));
+  }
+
+  async describeGoal(streamerId, goal) {
+    const progress = await this.databaseService.getDonationGoalProgress(goal);
+    const endsAt = this.toISOString(goal.ends_at);
+    const completedAt = this.toISOString(goal.completed_at);
+    const expired = !!endsAt && new Date(endsAt) <= new Date();
+
+    let status = 'active';
+    if (completedAt) status = 'completed';
+    else if (goal.status === 'ended') status = 'ended';
+    else if (expired) status = 'expired';
+
+    return {
+      id: goal.id,
+      title: goal.title,
+      target: goal.target_amount,
+      unit: goal.unit,
+      unitLabel: await this.getUnitLabel(streamerId, goal),
+      current: progress.total,
+      percent: Math.min(100, Math.round(progress.total / goal.target_amount * 1000) / 10),
+      donationCount: progress.donationCount,
+      donorCount: progress.donorCount,
+      startsAt: this.toISOString(goal.starts_at),
+      endsAt,
+      completedAt,
+      expired,
+      status
+    };
+  }
+
+  async getUnitLabel(streamerId, goal) {
+    if (goal.unit !== 'TOKEN') return 'SOL';
+    const ttsSettings = await this.databaseService.getTTSSettings(streamerId);
+    const accepted = ttsSettings && Array.isArray(ttsSettings.accepted_mints) ? ttsSettings.accepted_mints : [];
+    const rule = accepted.find(rule => rule.mint === goal.mint);
+    return (rule && rule.symbol) || 'tokens';
+  }
+
+  // Called for every recorded donation: push the new progress and announce the goal once it's reached
+  async refreshGoal(streamerId) {
+    const state = await this.getGoalState(streamerId);
+    if (!state) return null;
+
+    if (!state.completedAt && !state.expired && state.current >= state.target && !this.completedGoals.has(state.id)) {
+      this.completedGoals.add(state.id);
+      await this.databaseService.markDonationGoalCompleted(state.id);
+      state.completedAt = new Date().toISOString();
+      state.status = 'completed';
+      state.justCompleted = true;
+
+      console.log(`🎉 [GOALS] Goal "${state.title}" reached for ${streamerId}: ${state.current}/${state.target} ${state.unitLabel}`);
+      this.emit('goal-completed', {
+        streamerId,
+        goal: state,
+        message: this.formatCompletionMessage(state)
+      });
+    }
+
+    this.broadcastGoal(streamerId, state);
+    return state;
+  }
+
+  formatCompletionMessage(state) {
+    return `🎯 Goal reached: ${state.title} (${this.formatAmount(state.current)}/${this.formatAmount(state.target)} ${state.unitLabel}) from ${state.donorCount} donor${state.donorCount === 1 ? '' : 's'}. Thank you!`;
+  }
+
+  formatAmount(amount) {
+    return Number(amount.toFixed(4)).toString();
+  }
+
+  broadcastGoal(streamerId, state) {
+    if (this.io) {
+      this.io.to(`streamer-${streamerId}`).emit('goal-update', { streamerId, goal: state });
+    }
+  }
+
+  // sqlite hands back CURRENT_TIMESTAMP-style UTC strings without a zone
+  toISOString(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value.toISOString();
+    return new Date(`${String(value).replace(' ', 'T')}Z`).toISOString();
+  }
+}
+
+module.exports = GoalService;
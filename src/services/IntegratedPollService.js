@@ -1,12 +1,52 @@
+const EventEmitter = require('events');
 const WebSocket = require('ws');
+const { PublicKey } = require('@solana/web3.js');
 const { PumpChatClient } = require('../lib/viri-pump-client');
 
-class IntegratedPollService {
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+
+// 'none' counts one vote per viewer; 'token' weighs each vote by the voter's holdings of the
+// streamer's token when the poll started, 'donation' by the SOL they donated while it runs
+const VOTE_WEIGHTINGS = ['none', 'token', 'donation'];
+
+// 'single' takes one number, 'approval' every number the viewer approves of ("1 3"),
+// 'ranked' numbers in order of preference, tallied by instant runoff, and 'yesno' yes or no.
+// 'prediction' takes one number that can't be changed, locks at the deadline instead of
+// ending, and is won by whatever the streamer resolves it to later
+const POLL_TYPES = ['single', 'approval', 'ranked', 'yesno', 'prediction'];
+const YES_NO_OPTIONS = { 1: 'Yes', 2: 'No' };
+
+const VOTE_INSTRUCTIONS = {
+  single: 'vote by typing the number!',
+  approval: 'type every number you approve of, e.g. 1 3',
+  ranked: 'rank your picks by typing numbers in order, e.g. 2 1 3',
+  yesno: 'type yes or no!',
+  prediction: 'lock in your pick by typing the number, no changing it later!'
+};
+
+// 'poll-runner' can start polls from chat, 'mod' can also hand out and take away the poll-runner
+// role, and 'owner' can manage every role. The streamer's own wallet is always an owner.
+const ROLES = ['owner', 'mod', 'poll-runner'];
+const ROLE_RANKS = { owner: 3, mod: 2, 'poll-runner': 1 };
+
+// Viewers can propose any type but a prediction, whose payouts the streamer has to stand behind.
+// With require_donation, a proposer needs min_donation SOL donated within the window.
+const PROPOSAL_TYPES = ['single', 'approval', 'ranked', 'yesno'];
+const PROPOSAL_DONATION_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_PENDING_PROPOSALS = 25;
+
+// Emits 'poll-ended' with the results and a chat announcement whenever a poll closes,
+// 'prediction-resolved' with the settled prediction and an announcement once one is resolved,
+// and 'proposal-approved' with the poll a viewer proposed and its start announcement
+class IntegratedPollService extends EventEmitter {
   constructor() {
-    this.streamers = new Map(); // streamerId -> { pollManager, chatClient, whitelist, config }
+    super();
+    this.streamers = new Map(); // streamerId -> { pollManager, chatClient, roles, config }
     this.isConnectedFlag = false;
     this.subscribers = new Map(); // streamerId -> Set of WebSocket connections
     this.io = null; // Socket.IO instance
+    this.rpcPool = null; // Shared with the wallet monitor, for token holder snapshots
+    this.resolvingPredictions = new Set(); // Poll ids being settled, so a double click doesn't pay out twice
   }
 
   async initialize() {
@@ -62,27 +102,9 @@ class IntegratedPollService {
             console.log(`🤖 Loading poll bot for streamer ${streamerId} (token: ${streamer.token_address})`);
             
             // Create poll bot
-            let whitelist = [];
-            if (pollSettings.whitelist) {
-              if (typeof pollSettings.whitelist === 'string') {
-                try {
-                  whitelist = JSON.parse(pollSettings.whitelist);
-                } catch (e) {
-                  console.log(`⚠️ Failed to parse whitelist JSON for ${streamerId}:`, e.message);
-                  whitelist = [];
-                }
-              } else if (Array.isArray(pollSettings.whitelist)) {
-                whitelist = pollSettings.whitelist;
-              } else {
-                console.log(`⚠️ Invalid whitelist format for ${streamerId}:`, typeof pollSettings.whitelist);
-                whitelist = [];
-              }
-            }
-            
             await this.createStreamerPoll(streamerId, {
               tokenAddress: streamer.token_address,
-              walletAddress: streamer.wallet_address,
-              whitelist: whitelist
+              walletAddress: streamer.wallet_address
             });
             
             // Start chat connection
@@ -109,24 +131,27 @@ class IntegratedPollService {
     this.io = io;
   }
 
+  setRpcPool(rpcPool) {
+    this.rpcPool = rpcPool;
+  }
+
   // Create a new streamer poll instance
   async createStreamerPoll(streamerId, config) {
     try {
-      const { tokenAddress, walletAddress, whitelist = [] } = config;
+      const { tokenAddress } = config;
       
       // Create poll manager for this streamer
       const pollManager = new PollManager(streamerId);
-      
-      // Set up whitelist
-      const whitelistSet = new Set(whitelist);
+      pollManager.on('result', (results) => this.handlePollResult(streamerId, results));
       
       // Store streamer instance
       this.streamers.set(streamerId, {
         pollManager,
-        whitelist: whitelistSet,
+        roles: new Map(), // address -> role, besides the streamer's wallet
         config,
         isActive: false
       });
+      await this.loadRoles(streamerId);
       
       // Subscribe to shared chat monitor
       if (this.chatMonitorManager) {
@@ -137,6 +162,9 @@ class IntegratedPollService {
       
       // Set up event handlers
       this.setupStreamerEventHandlers(streamerId);
+
+      // Pick up a poll that was still running when the server went down
+      await this.restoreActivePoll(streamerId);
       
       console.log(`✅ Poll service created for streamer ${streamerId} (token: ${config.tokenAddress})`);
       return { success: true, streamerId };
@@ -190,44 +218,61 @@ class IntegratedPollService {
     }
   }
 
+  // Runs once per poll, whether its timer ran out or it was ended from the dashboard
+  handlePollResult(streamerId, results) {
+    this.updatePollInDatabase(streamerId, results.id, {
+      status: results.type === 'prediction' ? 'locked' : 'ended',
+      tallies: results.options
+    });
 
-  // Vote on a poll
-  async votePoll(streamerId, voterAddress, optionNumber) {
-    const streamer = this.streamers.get(streamerId);
-    if (!streamer) {
-      throw new Error(`Streamer ${streamerId} not found`);
-    }
-
-    const success = streamer.pollManager.vote(voterAddress, optionNumber);
-    if (success) {
-      // Broadcast update
-      this.broadcastToSubscribers(streamerId, {
-        type: 'poll-update',
-        poll: this.formatPollForDisplay(streamer.pollManager.current)
-      });
-    }
+    this.broadcastToSubscribers(streamerId, {
+      type: 'poll-end',
+      results
+    });
 
-    return { success };
+    this.emit('poll-ended', {
+      streamerId,
+      results,
+      message: this.formatResultMessage(results)
+    });
   }
 
-  // End a poll
-  async endPoll(streamerId) {
-    const streamer = this.streamers.get(streamerId);
-    if (!streamer) return null;
-
-    const results = streamer.pollManager.winner();
-    streamer.pollManager.stop();
+  // poll is a running PollManager poll
+  formatStartMessage(poll) {
+    const pretty = Array.from(poll.options.entries()).map(([number, text]) => `${number}:${text}`).join('  ');
+    const duration = Math.round((poll.endsAt - poll.createdAt) / 1000);
+    return `📊 Poll started: "${poll.question}" — ${VOTE_INSTRUCTIONS[poll.type]} (${pretty}) Ends in ${duration}s`;
+  }
 
-    // Update database
-    await this.updatePollInDatabase(streamerId, { status: 'ended' });
+  formatResultMessage(results) {
+    if (results.type === 'prediction') {
+      const picks = `${results.totalVotes} pick${results.totalVotes === 1 ? '' : 's'}`;
+      const staked = results.weighting === 'donation' ?
+        ` backed by ${this.formatSol(results.options.reduce((sum, option) => sum + option.weighted, 0))} SOL` : '';
+      return `🔒 Predictions locked: ${picks}${staked}. Results once it's decided!`;
+    }
+    const rounds = results.rounds && results.rounds.length > 1 ? ` after ${results.rounds.length} rounds` : '';
+    if (results.winner) {
+      const { number, text } = results.winner;
+      return `🏁 Poll ended! Winner: ${number} — ${text} (${this.formatOptionTally(results, results.winner)}${rounds})`;
+    }
+    if (results.isTie) {
+      const tied = results.winners.map(option => `${option.number} — ${option.text}`).join(', ');
+      return `🏁 Poll ended in a tie between ${tied} (${this.formatOptionTally(results, results.winners[0])} each${rounds})`;
+    }
+    return `🏁 Poll ended! No votes.`;
+  }
 
-    // Broadcast end
-    this.broadcastToSubscribers(streamerId, {
-      type: 'poll-end',
-      results
-    });
+  formatOptionTally(results, option) {
+    const noun = results.type === 'approval' ? 'approval' : 'vote';
+    const votes = `${option.count} ${noun}${option.count === 1 ? '' : 's'}`;
+    if (results.weighting === 'none') return votes;
+    const unit = results.weighting === 'donation' ? 'SOL' : 'tokens';
+    return `${Number(option.weighted.toFixed(4)).toLocaleString('en-US')} ${unit} from ${votes}`;
+  }
 
-    return results;
+  formatSol(amount) {
+    return Number(amount.toFixed(4)).toLocaleString('en-US');
   }
 
   // Get active poll for a streamer
@@ -241,29 +286,20 @@ class IntegratedPollService {
     if (!poll) return null;
     
     return {
-      id: 'current',
+      id: poll.id || 'current',
       question: poll.question,
       options: poll.options,
       counts: poll.counts,
+      votes: poll.votes,
+      type: poll.type,
+      weighting: poll.weighting,
+      weightedCounts: poll.weightedCounts,
+      createdAt: poll.createdAt,
       endsAt: poll.endsAt,
       closed: poll.closed
     };
   }
 
-  // Get poll statistics
-  async getPollStats(streamerId) {
-    // This would fetch from database
-    return {
-      totalPolls: 0,
-      activePolls: this.streamers.get(streamerId)?.pollManager.isActive() ? 1 : 0,
-      completedPolls: 0,
-      totalVotes: 0,
-      averageVotesPerPoll: 0,
-      mostPopularOption: null,
-      recentPolls: []
-    };
-  }
-
   // Subscribe to poll updates
   subscribe(streamerId, callback) {
     if (!this.subscribers.has(streamerId)) {
@@ -311,25 +347,18 @@ class IntegratedPollService {
   }
 
   // Helper methods
-  isSenderPrivileged(streamerId, username) {
-    const streamer = this.streamers.get(streamerId);
-    if (!streamer) return false;
-    
-    const isWhitelisted = streamer.whitelist.has(username);
-    const isSolAddress = this.isSolAddress(username);
-    return isSolAddress && isWhitelisted;
-  }
-
   isSolAddress(str) {
     return typeof str === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(str);
   }
 
+  // /poll [approval|ranked|yesno|prediction] "Question" 1:OptA 2:OptB [seconds]; yes/no polls take no options
   parsePollCommand(text) {
-    const m = text.match(/^\/poll\s+"([^"]+)"\s+(.+)$/i);
+    const m = text.match(/^\/poll(?:\s+(single|approval|ranked|yesno|prediction))?\s+"([^"]+)"(?:\s+(.+))?$/i);
     if (!m) return null;
     
-    const question = m[1].trim();
-    const rest = m[2];
+    const type = (m[1] || 'single').toLowerCase();
+    const question = m[2].trim();
+    const rest = m[3] || '';
     const parts = rest.trim().split(/\s+/);
     let duration = 60;
     let optStr = rest;
@@ -339,7 +368,34 @@ class IntegratedPollService {
       duration = Math.max(5, Math.min(300, parseInt(last, 10)));
       optStr = parts.slice(0, -1).join(' ');
     }
+
+    if (type === 'yesno') {
+      return optStr.trim() ? null : { type, question, options: { ...YES_NO_OPTIONS }, duration };
+    }
     
+    const options = this.parseOptionList(optStr);
+    return options ? { type, question, options, duration } : null;
+  }
+
+  // /propose [approval|ranked|yesno] "Question" 1:OptA 2:OptB; the streamer picks the duration on approval
+  parseProposeCommand(text) {
+    const m = text.match(/^\/propose(?:\s+(single|approval|ranked|yesno))?\s+"([^"]+)"(?:\s+(.+))?$/i);
+    if (!m) return null;
+
+    const type = (m[1] || 'single').toLowerCase();
+    const question = m[2].trim();
+    const rest = (m[3] || '').trim();
+
+    if (type === 'yesno') {
+      return rest ? null : { type, question, options: [] };
+    }
+
+    const options = this.parseOptionList(rest);
+    return options ? { type, question, options: Object.values(options) } : null;
+  }
+
+  // "1:OptA 2:OptB" as { 1: 'OptA', 2: 'OptB' }, or null with fewer than two options
+  parseOptionList(optStr) {
     const optionRegex = /(\d+)\s*:\s*([^0-9][^]*?)(?=(?:\s+\d+\s*:)|$)/g;
     const options = {};
     let hit = 0;
@@ -354,24 +410,37 @@ class IntegratedPollService {
       }
     }
     
-    if (hit < 2) return null;
-    return { question, options, duration };
+    return hit < 2 ? null : options;
+  }
+
+  // The option numbers in a chat vote, in the order typed, or null if it isn't a vote for this poll type
+  parseBallot(type, message) {
+    const text = message.trim().toLowerCase();
+    if (type === 'yesno') {
+      if (/^(y|yes)$/.test(text)) return [1];
+      if (/^(n|no)$/.test(text)) return [2];
+    }
+
+    if (!/^\d{1,2}(?:[\s,]+\d{1,2})*$/.test(text)) return null;
+    const ballot = text.split(/[\s,]+/).map(n => parseInt(n, 10));
+    if (type !== 'approval' && type !== 'ranked' && ballot.length !== 1) return null;
+    return ballot;
   }
 
-  handleViewerVote(streamerId, username, message) {
+  handleViewerVote(streamerId, username, message, walletAddress = null) {
     const streamer = this.streamers.get(streamerId);
     if (!streamer || !streamer.pollManager.isActive()) return;
 
-    const m = message.trim().match(/^(\d{1,2})$/);
-    if (!m) return;
+    const choice = this.parseBallot(streamer.pollManager.current.type, message);
+    if (!choice) return;
 
-    const choice = parseInt(m[1], 10);
     console.log(`🗳️ [${streamerId}] Processing vote: ${username} voted ${choice} (token: ${streamer.config.tokenAddress})`);
     
-    const success = streamer.pollManager.vote(username, choice);
+    const success = streamer.pollManager.vote(username, choice, walletAddress);
     
     if (success) {
       console.log(`✅ [${streamerId}] Vote recorded: ${username} → ${choice} (token: ${streamer.config.tokenAddress})`);
+      this.recordVote(streamerId, streamer.pollManager.current, username, choice, walletAddress);
       
       // Broadcast update to browser sources
       this.broadcastToSubscribers(streamerId, {
@@ -383,98 +452,457 @@ class IntegratedPollService {
     }
   }
 
-  async handleWhitelistCommand(streamerId, sender, text) {
+  // Start a poll and store it; createdBy is the chat username, or null from the dashboard
+  async startPoll(streamerId, question, optionsObj, duration, createdBy = null, weighting = 'none', type = 'single') {
     const streamer = this.streamers.get(streamerId);
-    if (!streamer) return;
 
-    const parts = text.trim().split(/\s+/);
-    
-    if (parts.length === 1 || /^\/whitelist\s+help$/i.test(text)) {
-      this.sendChat(streamerId, `Whitelist commands:
-  /whitelist list
-  /whitelist add <SOL_ADDRESS>
-  /whitelist remove <SOL_ADDRESS>
-  /whitelist me`);
-      return;
+    // Holdings are read before the poll opens, so buying in mid-poll doesn't count
+    let holdings = null;
+    if (weighting === 'token') {
+      if (!streamer.config.tokenAddress) {
+        throw new Error('This streamer has no token to weight votes by');
+      }
+      holdings = await this.snapshotTokenHolders(streamerId, streamer.config.tokenAddress);
     }
 
-    if (!this.isSenderPrivileged(streamerId, sender)) {
-      console.log(`❌ [${streamerId}] ${sender} not privileged for whitelist command`);
-      return;
+    streamer.pollManager.start(question, type === 'yesno' ? YES_NO_OPTIONS : optionsObj, duration, weighting, type);
+    if (holdings) {
+      streamer.pollManager.setWeights(holdings);
     }
+    await this.savePollToDatabase(streamerId, streamer.pollManager.current, createdBy);
+    return streamer.pollManager.current;
+  }
 
-    if (/^\/whitelist\s+list$/i.test(text)) {
-      const whitelistArray = Array.from(streamer.whitelist);
-      if (whitelistArray.length === 0) {
-        this.sendChat(streamerId, `Whitelist is empty.`);
-      } else {
-        this.sendChat(streamerId, `Whitelist (${whitelistArray.length}): ${whitelistArray.join(', ')}`);
+  // Every holder of the mint and their balance in whole tokens, from one getProgramAccounts call
+  async snapshotTokenHolders(streamerId, mint) {
+    if (!this.rpcPool) {
+      throw new Error('No Solana RPC connection to read token holders from');
+    }
+
+    const mintKey = new PublicKey(mint);
+    const mintAccount = await this.rpcPool.call('getAccountInfo', connection => connection.getAccountInfo(mintKey));
+    if (!mintAccount) {
+      throw new Error(`Token mint ${mint} not found`);
+    }
+
+    // Token-2022 accounts carry extensions, so only classic token accounts have a fixed size
+    const filters = [{ memcmp: { offset: 0, bytes: mint } }];
+    if (mintAccount.owner.equals(TOKEN_PROGRAM_ID)) {
+      filters.push({ dataSize: 165 });
+    }
+    const accounts = await this.rpcPool.call('getParsedProgramAccounts', connection => connection.getParsedProgramAccounts(mintAccount.owner, { filters }));
+
+    const holdings = new Map();
+    for (const { account } of accounts) {
+      const info = account.data && account.data.parsed && account.data.parsed.info;
+      const balance = info ? parseFloat(info.tokenAmount.uiAmountString) : 0;
+      if (balance > 0) {
+        holdings.set(info.owner, (holdings.get(info.owner) || 0) + balance);
       }
-      return;
     }
+    console.log(`📸 [${streamerId}] Snapshot of ${holdings.size} holders of ${mint}`);
+    return holdings;
+  }
 
-    if (/^\/whitelist\s+me$/i.test(text)) {
-      if (!this.isSolAddress(sender)) {
-        this.sendChat(streamerId, `Your username is not a valid Solana address.`);
-        return;
+  // Donation-weighted polls recount from the ledger whenever a donation comes in
+  async refreshDonationWeights(streamerId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer || !this.databaseService || !streamer.pollManager.isActive()) return;
+
+    const poll = streamer.pollManager.current;
+    if (poll.weighting !== 'donation') return;
+
+    const donors = await this.databaseService.getSolDonatedByDonor(streamerId, poll.createdAt, poll.endsAt);
+    streamer.pollManager.setWeights(new Map(donors.map(donor => [donor.walletAddress, donor.totalSol])));
+
+    this.broadcastToSubscribers(streamerId, {
+      type: 'poll-update',
+      poll: this.formatPollForDisplay(poll)
+    });
+  }
+
+  // Gives the running poll its database id, which the dashboard uses to end it
+  async savePollToDatabase(streamerId, poll, createdBy = null) {
+    if (!this.databaseService) return;
+    try {
+      // A poll left active by a timer that ran out while nobody was looking
+      await this.databaseService.closeExpiredPolls(streamerId);
+      const saved = await this.databaseService.createPoll(streamerId, {
+        question: poll.question,
+        options: Array.from(poll.options.entries()).map(([number, text]) => ({ number, text })),
+        durationSeconds: Math.round((poll.endsAt - poll.createdAt) / 1000),
+        createdBy,
+        type: poll.type,
+        weighting: poll.weighting,
+        startsAt: poll.createdAt,
+        endsAt: poll.endsAt
+      });
+      poll.id = saved.id;
+      console.log(`💾 [${streamerId}] Poll ${poll.id} saved: ${poll.question}`);
+    } catch (error) {
+      console.error(`❌ [${streamerId}] Failed to save poll:`, error);
+    }
+  }
+
+  async updatePollInDatabase(streamerId, pollId, updates) {
+    if (!this.databaseService || !pollId) return;
+    try {
+      if (updates.tallies) {
+        await this.databaseService.savePollTallies(pollId, updates.tallies);
       }
-      if (streamer.whitelist.has(sender)) {
-        this.sendChat(streamerId, `Already whitelisted: ${sender}`);
-        return;
+      if (updates.status === 'ended' || updates.status === 'locked') {
+        await this.databaseService.endPoll(pollId, updates.status);
       }
-      streamer.whitelist.add(sender);
-      this.sendChat(streamerId, `✅ Whitelisted: ${sender}`);
-      return;
+    } catch (error) {
+      console.error(`❌ [${streamerId}] Failed to update poll ${pollId}:`, error);
     }
+  }
 
-    let m = text.match(/^\/whitelist\s+add\s+([A-Za-z0-9]+)$/i);
-    if (m) {
-      const addr = m[1];
-      if (!this.isSolAddress(addr)) {
-        this.sendChat(streamerId, `Invalid Solana address.`);
-        return;
+  // Votes come in at chat speed, so they're written without holding up the tally
+  recordVote(streamerId, poll, voter, ballot, walletAddress = null) {
+    if (!this.databaseService || !poll || !poll.id) return;
+    this.databaseService.savePollVote(poll.id, voter, ballot, walletAddress).catch((error) => {
+      console.error(`❌ [${streamerId}] Failed to save vote from ${voter}:`, error);
+    });
+  }
+
+  async restoreActivePoll(streamerId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer || !this.databaseService) return;
+
+    try {
+      await this.databaseService.closeExpiredPolls(streamerId);
+      const saved = await this.databaseService.getActivePoll(streamerId);
+      if (!saved) return;
+
+      const options = {};
+      saved.options.forEach(option => {
+        options[option.number] = option.text;
+      });
+
+      streamer.pollManager.restore({
+        id: saved.id,
+        question: saved.question,
+        options,
+        votes: saved.votes,
+        type: saved.poll_type,
+        weighting: saved.weighting,
+        createdAt: this.databaseService.fromDbTimestamp(saved.starts_at).getTime(),
+        endsAt: this.databaseService.fromDbTimestamp(saved.ends_at).getTime()
+      });
+      console.log(`♻️ [${streamerId}] Restored poll ${saved.id} with ${saved.votes.length} votes: ${saved.question}`);
+
+      // The start-of-poll snapshot isn't stored, so a restored token poll weighs by holdings now
+      if (saved.weighting === 'token' && streamer.config.tokenAddress) {
+        try {
+          streamer.pollManager.setWeights(await this.snapshotTokenHolders(streamerId, streamer.config.tokenAddress));
+        } catch (error) {
+          console.error(`❌ [${streamerId}] Failed to snapshot token holders for restored poll ${saved.id}:`, error);
+        }
+      } else if (saved.weighting === 'donation') {
+        await this.refreshDonationWeights(streamerId);
       }
-      if (streamer.whitelist.has(addr)) {
-        this.sendChat(streamerId, `Already whitelisted: ${addr}`);
-        return;
+    } catch (error) {
+      console.error(`❌ [${streamerId}] Failed to restore active poll:`, error);
+    }
+  }
+
+  formatStoredPoll(poll) {
+    const totalVotes = poll.total_votes;
+    // Weighted polls are decided by their weighted totals once they've ended
+    const weighted = poll.weighting !== 'none' && poll.options.every(option => option.weighted !== null);
+    const score = option => weighted ? option.weighted : option.votes;
+    const topVotes = Math.max(...poll.options.map(score));
+    const leaders = poll.poll_type === 'prediction' ?
+      poll.options.filter(option => option.number === poll.resolved_option) :
+      poll.options.filter(option => score(option) === topVotes && topVotes > 0);
+
+    return {
+      id: poll.id,
+      question: poll.question,
+      options: poll.options,
+      type: poll.poll_type,
+      weighting: poll.weighting,
+      totalVotes,
+      winner: leaders.length === 1 ? leaders[0] : null,
+      isTie: leaders.length > 1,
+      status: poll.status,
+      createdBy: poll.created_by,
+      startedAt: this.databaseService.fromDbTimestamp(poll.starts_at),
+      endedAt: this.databaseService.fromDbTimestamp(poll.ended_at)
+    };
+  }
+
+  // Settle a locked prediction. Donation-backed predictions split the pool between everyone who
+  // called it, by stake; the payouts themselves are sent by hand and marked paid from the dashboard
+  async resolvePrediction(streamerId, pollId, optionNumber) {
+    const poll = await this.databaseService.getPoll(streamerId, pollId);
+    if (!poll || poll.poll_type !== 'prediction') {
+      throw new Error('Prediction not found');
+    }
+    if (poll.status === 'active') {
+      throw new Error('Predictions are still open');
+    }
+    if (poll.status !== 'locked' || this.resolvingPredictions.has(poll.id)) {
+      throw new Error('Prediction already resolved');
+    }
+    const outcome = poll.options.find(option => option.number === optionNumber);
+    if (!outcome) {
+      throw new Error('Invalid outcome');
+    }
+
+    this.resolvingPredictions.add(poll.id);
+    try {
+      const votes = await this.databaseService.getPollVotes(poll.id);
+      let stakes = new Map();
+      if (poll.weighting === 'donation') {
+        // Stakes are whatever each wallet donated while picks were open
+        const donors = await this.databaseService.getSolDonatedByDonor(
+          streamerId,
+          this.databaseService.fromDbTimestamp(poll.starts_at),
+          this.databaseService.fromDbTimestamp(poll.ended_at || poll.ends_at)
+        );
+        stakes = new Map(donors.map(donor => [donor.walletAddress, donor.totalSol]));
       }
-      streamer.whitelist.add(addr);
-      this.sendChat(streamerId, `✅ Whitelisted: ${addr}`);
+
+      const entries = this.computePredictionPayouts(votes, stakes, optionNumber);
+      await this.databaseService.resolvePrediction(streamerId, poll.id, optionNumber, entries);
+    } finally {
+      this.resolvingPredictions.delete(poll.id);
+    }
+
+    const prediction = await this.getPrediction(streamerId, poll.id);
+    console.log(`🔮 [${streamerId}] Prediction ${poll.id} resolved to ${outcome.number} — ${outcome.text}: ${prediction.winners}/${prediction.totalVotes} called it, ${prediction.pool} SOL pool`);
+
+    // The overlay only needs the totals and who gets paid, not every entry
+    const { entries, ...summary } = prediction;
+    this.broadcastToSubscribers(streamerId, {
+      type: 'prediction-resolved',
+      prediction: summary
+    });
+    this.emit('prediction-resolved', {
+      streamerId,
+      prediction,
+      message: this.formatResolutionMessage(prediction)
+    });
+    return prediction;
+  }
+
+  // Pari-mutuel payouts, one entry per ballot. The whole pool goes to the viewers who called it, in
+  // proportion to their stakes; if none of them staked anything every stake is refunded, and an
+  // unbacked prediction gives each winner an equal share of whatever prize the streamer puts up.
+  // A wallet's donations only back the first pick made with it.
+  computePredictionPayouts(votes, stakes, winningOption) {
+    const backedWallets = new Set();
+    const picks = votes.map(({ voter, walletAddress, ballot }) => {
+      const stake = walletAddress && !backedWallets.has(walletAddress) ? (stakes.get(walletAddress) || 0) : 0;
+      if (walletAddress) backedWallets.add(walletAddress);
+      return { voter, walletAddress, optionNumber: ballot[0], stake, won: ballot[0] === winningOption };
+    });
+
+    const pool = picks.reduce((sum, pick) => sum + pick.stake, 0);
+    const winningPool = picks.filter(pick => pick.won).reduce((sum, pick) => sum + pick.stake, 0);
+    const winnerCount = picks.filter(pick => pick.won).length;
+    // Never promise more than the pool holds: round payouts down to the lamport
+    const toLamport = amount => Math.floor(amount * 1e9) / 1e9;
+
+    return picks.map(({ won, ...pick }) => {
+      let result = won ? 'won' : 'lost';
+      let share = 0;
+      let payout = 0;
+      if (winningPool > 0) {
+        if (won) {
+          share = pick.stake / winningPool;
+          payout = toLamport(share * pool);
+        }
+      } else if (pool > 0) {
+        if (pick.stake > 0) {
+          result = 'refunded';
+          share = pick.stake / pool;
+          payout = pick.stake;
+        }
+      } else if (won) {
+        share = 1 / winnerCount;
+      }
+      return { ...pick, result, share: Math.round(share * 1e9) / 1e9, payout };
+    });
+  }
+
+  formatResolutionMessage(prediction) {
+    const { outcome, winners, totalVotes, pool, refunded } = prediction;
+    const called = `${winners} of ${totalVotes} called it`;
+    let payouts = '';
+    if (refunded) {
+      payouts = `. Nobody backed it, so ${this.formatSol(pool)} SOL in stakes gets refunded`;
+    } else if (pool > 0) {
+      payouts = ` and split the ${this.formatSol(pool)} SOL pool`;
+    }
+    return `🔮 Prediction resolved: ${outcome.number} — ${outcome.text}! ${called}${payouts}.`;
+  }
+
+  // Recent predictions, newest first, with the ledger of each resolved one
+  async getPredictions(streamerId, limit = 10) {
+    if (!this.databaseService) return [];
+    await this.databaseService.closeExpiredPolls(streamerId);
+    const polls = await this.databaseService.getPredictionPolls(streamerId, limit);
+    return Promise.all(polls.map(async poll => {
+      const entries = poll.status === 'resolved' ? await this.databaseService.getPredictionEntries(streamerId, poll.id) : [];
+      return this.formatPrediction(poll, entries);
+    }));
+  }
+
+  async getPrediction(streamerId, pollId) {
+    const poll = await this.databaseService.getPoll(streamerId, pollId);
+    if (!poll || poll.poll_type !== 'prediction') return null;
+    const entries = poll.status === 'resolved' ? await this.databaseService.getPredictionEntries(streamerId, poll.id) : [];
+    return this.formatPrediction(poll, entries);
+  }
+
+  // Options carry the SOL staked on them: from the ledger once resolved, from the final tally before
+  formatPrediction(poll, entries) {
+    const resolved = poll.status === 'resolved';
+    const options = poll.options.map(option => ({
+      number: option.number,
+      text: option.text,
+      count: option.votes,
+      staked: resolved ?
+        entries.filter(entry => entry.optionNumber === option.number).reduce((sum, entry) => sum + entry.stake, 0) :
+        option.weighted || 0
+    }));
+    const payouts = entries
+      .filter(entry => entry.payout > 0)
+      .sort((a, b) => b.payout - a.payout)
+      .map(entry => ({ voter: entry.voter, stake: entry.stake, payout: entry.payout, result: entry.result }));
+
+    return {
+      id: poll.id,
+      question: poll.question,
+      options,
+      type: 'prediction',
+      weighting: poll.weighting,
+      status: poll.status,
+      totalVotes: poll.total_votes,
+      outcome: options.find(option => option.number === poll.resolved_option) || null,
+      pool: options.reduce((sum, option) => sum + option.staked, 0),
+      winners: entries.filter(entry => entry.result === 'won').length,
+      refunded: entries.some(entry => entry.result === 'refunded'),
+      payouts,
+      entries,
+      startedAt: this.databaseService.fromDbTimestamp(poll.starts_at),
+      lockedAt: this.databaseService.fromDbTimestamp(poll.ended_at),
+      resolvedAt: this.databaseService.fromDbTimestamp(poll.resolved_at)
+    };
+  }
+
+  // A viewer's /propose; replies in chat either way
+  async handleProposeCommand(streamerId, sender, text, walletAddress) {
+    if (!this.databaseService) return;
+
+    const settings = await this.databaseService.getPollSettings(streamerId) || this.getDefaultSettings();
+    if (!settings.allow_viewer_polls) {
+      this.sendChatMessage(streamerId, `Poll proposals are turned off.`);
       return;
     }
 
-    m = text.match(/^\/whitelist\s+remove\s+([A-Za-z0-9]+)$/i);
-    if (m) {
-      const addr = m[1];
-      if (!streamer.whitelist.has(addr)) {
-        this.sendChat(streamerId, `Not in whitelist: ${addr}`);
+    const parsed = this.parseProposeCommand(text);
+    const validation = parsed && this.validateProposal(parsed);
+    if (!parsed || !validation.isValid) {
+      this.sendChatMessage(streamerId, `Usage: /propose [approval|ranked|yesno] "Question" 1:OptA 2:OptB${validation ? ` (${validation.errors.join(', ')})` : ''}`);
+      return;
+    }
+
+    if (settings.require_donation) {
+      const minDonation = parseFloat(settings.min_donation) || 0;
+      const donated = walletAddress ? await this.getRecentDonationTotal(streamerId, walletAddress) : 0;
+      if (!walletAddress || donated < minDonation) {
+        this.sendChatMessage(streamerId, `${sender}: donate at least ${this.formatSol(minDonation)} SOL to propose a poll.`);
         return;
       }
-      streamer.whitelist.delete(addr);
-      this.sendChat(streamerId, `🗑️ Removed from whitelist: ${addr}`);
+    }
+
+    const pending = await this.databaseService.getPollProposals(streamerId);
+    if (pending.some(proposal => proposal.proposer === sender)) {
+      this.sendChatMessage(streamerId, `${sender}: you already have a poll waiting for review.`);
+      return;
+    }
+    if (pending.length >= MAX_PENDING_PROPOSALS) {
+      this.sendChatMessage(streamerId, `The poll proposal queue is full, try again later.`);
       return;
     }
 
-    this.sendChat(streamerId, `Unknown whitelist command. Try "/whitelist help".`);
+    const proposal = await this.databaseService.createPollProposal(streamerId, {
+      proposer: sender,
+      walletAddress,
+      question: parsed.question,
+      options: parsed.options,
+      type: parsed.type
+    });
+    console.log(`📝 [${streamerId}] Poll proposal ${proposal.id} from ${sender}: "${proposal.question}"`);
+    this.sendChatMessage(streamerId, `📝 Thanks ${sender}, your poll was sent to the streamer for review.`);
   }
 
-  sendChat(streamerId, text) {
-    const streamer = this.streamers.get(streamerId);
-    if (streamer && streamer.isActive) {
-      // In a real implementation, you would send this to the chat
-      console.log(`💬 [${streamerId}] (no-op) ${text}`);
+  validateProposal(proposal) {
+    const errors = [];
+    if (!PROPOSAL_TYPES.includes(proposal.type)) {
+      errors.push(`Proposals can be one of: ${PROPOSAL_TYPES.join(', ')}`);
+    }
+    if (proposal.question.length > 200) {
+      errors.push('Question must be 200 characters or less');
+    }
+    if (proposal.options.length > 10) {
+      errors.push('At most 10 options');
+    }
+    if (proposal.options.some(option => option.length > 100)) {
+      errors.push('Options must be 100 characters or less');
     }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // SOL the wallet donated to the streamer within the proposal window
+  async getRecentDonationTotal(streamerId, walletAddress) {
+    const now = new Date();
+    const donors = await this.databaseService.getSolDonatedByDonor(streamerId, new Date(now.getTime() - PROPOSAL_DONATION_WINDOW_MS), now);
+    const donor = donors.find(donor => donor.walletAddress === walletAddress);
+    return donor ? donor.totalSol : 0;
   }
 
-  // Database methods (placeholder)
-  async savePollToDatabase(streamerId, pollData) {
-    // This would save to the database
-    console.log(`💾 Saving poll to database for ${streamerId}:`, pollData);
+  // Start a pending proposal as a poll; throws if it can't be started
+  async approveProposal(streamerId, proposalId, duration) {
+    const proposal = await this.databaseService.getPollProposal(streamerId, proposalId);
+    if (!proposal || proposal.status !== 'pending') {
+      throw new Error('Proposal not found or already reviewed');
+    }
+
+    const pollData = { question: proposal.question, options: proposal.options, duration, type: proposal.poll_type, weighting: 'none' };
+    const validation = this.validatePollData(pollData);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const poll = await this.createPoll(streamerId, { ...pollData, createdBy: proposal.proposer });
+    await this.databaseService.reviewPollProposal(streamerId, proposal.id, 'approved', poll.id);
+    console.log(`✅ [${streamerId}] Approved poll proposal ${proposal.id} from ${proposal.proposer}`);
+
+    this.emit('proposal-approved', {
+      streamerId,
+      proposal,
+      poll,
+      message: `Poll from ${proposal.proposer}! ${this.formatStartMessage(this.getActivePoll(streamerId))}`
+    });
+    return poll;
   }
 
-  async updatePollInDatabase(streamerId, updates) {
-    // This would update the database
-    console.log(`💾 Updating poll in database for ${streamerId}:`, updates);
+  async rejectProposal(streamerId, proposalId) {
+    const proposal = await this.databaseService.getPollProposal(streamerId, proposalId);
+    if (!proposal || proposal.status !== 'pending') return false;
+
+    await this.databaseService.reviewPollProposal(streamerId, proposal.id, 'rejected');
+    console.log(`🚫 [${streamerId}] Rejected poll proposal ${proposal.id} from ${proposal.proposer}`);
+    return true;
   }
 
   isConnected() {
@@ -530,12 +958,28 @@ class IntegratedPollService {
       errors.push('Question is required');
     }
     
-    if (!pollData.options || !Array.isArray(pollData.options) || pollData.options.length < 2) {
-      errors.push('At least 2 options are required');
+    if (pollData.type !== undefined && !POLL_TYPES.includes(pollData.type)) {
+      errors.push(`Poll type must be one of: ${POLL_TYPES.join(', ')}`);
     }
-    
-    if (pollData.options && pollData.options.some(opt => !opt || typeof opt !== 'string' || opt.trim().length === 0)) {
-      errors.push('All options must be non-empty strings');
+
+    // Yes/no polls bring their own options
+    if (pollData.type !== 'yesno') {
+      if (!pollData.options || !Array.isArray(pollData.options) || pollData.options.length < 2) {
+        errors.push('At least 2 options are required');
+      }
+      
+      if (pollData.options && pollData.options.some(opt => !opt || typeof opt !== 'string' || opt.trim().length === 0)) {
+        errors.push('All options must be non-empty strings');
+      }
+    }
+
+    if (pollData.weighting !== undefined && !VOTE_WEIGHTINGS.includes(pollData.weighting)) {
+      errors.push(`Vote weighting must be one of: ${VOTE_WEIGHTINGS.join(', ')}`);
+    }
+
+    // Predictions are backed by what viewers put in, not by what they already hold
+    if (pollData.type === 'prediction' && pollData.weighting === 'token') {
+      errors.push('Predictions can only be backed by donations');
     }
     
     if (typeof pollData.duration !== 'number' || pollData.duration < 10 || pollData.duration > 300) {
@@ -558,14 +1002,20 @@ class IntegratedPollService {
   // Get poll stats
   async getPollStats(streamerId) {
     const streamer = this.streamers.get(streamerId);
-    if (!streamer) {
-      return { activePolls: 0, totalPolls: 0, totalVotes: 0 };
+    const activePolls = streamer && streamer.pollManager.isActive() ? 1 : 0;
+    if (!this.databaseService) {
+      return { activePolls, totalPolls: 0, completedPolls: 0, totalVotes: 0, uniqueVoters: 0, averageVotesPerPoll: 0, mostPopularOption: null, recentPolls: [] };
     }
-    
+
+    await this.databaseService.closeExpiredPolls(streamerId);
+    const stats = await this.databaseService.getPollStats(streamerId);
+    const recentPolls = await this.databaseService.getRecentPolls(streamerId, 5);
+
     return {
-      activePolls: streamer.pollManager.isActive() ? 1 : 0,
-      totalPolls: 0, // This would be tracked in a real implementation
-      totalVotes: 0  // This would be tracked in a real implementation
+      activePolls,
+      ...stats,
+      averageVotesPerPoll: stats.totalPolls > 0 ? Math.round(stats.totalVotes / stats.totalPolls * 10) / 10 : 0,
+      recentPolls: recentPolls.map(poll => this.formatStoredPoll(poll))
     };
   }
 
@@ -576,19 +1026,30 @@ class IntegratedPollService {
     // Handle both old and new poll structures
     const options = poll.options || new Map();
     const counts = poll.counts || new Map();
+    const weighting = poll.weighting || 'none';
+    const weightedCounts = poll.weightedCounts || new Map();
     
     // Convert to the format expected by the browser source
-    const formattedOptions = Array.from(options.entries()).map(([key, text]) => ({
-      number: key,
-      text: text,
-      count: counts.get(key) || 0
-    }));
+    const formattedOptions = Array.from(options.entries()).map(([key, text]) => {
+      const option = {
+        number: key,
+        text: text,
+        count: counts.get(key) || 0
+      };
+      if (weighting !== 'none') {
+        option.weighted = weightedCounts.get(key) || 0;
+      }
+      return option;
+    });
     
     return {
       id: poll.id || 'current',
       question: poll.question,
       options: formattedOptions,
-      totalVotes: Array.from(counts.values()).reduce((sum, count) => sum + count, 0),
+      type: poll.type || 'single',
+      weighting,
+      // Voters rather than counts, which add up to more than that in approval polls
+      totalVotes: poll.votes ? poll.votes.size : Array.from(counts.values()).reduce((sum, count) => sum + count, 0),
       endsAt: poll.endsAt,
       closed: poll.closed || false
     };
@@ -605,11 +1066,14 @@ class IntegratedPollService {
       throw new Error('A poll is already active');
     }
 
-    const { question, options, duration } = pollData;
+    // createdBy is null from the dashboard, or 'queue' / 'schedule' for polls the scheduler starts
+    const { question, options, duration, weighting = 'none', type = 'single', createdBy = null } = pollData;
     
     // Handle both array and object formats for options
     let optionsObj = {};
-    if (Array.isArray(options)) {
+    if (type === 'yesno') {
+      optionsObj = YES_NO_OPTIONS;
+    } else if (Array.isArray(options)) {
       options.forEach((option, index) => {
         optionsObj[index + 1] = option;
       });
@@ -619,7 +1083,7 @@ class IntegratedPollService {
       throw new Error('Invalid options format');
     }
 
-    streamer.pollManager.start(question, optionsObj, duration);
+    await this.startPoll(streamerId, question, optionsObj, duration, createdBy, weighting, type);
     
     // Broadcast to subscribers
     this.broadcastToSubscribers(streamerId, {
@@ -632,6 +1096,8 @@ class IntegratedPollService {
       question,
       options: Array.from(streamer.pollManager.current.options.values()),
       duration,
+      type,
+      weighting,
       status: 'active'
     };
   }
@@ -653,25 +1119,17 @@ class IntegratedPollService {
       throw new Error('Poll ID mismatch');
     }
 
-    // If poll is already closed, just return the results
+    // If poll is already closed, its results went out when the timer ran out
     if (poll.closed) {
-      const results = streamer.pollManager.getResults();
-      return results;
+      return streamer.pollManager.getResults();
     }
 
-    // Close the poll and get results
-    poll.closed = true;
-    const results = streamer.pollManager.getResults();
+    // Closing emits 'result', which stores, broadcasts and announces it
+    const results = streamer.pollManager.close();
     
     // Stop the poll manager
     streamer.pollManager.stop();
     
-    // Broadcast poll end
-    this.broadcastToSubscribers(streamerId, {
-      type: 'poll-end',
-      results: results
-    });
-    
     return results;
   }
 
@@ -682,15 +1140,12 @@ class IntegratedPollService {
       throw new Error('Streamer not found');
     }
 
-    // In a real implementation, you'd fetch from database
-    // For now, return empty results
-    return {
-      id: pollId,
-      question: 'Poll results not available',
-      options: [],
-      votes: [],
-      totalVotes: 0
-    };
+    const poll = this.databaseService ? await this.databaseService.getPoll(streamerId, pollId) : null;
+    if (!poll) {
+      throw new Error('Poll not found');
+    }
+
+    return this.formatStoredPoll(poll);
   }
 
   // Vote on a poll
@@ -709,10 +1164,13 @@ class IntegratedPollService {
       throw new Error('Poll ID mismatch');
     }
 
-    const success = streamer.pollManager.vote(voterAddress, optionNumber);
+    // Approval and ranked polls take a list of option numbers
+    const ballot = Array.isArray(optionNumber) ? optionNumber : [optionNumber];
+    const success = streamer.pollManager.vote(voterAddress, ballot, voterAddress);
     if (!success) {
       throw new Error('Invalid vote');
     }
+    this.recordVote(streamerId, poll, voterAddress, ballot, voterAddress);
 
     // Broadcast poll update
     this.broadcastToSubscribers(streamerId, {
@@ -723,196 +1181,176 @@ class IntegratedPollService {
     return { success: true };
   }
 
-  // Whitelist management
-  async getWhitelist(streamerId) {
+  // Roles, stored per streamer. Changes from the dashboard and from chat both go through setRole
+  // and removeRole, which save them and write the audit log.
+  async loadRoles(streamerId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer || !this.databaseService) return;
+
+    const roles = await this.databaseService.getStreamerRoles(streamerId);
+    streamer.roles = new Map(roles.map(row => [row.address, row.role]));
+  }
+
+  getRole(streamerId, address) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer || !address) return null;
+    if (address === streamer.config.walletAddress) return 'owner';
+    return streamer.roles.get(address) || null;
+  }
+
+  hasRole(streamerId, address, role) {
+    const current = this.getRole(streamerId, address);
+    return !!current && ROLE_RANKS[current] >= ROLE_RANKS[role];
+  }
+
+  // Owners manage every role, mods only the roles below their own
+  canManageRole(actorRole, role) {
+    if (!actorRole) return false;
+    return actorRole === 'owner' || ROLE_RANKS[actorRole] > ROLE_RANKS[role];
+  }
+
+  /**
+   * Everyone with a role, the streamer's own wallet first
+   * @param {string} streamerId
+   * @returns {Promise<Array<{address: string, role: string, addedBy: string|null, updatedAt: Date|null, implicit: boolean}>>}
+   */
+  async getRoles(streamerId) {
     const streamer = this.streamers.get(streamerId);
     if (!streamer) {
       throw new Error('Streamer not found');
     }
 
-    return Array.from(streamer.whitelist);
+    const rows = await this.databaseService.getStreamerRoles(streamerId);
+    const roles = rows.filter(row => row.address !== streamer.config.walletAddress).map(row => ({
+      address: row.address,
+      role: row.role,
+      addedBy: row.added_by,
+      updatedAt: row.updated_at,
+      implicit: false
+    }));
+    if (streamer.config.walletAddress) {
+      roles.unshift({ address: streamer.config.walletAddress, role: 'owner', addedBy: null, updatedAt: null, implicit: true });
+    }
+    return roles;
   }
 
-  async addToWhitelist(streamerId, address, databaseService = null) {
+  // Give an address a role or change the one it has; actor is who did it, source 'chat' or 'dashboard'
+  async setRole(streamerId, address, role, actor, source) {
     const streamer = this.streamers.get(streamerId);
     if (!streamer) {
       throw new Error('Streamer not found');
     }
-
     if (!this.isSolAddress(address)) {
       throw new Error('Invalid Solana address');
     }
-
-    if (streamer.whitelist.has(address)) {
-      throw new Error('Address already whitelisted');
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (address === streamer.config.walletAddress) {
+      throw new Error("The streamer's own wallet is always an owner");
     }
 
-    streamer.whitelist.add(address);
-    
-    // Update in database if database service is provided
-    if (databaseService) {
-      try {
-        const pollSettings = await databaseService.getPollSettings(streamerId);
-        const updatedSettings = {
-          ...pollSettings,
-          whitelist: Array.from(streamer.whitelist)
-        };
-        await databaseService.updatePollSettings(streamerId, updatedSettings);
-        console.log(`💾 Whitelist saved to database for ${streamerId}`);
-      } catch (error) {
-        console.error(`❌ Failed to save whitelist to database:`, error);
-      }
+    const previousRole = streamer.roles.get(address) || null;
+    if (previousRole === role) {
+      throw new Error(`Address is already a ${role}`);
     }
-    
-    return { success: true, address };
+
+    await this.databaseService.setStreamerRole(streamerId, address, role, actor);
+    await this.databaseService.addStreamerRoleAudit(streamerId, {
+      address,
+      action: previousRole ? 'change' : 'add',
+      role,
+      previousRole,
+      actor,
+      source
+    });
+    streamer.roles.set(address, role);
+    console.log(`🔑 [${streamerId}] ${address} is now ${role}${previousRole ? ` (was ${previousRole})` : ''}, by ${actor} via ${source}`);
+
+    return { address, role, previousRole };
   }
 
-  async removeFromWhitelist(streamerId, address, databaseService = null) {
+  async removeRole(streamerId, address, actor, source) {
     const streamer = this.streamers.get(streamerId);
     if (!streamer) {
       throw new Error('Streamer not found');
     }
-
-    if (!streamer.whitelist.has(address)) {
-      throw new Error('Address not in whitelist');
+    if (address === streamer.config.walletAddress) {
+      throw new Error("The streamer's own wallet is always an owner");
     }
 
-    streamer.whitelist.delete(address);
-    
-    // Update in database if database service is provided
-    if (databaseService) {
-      try {
-        const pollSettings = await databaseService.getPollSettings(streamerId);
-        const updatedSettings = {
-          ...pollSettings,
-          whitelist: Array.from(streamer.whitelist)
-        };
-        await databaseService.updatePollSettings(streamerId, updatedSettings);
-        console.log(`💾 Whitelist saved to database for ${streamerId}`);
-      } catch (error) {
-        console.error(`❌ Failed to save whitelist to database:`, error);
-      }
+    const previousRole = streamer.roles.get(address);
+    if (!previousRole) {
+      throw new Error('Address has no role');
     }
-    
-    return { success: true, address };
-  }
 
-  async updateWhitelistInDatabase(streamerId, whitelist) {
-    try {
-      // Update poll settings with the new whitelist
-      const pollSettings = {
-        whitelist: Array.from(whitelist)
-      };
-      
-      // This will be handled by the database service
-      console.log(`💾 Updating whitelist in database for ${streamerId}:`, whitelist);
-      
-      // Note: The actual database update will be handled by the route handlers
-      // that call this method, as they have access to req.databaseService
-    } catch (error) {
-      console.error(`❌ Failed to update whitelist in database for ${streamerId}:`, error);
-    }
-  }
+    await this.databaseService.deleteStreamerRole(streamerId, address);
+    await this.databaseService.addStreamerRoleAudit(streamerId, {
+      address,
+      action: 'remove',
+      previousRole,
+      actor,
+      source
+    });
+    streamer.roles.delete(address);
+    console.log(`🔑 [${streamerId}] ${address} is no longer ${previousRole}, by ${actor} via ${source}`);
 
-  // Chat command parsing and handling
-  parsePollCommand(text) {
-    const m = text.match(/^\/poll\s+"([^"]+)"\s+(.+)$/i);
-    if (!m) return null;
-    const question = m[1].trim();
-    const rest = m[2];
-    const parts = rest.trim().split(/\s+/);
-    let duration = 60; // Default duration
-    let optStr = rest;
-    const last = parts[parts.length - 1];
-    if (/^\d+$/.test(last)) { 
-      duration = Math.max(5, Math.min(300, parseInt(last, 10))); 
-      optStr = parts.slice(0,-1).join(' '); 
-    }
-    const optionRegex = /(\d+)\s*:\s*([^0-9][^]*?)(?=(?:\s+\d+\s*:)|$)/g;
-    const options = {}; 
-    let hit = 0; 
-    let match;
-    while ((match = optionRegex.exec(optStr)) !== null) {
-      const num = parseInt(match[1], 10); 
-      const label = match[2].trim();
-      if (label) { 
-        options[num] = label; 
-        hit++; 
-      }
-    }
-    if (hit < 2) return null;
-    return { question, options, duration };
+    return { address, previousRole };
   }
 
-
-  async handleWhitelistCommand(streamerId, sender, text) {
-    console.log(`⚙️ Handling whitelist command from ${sender} for streamer ${streamerId}: ${text}`);
+  // Chat side of the roles; walletAddress is the wallet behind the sender's chat name
+  async handleWhitelistCommand(streamerId, walletAddress, text) {
     const streamer = this.streamers.get(streamerId);
     if (!streamer) return;
 
     const parts = text.trim().split(/\s+/);
-    
+
     // /whitelist, /whitelist help
     if (parts.length === 1 || /^\/whitelist\s+help$/i.test(text)) {
       this.sendChatMessage(streamerId, `Whitelist commands:
   /whitelist list
-  /whitelist add <SOL_ADDRESS>
-  /whitelist remove <SOL_ADDRESS>
-  /whitelist me   (adds your username if it is a SOL address)`);
+  /whitelist add <SOL_ADDRESS> [poll-runner|mod|owner]
+  /whitelist remove <SOL_ADDRESS>`);
       return;
     }
 
-    // Special: allow first-ever add if list empty
-    const allowBootstrap = streamer.whitelist.size === 0;
-    console.log('  allowBootstrap:', allowBootstrap, 'current size:', streamer.whitelist.size);
-
-    // Require privilege for management unless bootstrapping
-    if (!allowBootstrap && !this.isSenderPrivileged(streamerId, sender)) {
-      console.log('  ❌ Not privileged; ignoring whitelist command.');
+    const actorRole = this.getRole(streamerId, walletAddress);
+    if (!actorRole) {
+      console.log(`❌ [${streamerId}] ${walletAddress || 'Sender without a wallet'} has no role, ignoring whitelist command`);
       return;
     }
 
     // /whitelist list
     if (/^\/whitelist\s+list$/i.test(text)) {
-      if (streamer.whitelist.size === 0) {
+      if (streamer.roles.size === 0) {
         this.sendChatMessage(streamerId, `Whitelist is empty.`);
       } else {
-        this.sendChatMessage(streamerId, `Whitelist (${streamer.whitelist.size}): ${Array.from(streamer.whitelist).join(', ')}`);
-      }
-      return;
-    }
-
-    // /whitelist me
-    if (/^\/whitelist\s+me$/i.test(text)) {
-      if (!this.isSolAddress(sender)) { 
-        this.sendChatMessage(streamerId, `Your username is not a valid Solana address.`); 
-        return; 
-      }
-      if (streamer.whitelist.has(sender)) { 
-        this.sendChatMessage(streamerId, `Already whitelisted: ${sender}`); 
-        return; 
+        const entries = Array.from(streamer.roles, ([address, role]) => `${address} (${role})`);
+        this.sendChatMessage(streamerId, `Whitelist (${entries.length}): ${entries.join(', ')}`);
       }
-      streamer.whitelist.add(sender); 
-      await this.updateWhitelistInDatabase(streamerId, Array.from(streamer.whitelist));
-      this.sendChatMessage(streamerId, `✅ Whitelisted: ${sender}`);
       return;
     }
 
-    // /whitelist add <addr>
-    let m = text.match(/^\/whitelist\s+add\s+([A-Za-z0-9]+)$/i);
+    // /whitelist add <addr> [role], poll-runner by default
+    let m = text.match(/^\/whitelist\s+add\s+([A-Za-z0-9]+)(?:\s+([a-z-]+))?$/i);
     if (m) {
       const addr = m[1];
-      if (!this.isSolAddress(addr)) { 
-        this.sendChatMessage(streamerId, `Invalid Solana address.`); 
-        return; 
+      const role = (m[2] || 'poll-runner').toLowerCase();
+      if (!ROLES.includes(role)) {
+        this.sendChatMessage(streamerId, `Role must be one of: ${ROLES.join(', ')}`);
+        return;
       }
-      if (streamer.whitelist.has(addr)) { 
-        this.sendChatMessage(streamerId, `Already whitelisted: ${addr}`); 
-        return; 
+      const previousRole = streamer.roles.get(addr);
+      if (!this.canManageRole(actorRole, role) || (previousRole && !this.canManageRole(actorRole, previousRole))) {
+        this.sendChatMessage(streamerId, `Only an owner can do that.`);
+        return;
+      }
+      try {
+        await this.setRole(streamerId, addr, role, walletAddress, 'chat');
+        this.sendChatMessage(streamerId, `✅ Whitelisted: ${addr} (${role})`);
+      } catch (error) {
+        this.sendChatMessage(streamerId, `${error.message}.`);
       }
-      streamer.whitelist.add(addr); 
-      await this.updateWhitelistInDatabase(streamerId, Array.from(streamer.whitelist));
-      this.sendChatMessage(streamerId, `✅ Whitelisted: ${addr}`);
       return;
     }
 
@@ -920,12 +1358,16 @@ class IntegratedPollService {
     m = text.match(/^\/whitelist\s+remove\s+([A-Za-z0-9]+)$/i);
     if (m) {
       const addr = m[1];
-      if (!streamer.whitelist.has(addr)) { 
-        this.sendChatMessage(streamerId, `Not in whitelist: ${addr}`); 
-        return; 
+      const previousRole = streamer.roles.get(addr);
+      if (!previousRole) {
+        this.sendChatMessage(streamerId, `Not in whitelist: ${addr}`);
+        return;
+      }
+      if (!this.canManageRole(actorRole, previousRole)) {
+        this.sendChatMessage(streamerId, `Only an owner can do that.`);
+        return;
       }
-      streamer.whitelist.delete(addr); 
-      await this.updateWhitelistInDatabase(streamerId, Array.from(streamer.whitelist));
+      await this.removeRole(streamerId, addr, walletAddress, 'chat');
       this.sendChatMessage(streamerId, `🗑️ Removed from whitelist: ${addr}`);
       return;
     }
@@ -933,19 +1375,10 @@ class IntegratedPollService {
     this.sendChatMessage(streamerId, `Unknown whitelist command. Try "/whitelist help".`);
   }
 
-  isSenderPrivileged(streamerId, username) {
-    const streamer = this.streamers.get(streamerId);
-    if (!streamer) return false;
-    
-    const ok = this.isSolAddress(username) && streamer.whitelist.has(username);
-    console.log(`🔍 Privilege check for "${username}" in streamer ${streamerId} → ${ok}`);
-    return ok;
-  }
-
+  // Replies to chat commands; server.js posts them through the automod wallet
   sendChatMessage(streamerId, message) {
-    // This would send a message to the chat
-    // For now, just log it
     console.log(`💬 Chat message for ${streamerId}: ${message}`);
+    this.emit('chat-message', { streamerId, message });
   }
 
   // Main chat message handler
@@ -957,22 +1390,25 @@ class IntegratedPollService {
 
       // console.log(`💬 Chat: ${sender}: ${text} (streamer: ${streamerId})`);
 
+      // Roles belong to wallets: the one behind the chat name, or the name itself when it's an address
+      const walletAddress = msg.userAddress || (this.isSolAddress(sender) ? sender : null);
+
       // Whitelist management
       if (text.startsWith('/whitelist')) {
-        await this.handleWhitelistCommand(streamerId, sender, text);
+        await this.handleWhitelistCommand(streamerId, walletAddress, text);
         return;
       }
 
-      // Privileged: /poll (only if sender username is a whitelisted SOL address)
+      // Privileged: /poll, for poll-runners and up
       if (text.startsWith('/poll')) {
         console.log(`⚙️ Poll command from ${sender} for streamer ${streamerId}`);
-        if (!this.isSenderPrivileged(streamerId, sender)) {
+        if (!this.hasRole(streamerId, walletAddress, 'poll-runner')) {
           console.log(`  ❌ ${sender} not privileged, ignoring /poll`);
           return;
         }
         const parsed = this.parsePollCommand(text);
         if (!parsed) { 
-          this.sendChatMessage(streamerId, `Usage: /poll "Question" 1:OptA 2:OptB [seconds]`); 
+          this.sendChatMessage(streamerId, `Usage: /poll [approval|ranked|yesno|prediction] "Question" 1:OptA 2:OptB [seconds]`); 
           return; 
         }
         
@@ -984,22 +1420,19 @@ class IntegratedPollService {
           return; 
         }
         
-        streamer.pollManager.start(parsed.question, parsed.options, parsed.duration);
-        const pretty = Object.keys(parsed.options).map(n => `${n}:${parsed.options[n]}`).join('  ');
-        this.sendChatMessage(streamerId, `📊 Poll started: "${parsed.question}" — vote by typing the number! (${pretty}) Ends in ${parsed.duration}s`);
+        const poll = await this.startPoll(streamerId, parsed.question, parsed.options, parsed.duration, sender, 'none', parsed.type);
+        this.sendChatMessage(streamerId, this.formatStartMessage(poll));
         return;
       }
 
       // Public voting
-      this.handleViewerVote(streamerId, sender, text);
-
-      // End announcement
-      const streamer = this.streamers.get(streamerId);
-      if (streamer && streamer.pollManager.current && streamer.pollManager.current.closed && !streamer.pollManager.current._announced) {
-        streamer.pollManager.current._announced = true;
-        const w = streamer.pollManager.winner();
-        this.sendChatMessage(streamerId, w ? `🏁 Poll ended! Winner: ${w.num} — ${w.label} (${w.count} votes)` : `🏁 Poll ended! No votes.`);
+      // Anyone: /propose, when viewer proposals are allowed
+      if (text.startsWith('/propose')) {
+        await this.handleProposeCommand(streamerId, sender, text, walletAddress);
+        return;
       }
+
+      this.handleViewerVote(streamerId, sender, text, walletAddress);
     } catch (e) {
       console.log('Message handler error:', e);
     }
@@ -1014,18 +1447,24 @@ class IntegratedPollService {
 }
 
 // Poll Manager class (adapted from original)
-class PollManager {
+// Emits 'tick' with state() while a poll runs, then 'closed' with the poll and 'result' with getResults().
+// Weighted polls also keep the wallet behind each vote and a weight per wallet, set by setWeights().
+// Every ballot is a list of option numbers: one for single, yes/no and prediction polls, any number
+// of approved options for approval polls, and a preference order for ranked polls.
+class PollManager extends EventEmitter {
   constructor(streamerId) {
+    super();
     this.streamerId = streamerId;
     this.current = null;
     this.tickTimer = null;
   }
 
-  start(question, optionsObj, durationSec) {
+  start(question, optionsObj, durationSec, weighting = 'none', type = 'single') {
     const now = Date.now();
     const options = new Map();
     const counts = new Map();
     const votes = new Map();
+    const weightedCounts = new Map();
 
     const sortedKeys = Object.keys(optionsObj).map(n => parseInt(n, 10)).filter(Number.isFinite).sort((a, b) => a - b);
     for (const k of sortedKeys) {
@@ -1033,6 +1472,7 @@ class PollManager {
       if (!label) continue;
       options.set(k, label);
       counts.set(k, 0);
+      weightedCounts.set(k, 0);
     }
     if (options.size < 2) throw new Error('Need at least two options.');
 
@@ -1041,6 +1481,11 @@ class PollManager {
       options,
       counts,
       votes,
+      type,
+      weighting,
+      wallets: new Map(),
+      weights: new Map(),
+      weightedCounts,
       endsAt: now + (durationSec * 1000),
       createdAt: now,
       closed: false
@@ -1050,20 +1495,108 @@ class PollManager {
     this.startTick();
   }
 
+  // Resume a stored poll: options is { number: text }, votes is [{ voter, walletAddress, ballot }]
+  restore({ id, question, options: optionsObj, votes: ballots, type = 'single', weighting = 'none', createdAt, endsAt }) {
+    const options = new Map();
+    const counts = new Map();
+    const votes = new Map();
+    const wallets = new Map();
+    const weightedCounts = new Map();
+
+    Object.keys(optionsObj).map(n => parseInt(n, 10)).sort((a, b) => a - b).forEach(k => {
+      options.set(k, optionsObj[k]);
+      counts.set(k, 0);
+      weightedCounts.set(k, 0);
+    });
+    for (const { voter, walletAddress, ballot } of ballots) {
+      if (!ballot.every(num => options.has(num))) continue;
+      votes.set(voter, ballot);
+      if (walletAddress) wallets.set(voter, walletAddress);
+    }
+
+    this.current = {
+      id,
+      question,
+      options,
+      counts,
+      votes,
+      type,
+      weighting,
+      wallets,
+      weights: new Map(),
+      weightedCounts,
+      endsAt,
+      createdAt,
+      closed: false
+    };
+    this.recount();
+    this.startTick();
+  }
+
+  // weights maps wallet address -> weight of that wallet's vote
+  setWeights(weights) {
+    if (!this.current) return;
+    this.current.weights = weights;
+    this.recount();
+  }
+
+  // Live counts: every approved option for approval polls, first choices for everything else.
+  // As in the payouts, a wallet's stake in a prediction only backs the first pick made with it
+  recount() {
+    const poll = this.current;
+    for (const num of poll.options.keys()) {
+      poll.counts.set(num, 0);
+      poll.weightedCounts.set(num, 0);
+    }
+    const backedWallets = new Set();
+    for (const [user, ballot] of poll.votes.entries()) {
+      const counted = poll.type === 'approval' ? ballot : ballot.slice(0, 1);
+      const wallet = poll.wallets.get(user);
+      const alreadyBacked = poll.type === 'prediction' && wallet && backedWallets.has(wallet);
+      if (wallet) backedWallets.add(wallet);
+      const weight = alreadyBacked ? 0 : this.getVoteWeight(user);
+      for (const num of counted) {
+        poll.counts.set(num, poll.counts.get(num) + 1);
+        poll.weightedCounts.set(num, poll.weightedCounts.get(num) + weight);
+      }
+    }
+  }
+
+  // Voters without a known wallet, or with nothing held or donated, still show up in the raw count
+  getVoteWeight(user) {
+    const wallet = this.current.wallets.get(user);
+    return (wallet && this.current.weights.get(wallet)) || 0;
+  }
+
   startTick() {
     if (this.tickTimer) clearInterval(this.tickTimer);
     this.tickTimer = setInterval(() => {
-      if (!this.current) return;
-      if (Date.now() >= this.current.endsAt && !this.current.closed) {
-        this.current.closed = true;
-        console.log(`🔴 [${this.streamerId}] Poll closed`);
-        
-        // Note: Broadcasting will be handled by the IntegratedPollService
-        // when it detects the poll is closed
+      if (!this.current || this.current.closed) return;
+      if (Date.now() >= this.current.endsAt) {
+        this.close();
+      } else {
+        this.emit('tick', this.state());
       }
     }, 500);
   }
 
+  // Close the current poll once; returns its results
+  close() {
+    const poll = this.current;
+    if (!poll) return null;
+    if (poll.closed) return this.getResults();
+
+    poll.closed = true;
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+    console.log(`🔴 [${this.streamerId}] Poll closed`);
+
+    const results = this.getResults();
+    this.emit('closed', poll);
+    this.emit('result', results);
+    return results;
+  }
+
   stop() {
     if (this.tickTimer) clearInterval(this.tickTimer);
     this.tickTimer = null;
@@ -1074,46 +1607,114 @@ class PollManager {
     return !!(this.current && !this.current.closed && Date.now() < this.current.endsAt);
   }
 
+  // For ranked polls the counts are the last instant-runoff round, and rounds lists every round
   getResults() {
     if (!this.current) return null;
     
     const poll = this.current;
-    const options = Array.from(poll.options.entries()).map(([num, text]) => ({
-      number: num,
-      text: text,
-      count: poll.counts.get(num) || 0
-    }));
+    const weighted = poll.weighting !== 'none';
+    const runoff = poll.type === 'ranked' ? this.runInstantRunoff() : null;
+    const options = Array.from(poll.options.entries()).map(([num, text]) => {
+      const option = {
+        number: num,
+        text: text,
+        count: runoff ? runoff.counts.get(num) : poll.counts.get(num) || 0
+      };
+      if (weighted) {
+        option.weighted = runoff ? runoff.weights.get(num) : poll.weightedCounts.get(num) || 0;
+      }
+      return option;
+    });
     
-    const maxVotes = Math.max(...options.map(opt => opt.count));
-    const winners = options.filter(opt => opt.count === maxVotes && maxVotes > 0);
+    // Weighted polls are won on weight; the raw counts are only shown alongside. Predictions
+    // have no winner until the streamer resolves them
+    const score = opt => weighted ? opt.weighted : opt.count;
+    const maxVotes = Math.max(...options.map(score));
+    const winners = poll.type === 'prediction' ? [] : options.filter(opt => score(opt) === maxVotes && maxVotes > 0);
     const isTie = winners.length > 1;
     
-    return {
+    const results = {
       id: poll.id,
       question: poll.question,
       options: options,
-      totalVotes: options.reduce((sum, opt) => sum + opt.count, 0),
+      type: poll.type,
+      weighting: poll.weighting,
+      totalVotes: poll.votes.size,
       winner: isTie ? null : (winners[0] || null),
       isTie: isTie,
       winners: winners
     };
+    if (runoff) {
+      results.rounds = runoff.rounds;
+    }
+    return results;
   }
 
-  vote(user, choiceNum) {
-    if (!this.isActive()) return false;
+  // Each round counts every ballot for its highest-ranked option still standing, then drops the
+  // last-placed options, until one has a majority of the ballots left or the rest are tied
+  runInstantRunoff() {
     const poll = this.current;
-    if (!poll.options.has(choiceNum)) return false;
-    
-    const prev = poll.votes.get(user);
-    if (prev === choiceNum) return true;
-    
-    if (Number.isFinite(prev) && poll.counts.has(prev)) {
-      poll.counts.set(prev, Math.max(0, (poll.counts.get(prev) || 0) - 1));
+    const weighted = poll.weighting !== 'none';
+    const ballots = Array.from(poll.votes.entries()).map(([user, ranking]) => ({
+      ranking,
+      weight: weighted ? this.getVoteWeight(user) : 1
+    }));
+    const remaining = new Set(poll.options.keys());
+    const rounds = [];
+
+    while (true) {
+      const counts = new Map([...remaining].map(num => [num, 0]));
+      const weights = new Map([...remaining].map(num => [num, 0]));
+      for (const ballot of ballots) {
+        const choice = ballot.ranking.find(num => remaining.has(num));
+        if (choice === undefined) continue; // Exhausted: every option it ranked is out
+        counts.set(choice, counts.get(choice) + 1);
+        weights.set(choice, weights.get(choice) + ballot.weight);
+      }
+
+      const scores = weighted ? weights : counts;
+      const total = [...scores.values()].reduce((sum, score) => sum + score, 0);
+      const top = Math.max(...scores.values());
+      const bottom = Math.min(...scores.values());
+      const round = {
+        tallies: [...remaining].map(num => ({ number: num, votes: counts.get(num), weighted: weighted ? weights.get(num) : undefined })),
+        eliminated: []
+      };
+      rounds.push(round);
+
+      if (total === 0 || top > total / 2 || top === bottom) {
+        for (const num of poll.options.keys()) {
+          if (!remaining.has(num)) {
+            counts.set(num, 0);
+            weights.set(num, 0);
+          }
+        }
+        return { counts, weights, rounds };
+      }
+
+      for (const num of [...remaining]) {
+        if (scores.get(num) === bottom) {
+          remaining.delete(num);
+          round.eliminated.push(num);
+        }
+      }
     }
+  }
+
+  // ballot is a list of option numbers (a single number is taken as a one-option ballot);
+  // repeats are dropped, single-choice polls take exactly one option, and a prediction only the first
+  vote(user, ballot, wallet = null) {
+    if (!this.isActive()) return false;
+    const poll = this.current;
+    const choices = [...new Set(Array.isArray(ballot) ? ballot : [ballot])];
+    if (choices.length === 0 || !choices.every(num => poll.options.has(num))) return false;
+    if (poll.type !== 'approval' && poll.type !== 'ranked' && choices.length !== 1) return false;
+    if (poll.type === 'prediction' && poll.votes.has(user)) return false; // Picks are locked in
     
-    poll.votes.set(user, choiceNum);
-    poll.counts.set(choiceNum, (poll.counts.get(choiceNum) || 0) + 1);
-    console.log(`✅ [${this.streamerId}] Vote recorded: ${user} → ${choiceNum}`);
+    if (wallet) poll.wallets.set(user, wallet);
+    poll.votes.set(user, choices);
+    this.recount();
+    console.log(`✅ [${this.streamerId}] Vote recorded: ${user} → ${choices.join(' ')}`);
     return true;
   }
 
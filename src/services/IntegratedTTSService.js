@@ -3,18 +3,24 @@ const { PumpChatClient } = require('../lib/viri-pump-client');
 const WalletMonitor = require('./WalletMonitor');
 const fs = require('fs').promises;
 const path = require('path');
+const { withBrowserSourceKey } = require('../utils/browserSource');
 
 class IntegratedTTSService extends EventEmitter {
   constructor() {
     super();
-    this.streamers = new Map(); // streamerId -> { config, settings, queue, stats, walletMonitor }
+    this.streamers = new Map(); // streamerId -> { config, settings, queue, stats }
+    this.walletMonitor = null; // Shared by every streamer, see getWalletMonitor()
     this.databaseService = null;
+    this.synthesisService = null;
     this.io = null;
     this.isInitialized = false;
     this.messageQueue = new Map(); // streamerId -> array of messages
-    this.cooldowns = new Map(); // streamerId -> lastTTS time
-    this.recentDonors = new Map(); // streamerId -> Map(walletAddress -> { timestamp, amount, streamerAddress })
-    this.donorTimeout = 300000; // 5 minutes to use TTS after donation
+    this.cooldowns = new Map(); // streamerId -> time the last message finished playing
+    this.recentDonors = new Map(); // streamerId -> Map(walletAddress -> { timestamp, amount, creditMode, creditLeft, ... })
+    this.donorTimeout = 300000; // Claim window when a streamer hasn't set claim_window_seconds
+    this.playbackGraceMs = 5000; // Extra time allowed past a message's expected length
+    this.maxPlaybackMs = 120000; // Never wait longer than this for a browser source to finish
+    this.alertSoundAllowanceMs = 10000; // Extra time for a tier alert sound before the message
     this.stats = {
       totalProcessed: 0,
       totalErrors: 0,
@@ -29,6 +35,23 @@ class IntegratedTTSService extends EventEmitter {
     console.log('✅ Integrated TTS Service initialized');
   }
 
+  // One monitor (and one RPC budget) for all streamers; it tells us which streamers each donation is for
+  getWalletMonitor() {
+    if (!this.walletMonitor) {
+      this.walletMonitor = new WalletMonitor({ databaseService: this.databaseService });
+      this.walletMonitor.on('donation', (donation) => {
+        for (const streamerId of donation.streamerIds || []) {
+          this.handleDonation(streamerId, donation);
+        }
+      });
+    }
+    return this.walletMonitor;
+  }
+
+  setSynthesisService(synthesisService) {
+    this.synthesisService = synthesisService;
+  }
+
   async setDatabaseServiceAndLoadStreamers(databaseService, chatMonitorManager) {
     this.databaseService = databaseService;
     this.chatMonitorManager = chatMonitorManager;
@@ -64,26 +87,18 @@ class IntegratedTTSService extends EventEmitter {
         await this.databaseService.updateTTSSettings(streamerId, defaultSettings);
         ttsSettings = defaultSettings;
       } else {
-        // Fix existing settings if auto_tts_enabled is false or cooldown is too high
+        // Fix existing settings if auto_tts_enabled is false
         console.log(`🔍 [TTS] Checking settings for ${streamerId}: auto_tts_enabled = ${ttsSettings.auto_tts_enabled}, cooldown_seconds = ${ttsSettings.cooldown_seconds}`);
-        let needsUpdate = false;
         
         if (ttsSettings.auto_tts_enabled === false) {
           console.log(`🔧 Fixing TTS settings for streamer ${streamerId} - enabling auto_tts_enabled`);
           ttsSettings.auto_tts_enabled = true;
-          needsUpdate = true;
-        }
-        
-        if (ttsSettings.cooldown_seconds > 5) {
-          console.log(`🔧 Fixing TTS settings for streamer ${streamerId} - reducing cooldown from ${ttsSettings.cooldown_seconds}s to 3s`);
-          ttsSettings.cooldown_seconds = 3;
-          needsUpdate = true;
-        }
-        
-        if (needsUpdate) {
           await this.databaseService.updateTTSSettings(streamerId, ttsSettings);
-          console.log(`✅ [TTS] Fixed settings for ${streamerId}: auto_tts_enabled = ${ttsSettings.auto_tts_enabled}, cooldown_seconds = ${ttsSettings.cooldown_seconds}`);
+          console.log(`✅ [TTS] Fixed settings for ${streamerId}: auto_tts_enabled = ${ttsSettings.auto_tts_enabled}`);
         }
+        
+        // Settings saved before newer options existed
+        ttsSettings = { ...this.getDefaultSettings(), ...ttsSettings };
       }
 
       // Subscribe to shared chat monitor
@@ -94,24 +109,23 @@ class IntegratedTTSService extends EventEmitter {
         });
       }
       
-      // Create wallet monitor for this streamer
-      const walletMonitor = new WalletMonitor();
-      
-      // Set up wallet monitoring event handlers
-      walletMonitor.on('donation', (donation) => {
-        this.handleDonation(streamerId, donation);
-      });
-
       // Store streamer configuration
       this.streamers.set(streamerId, {
         config: streamer,
         settings: ttsSettings,
-        walletMonitor: walletMonitor,
         queue: [],
+        playback: {
+          state: 'idle', // idle | playing | paused
+          current: null, // ttsRequest the browser source is playing
+          preparing: false, // audio for the next request is being rendered
+          timer: null, // safety timeout in case no browser source reports back
+          spacingTimer: null // waits out cooldown_seconds between messages
+        },
         recentMessages: [], // Store recent TTS messages
         stats: {
           processed: 0,
           errors: 0,
+          dropped: 0,
           lastProcessed: null
         }
       });
@@ -126,14 +140,10 @@ class IntegratedTTSService extends EventEmitter {
 
       // Start wallet monitoring if wallet address is available
       if (streamer.wallet_address) {
-        walletMonitor.startMonitoring(streamer.wallet_address, streamerId);
-        console.log(`💰 Started wallet monitoring for streamer ${streamerId} (wallet: ${streamer.wallet_address})`);
-        
-        // Set up donation event listener for this streamer
-        walletMonitor.on('donation', (donation) => {
-          console.log(`💰 [TTS] Donation event received for streamer ${streamerId}:`, donation);
-          this.handleStreamerDonation(streamerId, donation);
+        this.getWalletMonitor().startMonitoring(streamer.wallet_address, streamerId, {
+          tokenMints: this.getWatchedMints(ttsSettings, streamer.token_address)
         });
+        console.log(`💰 Started wallet monitoring for streamer ${streamerId} (wallet: ${streamer.wallet_address})`);
       }
 
       console.log(`✅ TTS service created for streamer ${streamerId}`);
@@ -172,9 +182,17 @@ class IntegratedTTSService extends EventEmitter {
         return; // Already stopped
       }
 
-      // Stop wallet monitoring
-      if (streamer.walletMonitor) {
-        streamer.walletMonitor.stopMonitoring();
+      // Stop watching the wallet for this streamer (other streamers on the same wallet keep it)
+      if (this.walletMonitor && streamer.config.wallet_address) {
+        this.walletMonitor.stopMonitoring(streamer.config.wallet_address, streamerId);
+      }
+
+      // Stop playback tracking
+      if (streamer.playback.timer) {
+        clearTimeout(streamer.playback.timer);
+      }
+      if (streamer.playback.spacingTimer) {
+        clearTimeout(streamer.playback.spacingTimer);
       }
 
       // Disconnect chat client
@@ -193,18 +211,6 @@ class IntegratedTTSService extends EventEmitter {
     }
   }
 
-  handleStreamerDonation(streamerId, donation) {
-    console.log(`💰 [TTS] Donation for streamer ${streamerId}:`, donation);
-    
-    // Register donation directly with our TTS service (like the original code)
-    const streamer = this.streamers.get(streamerId);
-    if (streamer) {
-      // Register the donor in our recent donors map
-      this.registerDonation(streamerId, donation.from, donation.amount);
-      console.log(`✅ [TTS] Donation registered for auto-TTS: ${donation.from} donated ${donation.amount} SOL`);
-    }
-  }
-
   async handleDonation(streamerId, donation) {
     try {
       console.log(`💰 [TTS] Donation detected for streamer ${streamerId}:`, donation);
@@ -216,40 +222,223 @@ class IntegratedTTSService extends EventEmitter {
         return;
       }
       
-      console.log(`🔍 [TTS] Checking donation amount: ${donation.amount} SOL >= ${streamer.settings.min_donation} SOL`);
-      if (donation.amount < streamer.settings.min_donation) {
-        console.log(`❌ [TTS] Donation amount too low: ${donation.amount} SOL < ${streamer.settings.min_donation} SOL`);
+      const settings = streamer.settings;
+      const tokenAddress = streamer.config.token_address;
+      const unit = this.getDonationUnitLabel(settings);
+
+      // Every transfer the wallet monitor parsed goes in the ledger; thresholds only gate alerts and TTS
+      const solValue = this.getDonationValue({ ...settings, min_donation_unit: 'SOL' }, donation, tokenAddress);
+      const record = await this.recordDonation(streamerId, donation, solValue);
+
+      if (donation.mint && !this.getWatchedMints(settings, tokenAddress).includes(donation.mint)) {
+        console.log(`❌ [TTS] Token ${donation.mint} is not accepted for ${streamerId}`);
+        return;
+      }
+
+      // Compare in the unit min_donation is set in
+      const value = this.getDonationValue(settings, donation, tokenAddress);
+
+      // Alerts go out for every accepted donation, not just ones that unlock TTS
+      this.emit('donation-received', {
+        streamerId,
+        from: donation.from,
+        amount: value,
+        amountLabel: this.formatDonationAmount(settings, donation),
+        mint: donation.mint || null,
+        transactionHash: donation.transactionHash
+      });
+
+      if (value === null) {
+        console.log(`❌ [TTS] Can't value ${donation.amount} ${donation.mint || 'SOL'} in ${unit} - set a SOL per token rate for this token`);
+        return;
+      }
+
+      console.log(`🔍 [TTS] Checking donation amount: ${value} ${unit} >= ${settings.min_donation} ${unit}`);
+      if (value < settings.min_donation) {
+        console.log(`❌ [TTS] Donation amount too low: ${value} ${unit} < ${settings.min_donation} ${unit}`);
         return;
       }
       
       // Register the donor
-      console.log(`✅ [TTS] Registering donation from ${donation.from} for ${donation.amount} SOL`);
-      this.registerDonation(streamerId, donation.from, donation.amount);
+      console.log(`✅ [TTS] Registering donation from ${donation.from} for ${value} ${unit}`);
+      const donorData = this.registerDonation(streamerId, donation.from, value, {
+        label: this.formatDonationAmount(settings, donation),
+        mint: donation.mint || null,
+        tokenAmount: donation.tokenAmount || null,
+        solValue,
+        donationId: record ? record.id : null
+      });
+
+      // A memo on the transfer is the donor's message, so they don't have to chat afterwards
+      const memoRead = donation.memo && settings.memo_messages_enabled && await this.processMemoTTS(streamerId, donation);
+      if (donorData && !memoRead) {
+        this.announceCredit(streamerId, donation.from, donorData);
+      }
       
     } catch (error) {
       console.error(`❌ [TTS] Error handling donation for ${streamerId}:`, error);
     }
   }
 
-  registerDonation(streamerId, walletAddress, amount) {
+  // amount is in the streamer's min_donation unit; details carries what was actually sent
+  registerDonation(streamerId, walletAddress, amount, details = {}) {
     const now = Date.now();
     const streamerDonors = this.recentDonors.get(streamerId);
     
     if (streamerDonors) {
+      const settings = this.streamers.get(streamerId)?.settings || this.getDefaultSettings();
+      const creditMode = settings.credit_mode || 'message';
+
+      // Credit left over from an earlier donation that's still in its window carries over
+      const previous = this.isRecentDonor(streamerId, walletAddress) ? streamerDonors.get(walletAddress) : null;
+      const carriedCredit = previous && previous.creditMode === creditMode ? previous.creditLeft : 0;
+
       const donorData = {
         timestamp: now,
         amount: amount,
-        streamerAddress: streamerId
+        streamerAddress: streamerId,
+        creditMode,
+        creditLeft: this.getDonationCredit(settings, amount) + carriedCredit,
+        label: details.label || null, // e.g. "25000 TOKEN", read out in the TTS message
+        mint: details.mint || null,
+        tokenAmount: details.tokenAmount || null,
+        solValue: details.solValue ?? null,
+        donationId: details.donationId || null // Row in the donations ledger
       };
       
       streamerDonors.set(walletAddress, donorData);
       
-      console.log(`💰 [TTS] Donation registered for auto-TTS: ${walletAddress} donated ${amount} SOL to ${streamerId}`);
+      console.log(`💰 [TTS] Donation registered for auto-TTS: ${walletAddress} donated ${donorData.label || `${amount} SOL`} to ${streamerId} (${this.describeCredit(donorData)} of credit)`);
       console.log(`📝 [TTS] Donor data:`, donorData);
       console.log(`📊 [TTS] Current recent donors for ${streamerId}:`, Array.from(streamerDonors.keys()));
       
       // Clean up old donors periodically
       this.cleanupOldDonors(streamerId);
+      this.broadcastQueueUpdate(streamerId);
+      return donorData;
+    }
+    return null;
+  }
+
+  // Messages (or characters, in 'characters' mode) one donation buys. amount is in the
+  // min_donation unit; credit_rate is credit per 1 of that unit, and every donation gets at least 1.
+  getDonationCredit(settings, amount) {
+    if (settings.credit_mode !== 'messages' && settings.credit_mode !== 'characters') {
+      return 1;
+    }
+    const rate = parseFloat(settings.credit_rate) || 1;
+    return Math.max(1, Math.floor(amount * rate + 1e-9)); // Epsilon so 0.29 * 100 isn't 28
+  }
+
+  // In 'characters' mode a message is cut to the characters the donor has left, and to
+  // maxLength (the tier's limit) so it isn't dropped as too long after being charged
+  fitToCredit(donorData, message, maxLength) {
+    if (!donorData || donorData.creditMode !== 'characters') return message;
+    const limit = maxLength > 0 ? Math.min(donorData.creditLeft, maxLength) : donorData.creditLeft;
+    return message.substring(0, limit).trim();
+  }
+
+  // Take a read message out of the donor's credit, forgetting them once it's used up
+  spendDonorCredit(streamerId, walletAddress, message, { announce = true } = {}) {
+    const streamerDonors = this.recentDonors.get(streamerId);
+    const donorData = streamerDonors?.get(walletAddress);
+    if (!donorData) return;
+
+    donorData.creditLeft -= donorData.creditMode === 'characters' ? message.length : 1;
+
+    if (donorData.creditLeft <= 0) {
+      streamerDonors.delete(walletAddress);
+      console.log(`🗑️ [TTS] ${walletAddress} used up their donation credit for ${streamerId}`);
+    } else {
+      console.log(`💳 [TTS] ${walletAddress} has ${this.describeCredit(donorData)} left for ${streamerId}`);
+      if (announce) {
+        this.announceCredit(streamerId, walletAddress, donorData);
+      }
+    }
+    this.broadcastQueueUpdate(streamerId);
+  }
+
+  // Give back credit reserved for a message that was then dropped
+  refundDonorCredit(streamerId, walletAddress, donorData, message) {
+    const streamerDonors = this.recentDonors.get(streamerId);
+    if (!streamerDonors || !donorData) return;
+
+    // A donor who used up their credit was forgotten; bring them back unless a newer donation took their place
+    const current = streamerDonors.get(walletAddress) || donorData;
+    if (current.creditMode !== donorData.creditMode) return;
+    if (!streamerDonors.has(walletAddress)) {
+      streamerDonors.set(walletAddress, current);
+    }
+
+    current.creditLeft += donorData.creditMode === 'characters' ? message.length : 1;
+    console.log(`↩️ [TTS] Refunded ${walletAddress} for a dropped message, ${this.describeCredit(current)} left for ${streamerId}`);
+    this.broadcastQueueUpdate(streamerId);
+  }
+
+  describeCredit(donorData) {
+    const unit = donorData.creditMode === 'characters' ? 'character' : 'message';
+    return `${donorData.creditLeft} ${unit}${donorData.creditLeft === 1 ? '' : 's'}`;
+  }
+
+  // Optionally tell the donor in chat what they have left to spend (sent by the automod wallet)
+  announceCredit(streamerId, walletAddress, donorData) {
+    const settings = this.streamers.get(streamerId)?.settings;
+    if (!settings || !settings.enabled || !settings.donation_gate_enabled || !settings.credit_announce_enabled) return;
+
+    const expiresAt = donorData.timestamp + this.getClaimWindowMs(streamerId);
+    const minutesLeft = Math.max(1, Math.ceil((expiresAt - Date.now()) / 60000));
+    this.emit('credit-announcement', {
+      streamerId,
+      walletAddress,
+      message: `${this.shortenWalletAddress(walletAddress)} has ${this.describeCredit(donorData)} of TTS left, chat within ${minutesLeft} min to use it`
+    });
+  }
+
+  // How long after donating a donor has to claim their TTS credit
+  getClaimWindowMs(streamerId) {
+    const seconds = parseFloat(this.streamers.get(streamerId)?.settings.claim_window_seconds);
+    return seconds > 0 ? seconds * 1000 : this.donorTimeout;
+  }
+
+  // Unclaimed credit for the streamer's playback queue panel
+  getDonorCredits(streamerId) {
+    this.cleanupOldDonors(streamerId);
+    const streamerDonors = this.recentDonors.get(streamerId);
+    if (!streamerDonors) return [];
+
+    const windowMs = this.getClaimWindowMs(streamerId);
+    return Array.from(streamerDonors.entries()).map(([walletAddress, donorData]) => ({
+      walletAddress,
+      donated: donorData.label || `${donorData.amount} SOL`,
+      creditMode: donorData.creditMode,
+      creditLeft: donorData.creditLeft,
+      credit: this.describeCredit(donorData),
+      expiresAt: new Date(donorData.timestamp + windowMs)
+    }));
+  }
+
+  async recordDonation(streamerId, donation, solValue) {
+    try {
+      return await this.databaseService.saveDonation(streamerId, {
+        signature: donation.transactionHash,
+        from: donation.from,
+        to: donation.to,
+        amount: donation.mint ? donation.tokenAmount : donation.amount,
+        mint: donation.mint || null,
+        solValue
+      });
+    } catch (error) {
+      console.error(`❌ [TTS] Error saving donation ${donation.transactionHash} for ${streamerId}:`, error);
+      return null;
+    }
+  }
+
+  async markDonationTriggeredTTS(donorData) {
+    if (!donorData || !donorData.donationId) return;
+    try {
+      await this.databaseService.markDonationTriggeredTTS(donorData.donationId);
+    } catch (error) {
+      console.error(`❌ [TTS] Error marking donation ${donorData.donationId} as read out:`, error);
     }
   }
 
@@ -258,8 +447,9 @@ class IntegratedTTSService extends EventEmitter {
     if (!streamerDonors) return;
     
     const now = Date.now();
+    const windowMs = this.getClaimWindowMs(streamerId);
     for (const [walletAddress, donorData] of streamerDonors.entries()) {
-      if (now - donorData.timestamp > this.donorTimeout) {
+      if (now - donorData.timestamp > windowMs) {
         streamerDonors.delete(walletAddress);
       }
     }
@@ -357,7 +547,7 @@ class IntegratedTTSService extends EventEmitter {
       if (!streamer.settings.donation_gate_enabled) {
         console.log(`🔧 [TTS] Donation gate disabled - reading all messages: ${message.username || message.user}: ${message.text || message.content || message.message}`);
         
-        const messageData = this.parseRegularMessage(message);
+        const messageData = this.parseRegularMessage(message, streamer.settings);
         if (messageData) {
           await this.processRegularTTS(streamerId, messageData);
         }
@@ -369,21 +559,34 @@ class IntegratedTTSService extends EventEmitter {
       if (userAddress && this.isRecentDonor(streamerId, userAddress)) {
         console.log(`🎤 Auto-TTS triggered for recent donor: ${message.username || message.user}: ${message.text || message.content || message.message}`);
         
-        const messageData = this.parseRegularMessage(message);
+        const messageData = this.parseRegularMessage(message, streamer.settings);
         if (messageData) {
-          // Remove from recent donors to prevent multiple TTS from same donation
-          this.removeRecentDonor(streamerId, userAddress);
-          console.log(`🗑️ [TTS] Removed ${userAddress} from recent donors after TTS use`);
+          // Carry the donated amount over so the message gets its donation tier
+          const donorData = this.recentDonors.get(streamerId)?.get(userAddress);
+          messageData.amount = donorData?.amount || 0;
+
+          // Reserve the credit up front so a burst of chat can't read more than was paid for
+          const maxLength = this.applyDonationTier(streamer.settings, this.getDonationTier(streamer.settings, messageData.amount)).maxMessageLength;
+          messageData.message = this.fitToCredit(donorData, messageData.message, maxLength);
+          this.spendDonorCredit(streamerId, userAddress, messageData.message, { announce: false });
           
           // Process as regular TTS since they were a recent donor
-          await this.processRegularTTS(streamerId, messageData);
+          if (await this.processRegularTTS(streamerId, messageData)) {
+            await this.markDonationTriggeredTTS(donorData);
+            if (donorData.creditLeft > 0) {
+              this.announceCredit(streamerId, userAddress, donorData);
+            }
+          } else {
+            // Dropped (banned words, too long, queue full, auto TTS off) - nothing was read, so give it back
+            this.refundDonorCredit(streamerId, userAddress, donorData, messageData.message);
+          }
         }
         return;
       }
 
       // If donation gate is enabled, check for donation messages
       if (this.isDonationMessage(message)) {
-        const donationData = this.parseDonationMessage(message);
+        const donationData = this.parseDonationMessage(message, streamer.settings);
         if (donationData) {
           await this.processDonationTTS(streamerId, donationData);
         }
@@ -406,7 +609,7 @@ class IntegratedTTSService extends EventEmitter {
     }
     
     const now = Date.now();
-    const isValid = (now - donorData.timestamp) <= this.donorTimeout;
+    const isValid = (now - donorData.timestamp) <= this.getClaimWindowMs(streamerId);
     
     
     if (!isValid) {
@@ -417,13 +620,6 @@ class IntegratedTTSService extends EventEmitter {
     return isValid;
   }
 
-  removeRecentDonor(streamerId, walletAddress) {
-    const streamerDonors = this.recentDonors.get(streamerId);
-    if (streamerDonors) {
-      streamerDonors.delete(walletAddress);
-    }
-  }
-
   isDonationMessage(message) {
     // Look for donation patterns in the message
     const text = message.text || message.content || '';
@@ -446,12 +642,14 @@ class IntegratedTTSService extends EventEmitter {
     return text.length > 0 && !this.isDonationMessage(message);
   }
 
-  parseRegularMessage(message) {
+  parseRegularMessage(message, settings = {}) {
     try {
-      const text = message.text || message.content || message.message || '';
+      const rawText = message.text || message.content || message.message || '';
       const walletAddress = message.walletAddress || message.userAddress || message.user || message.sender;
       
-      console.log(`🔍 [TTS] Parsing message - text: "${text}", walletAddress: "${walletAddress}"`);
+      console.log(`🔍 [TTS] Parsing message - text: "${rawText}", walletAddress: "${walletAddress}"`);
+      
+      const { voicePreset, text } = this.extractVoicePreset(rawText, settings);
       
       if (text && walletAddress) {
         console.log(`✅ [TTS] Message parsed successfully: ${walletAddress}: ${text}`);
@@ -460,6 +658,7 @@ class IntegratedTTSService extends EventEmitter {
           amount: 0, // Regular messages have no amount
           message: text,
           originalMessage: text,
+          voicePreset,
           timestamp: new Date()
         };
       }
@@ -472,6 +671,44 @@ class IntegratedTTSService extends EventEmitter {
     }
   }
 
+  // Pull a viewer's voice choice ("[robot] hello" or "!voice robot hello") off the
+  // front of a message. Only applies when the streamer allows viewer voice selection.
+  extractVoicePreset(text, settings = {}) {
+    if (!settings.viewer_voice_selection_enabled) {
+      return { voicePreset: null, text };
+    }
+
+    const match = /^\s*(?:\[([\w-]{1,20})\]|!voice\s+([\w-]{1,20}))\s*/i.exec(text);
+    if (!match) {
+      return { voicePreset: null, text };
+    }
+
+    return {
+      voicePreset: (match[1] || match[2]).toLowerCase(),
+      text: text.slice(match[0].length)
+    };
+  }
+
+  // Viewer preset overrides the tier voice, which overrides the streamer default.
+  // Unknown presets are ignored so the message still plays with the default voice.
+  applyVoicePreset(settings, presetName) {
+    if (!presetName) return { settings, voicePreset: null };
+
+    const presets = Array.isArray(settings.voice_presets) ? settings.voice_presets : [];
+    const preset = presets.find(candidate => candidate.name === presetName);
+    if (!preset) {
+      console.log(`🔇 [TTS] Unknown voice preset "${presetName}" - using default voice`);
+      return { settings, voicePreset: null };
+    }
+
+    const presetSettings = { ...settings, voice: preset.voice };
+    if (preset.rate) presetSettings.rate = preset.rate;
+    if (preset.pitch) presetSettings.pitch = preset.pitch;
+    if (preset.browser_voice) presetSettings.browser_voice = preset.browser_voice;
+
+    return { settings: presetSettings, voicePreset: preset.name };
+  }
+
   async processRegularTTS(streamerId, messageData) {
     try {
       const streamer = this.streamers.get(streamerId);
@@ -491,23 +728,22 @@ class IntegratedTTSService extends EventEmitter {
       const isBanned = await this.isMessageBanned(streamerId, messageData.message);
       if (isBanned) {
         console.log(`🚫 [TTS] Message blocked due to banned words for ${streamerId}: ${messageData.message}`);
+        this.dropTTSMessage(streamerId, { ...messageData, type: 'regular' }, 'banned_words');
         return;
       }
 
-      // Check cooldown
-      if (this.isInCooldown(streamerId)) {
-        const lastTTS = this.cooldowns.get(streamerId);
-        const cooldownMs = streamer.settings.cooldown_seconds * 1000;
-        const remainingMs = cooldownMs - (Date.now() - lastTTS);
-        console.log(`⏰ [TTS] Cooldown active for ${streamerId} - ${Math.ceil(remainingMs/1000)}s remaining`);
-        return;
-      }
+      // Donors who chat after donating still get their tier
+      const amount = messageData.amount || 0;
+      const tiered = this.applyDonationTier(settings, this.getDonationTier(settings, amount));
 
       // Check message length
-      if (messageData.message.length > settings.max_message_length) {
+      if (messageData.message.length > tiered.maxMessageLength) {
+        this.dropTTSMessage(streamerId, { ...messageData, type: 'regular' }, 'too_long');
         return;
       }
 
+      const voiced = this.applyVoicePreset(tiered.settings, messageData.voicePreset);
+
       // Format TTS message
       const ttsMessage = this.formatRegularTTSMessage(messageData.walletAddress, messageData.message);
       
@@ -519,28 +755,27 @@ class IntegratedTTSService extends EventEmitter {
         originalMessage: messageData.message,
         walletAddress: messageData.walletAddress,
         sender: messageData.username || messageData.walletAddress?.substring(0, 8) || 'Anonymous',
-        amount: 0,
+        amount,
         type: 'regular',
         timestamp: new Date(),
-        settings: settings
+        settings: voiced.settings,
+        voicePreset: voiced.voicePreset,
+        priority: tiered.priority,
+        tier: tiered.tier
       };
 
-      streamer.queue.push(ttsRequest);
-      this.stats.queueLength++;
-
-      // Update cooldown
-      this.cooldowns.set(streamerId, Date.now());
+      if (!this.enqueueTTSRequest(streamerId, ttsRequest)) {
+        return;
+      }
 
-      // Emit TTS event
+      // Emit TTS event (browser sources are notified once the audio is rendered)
       this.emit('tts-request', ttsRequest);
-      
-      // Broadcast to browser sources
-      this.broadcastToSubscribers(streamerId, 'tts-request', ttsRequest);
 
       console.log(`🎤 Regular TTS queued for ${streamerId}: ${ttsMessage}`);
 
       // Process queue
       this.processQueue(streamerId);
+      return true;
     } catch (error) {
       console.error(`❌ Error processing regular TTS for ${streamerId}:`, error);
     }
@@ -551,7 +786,7 @@ class IntegratedTTSService extends EventEmitter {
     return message;
   }
 
-  parseDonationMessage(message) {
+  parseDonationMessage(message, settings = {}) {
     try {
       const text = message.text || message.content || '';
       const walletAddress = message.walletAddress || message.user || message.sender;
@@ -564,12 +799,15 @@ class IntegratedTTSService extends EventEmitter {
       let cleanMessage = text.replace(/(donated|sent|purchased|bought).*?sol/i, '').trim();
       cleanMessage = cleanMessage.replace(/^\d+\.?\d*\s*sol/i, '').trim();
       
-      if (cleanMessage && walletAddress) {
+      const { voicePreset, text: spokenMessage } = this.extractVoicePreset(cleanMessage, settings);
+      
+      if (spokenMessage && walletAddress) {
         return {
           walletAddress,
           amount,
-          message: cleanMessage,
+          message: spokenMessage,
           originalMessage: text,
+          voicePreset,
           timestamp: new Date()
         };
       }
@@ -581,10 +819,11 @@ class IntegratedTTSService extends EventEmitter {
     }
   }
 
+  // Resolves whether the message was queued
   async processDonationTTS(streamerId, messageData) {
     try {
       const streamer = this.streamers.get(streamerId);
-      if (!streamer) return;
+      if (!streamer) return false;
 
       const settings = streamer.settings;
       
@@ -592,36 +831,39 @@ class IntegratedTTSService extends EventEmitter {
       const userAddress = messageData.walletAddress;
       const streamerDonors = this.recentDonors.get(streamerId);
       let donationAmount = 0;
+      let donationLabel = null;
+      const donorData = streamerDonors?.get(userAddress);
       
-      if (streamerDonors && streamerDonors.has(userAddress)) {
-        const donorData = streamerDonors.get(userAddress);
+      if (donorData) {
         donationAmount = donorData.amount;
+        donationLabel = donorData.label;
       }
 
       // Check minimum donation requirement - if user is in recent donors, they already met the requirement
       if (settings.donation_gate_enabled && !streamerDonors?.has(userAddress)) {
-        return;
+        return false;
       }
 
       // Check for banned words
       const isBanned = await this.isMessageBanned(streamerId, messageData.message);
       if (isBanned) {
         console.log(`🚫 [TTS] Donation message blocked due to banned words for ${streamerId}: ${messageData.message}`);
-        return;
+        this.dropTTSMessage(streamerId, { ...messageData, amount: donationAmount, type: 'donation' }, 'banned_words');
+        return false;
       }
 
-      // Check cooldown
-      if (this.isInCooldown(streamerId)) {
-        return;
-      }
+      const tiered = this.applyDonationTier(settings, this.getDonationTier(settings, donationAmount));
 
       // Check message length
-      if (messageData.message.length > settings.max_message_length) {
-        return;
+      if (messageData.message.length > tiered.maxMessageLength) {
+        this.dropTTSMessage(streamerId, { ...messageData, amount: donationAmount, type: 'donation' }, 'too_long');
+        return false;
       }
 
+      const voiced = this.applyVoicePreset(tiered.settings, messageData.voicePreset);
+
       // Format TTS message
-      const ttsMessage = this.formatTTSMessage(messageData.walletAddress, donationAmount, messageData.message);
+      const ttsMessage = this.formatTTSMessage(messageData.walletAddress, donationAmount, messageData.message, donationLabel);
       
       // Add to queue
       const ttsRequest = {
@@ -634,30 +876,144 @@ class IntegratedTTSService extends EventEmitter {
         amount: donationAmount,
         type: 'donation',
         timestamp: new Date(),
-        settings: settings
+        settings: voiced.settings,
+        voicePreset: voiced.voicePreset,
+        priority: tiered.priority,
+        tier: tiered.tier
       };
 
-      streamer.queue.push(ttsRequest);
-      this.stats.queueLength++;
-
-      // Update cooldown
-      this.cooldowns.set(streamerId, Date.now());
+      if (!this.enqueueTTSRequest(streamerId, ttsRequest)) {
+        return false;
+      }
 
-      // Emit TTS event
+      // Emit TTS event (browser sources are notified once the audio is rendered)
       this.emit('tts-request', ttsRequest);
-      
-      // Broadcast to browser sources
-      this.broadcastToSubscribers(streamerId, 'tts-request', ttsRequest);
 
       console.log(`🎤 TTS queued for ${streamerId}: ${ttsMessage}`);
+      await this.markDonationTriggeredTTS(donorData);
 
       // Process queue
       this.processQueue(streamerId);
+      return true;
     } catch (error) {
       console.error(`❌ Error processing donation TTS for ${streamerId}:`, error);
+      return false;
     }
   }
 
+  // Read a donation's memo like a donation chat message (banned words, tiers, voice presets).
+  // The memo spends one message of the donation's credit; returns whether it was read.
+  async processMemoTTS(streamerId, donation) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer || !streamer.settings.enabled) return false;
+
+    const { voicePreset, text } = this.extractVoicePreset(donation.memo, streamer.settings);
+    const donorData = this.recentDonors.get(streamerId)?.get(donation.from);
+    const maxLength = this.applyDonationTier(streamer.settings, this.getDonationTier(streamer.settings, donorData?.amount)).maxMessageLength;
+    const message = this.fitToCredit(donorData, text.trim(), maxLength);
+    if (!message) return false;
+
+    console.log(`📝 [TTS] Reading memo from ${donation.from} for ${streamerId}: ${message}`);
+    const queued = await this.processDonationTTS(streamerId, {
+      walletAddress: donation.from,
+      message,
+      originalMessage: donation.memo,
+      voicePreset,
+      timestamp: new Date()
+    });
+
+    // A dropped memo (banned words, too long, queue full) leaves the credit for chat
+    if (!queued) return false;
+    this.spendDonorCredit(streamerId, donation.from, message);
+    return true;
+  }
+
+  // Token mints the wallet monitor should watch: the accepted list, or the streamer's own token
+  getWatchedMints(settings, tokenAddress) {
+    if (!settings.token_donations_enabled) return [];
+    const accepted = Array.isArray(settings.accepted_mints) ? settings.accepted_mints : [];
+    if (accepted.length > 0) return accepted.map(rule => rule.mint);
+    return tokenAddress ? [tokenAddress] : [];
+  }
+
+  getTokenRule(settings, mint) {
+    const accepted = Array.isArray(settings.accepted_mints) ? settings.accepted_mints : [];
+    return accepted.find(rule => rule.mint === mint) || null;
+  }
+
+  getDonationUnitLabel(settings) {
+    return settings.min_donation_unit === 'TOKEN' ? 'tokens' : 'SOL';
+  }
+
+  // Value of a donation in the unit min_donation (and tier minimums) are set in:
+  // SOL, or the streamer's own token. null when there's no rate to convert with.
+  getDonationValue(settings, donation, tokenAddress) {
+    const unitMint = settings.min_donation_unit === 'TOKEN' ? tokenAddress : null;
+    if (settings.min_donation_unit === 'TOKEN' && !unitMint) return null;
+
+    const solPerToken = (mint) => {
+      const rule = this.getTokenRule(settings, mint);
+      return rule && rule.sol_per_token > 0 ? rule.sol_per_token : null;
+    };
+
+    let solValue;
+    if (donation.mint) {
+      if (donation.mint === unitMint) return donation.tokenAmount;
+      const rate = solPerToken(donation.mint);
+      if (!rate) return null;
+      solValue = donation.tokenAmount * rate;
+    } else {
+      solValue = donation.amount;
+    }
+
+    if (!unitMint) return solValue;
+    const unitRate = solPerToken(unitMint);
+    return unitRate ? solValue / unitRate : null;
+  }
+
+  // What the TTS message says was donated, e.g. "0.1 SOL" or "25000 PUMP"
+  formatDonationAmount(settings, donation) {
+    if (!donation.mint) return `${donation.amount} SOL`;
+    const rule = this.getTokenRule(settings, donation.mint);
+    return `${donation.tokenAmount} ${(rule && rule.symbol) || 'tokens'}`;
+  }
+
+  // Highest tier whose min_amount the donation reaches, or null
+  getDonationTier(settings, amount) {
+    const tiers = Array.isArray(settings.donation_tiers) ? settings.donation_tiers : [];
+    if (!amount || amount <= 0) return null;
+
+    return tiers
+      .filter(tier => amount >= parseFloat(tier.min_amount))
+      .sort((a, b) => parseFloat(b.min_amount) - parseFloat(a.min_amount))[0] || null;
+  }
+
+  // Voice, length limit and queue priority for a message in the given tier
+  applyDonationTier(settings, tier) {
+    if (!tier) {
+      return { settings, maxMessageLength: settings.max_message_length, priority: 0, tier: null };
+    }
+
+    return {
+      settings: tier.voice ? { ...settings, voice: tier.voice } : settings,
+      maxMessageLength: parseInt(tier.max_message_length) || settings.max_message_length,
+      priority: parseInt(tier.priority) || 0,
+      // Only what the overlay needs for styling
+      tier: {
+        name: tier.name,
+        min_amount: parseFloat(tier.min_amount),
+        color: tier.color || null,
+        alert_sound: tier.alert_sound || null
+      }
+    };
+  }
+
+  // Tests and replays are placed at the front on purpose and stay ahead of tiers
+  getQueuePriority(ttsRequest) {
+    if (ttsRequest.isTest || ttsRequest.isReplay) return Infinity;
+    return ttsRequest.priority || 0;
+  }
+
   isInCooldown(streamerId) {
     const streamer = this.streamers.get(streamerId);
     if (!streamer) return true;
@@ -669,99 +1025,498 @@ class IntegratedTTSService extends EventEmitter {
     return (Date.now() - lastTTS) < cooldownMs;
   }
 
+  // Returns false when the request was dropped instead of queued
+  enqueueTTSRequest(streamerId, ttsRequest, { front = false } = {}) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) return false;
+
+    const priority = this.getQueuePriority(ttsRequest);
+    const maxDepth = streamer.settings.max_queue_depth || this.getDefaultSettings().max_queue_depth;
+    if (!front && streamer.queue.length >= maxDepth) {
+      // A higher tier bumps the newest message from the lowest tier in the queue
+      const lowest = this.findLowestPriorityIndex(streamer.queue);
+      if (lowest === -1 || this.getQueuePriority(streamer.queue[lowest]) >= priority) {
+        console.log(`📛 [TTS] Queue full for ${streamerId} (${maxDepth}) - dropping message from ${ttsRequest.sender}`);
+        this.dropTTSMessage(streamerId, ttsRequest, 'queue_full');
+        return false;
+      }
+
+      const [bumped] = streamer.queue.splice(lowest, 1);
+      this.stats.queueLength--;
+      console.log(`📛 [TTS] Queue full for ${streamerId} (${maxDepth}) - bumping message from ${bumped.sender} for a higher tier`);
+      this.dropTTSMessage(streamerId, bumped, 'queue_full');
+    }
+
+    if (front) {
+      streamer.queue.unshift(ttsRequest);
+    } else {
+      // Higher tiers play first; arrival order is kept within a tier
+      const index = streamer.queue.findIndex(queued => this.getQueuePriority(queued) < priority);
+      if (index === -1) {
+        streamer.queue.push(ttsRequest);
+      } else {
+        streamer.queue.splice(index, 0, ttsRequest);
+      }
+    }
+    this.stats.queueLength++;
+
+    this.broadcastQueueUpdate(streamerId);
+    return true;
+  }
+
+  findLowestPriorityIndex(queue) {
+    let lowest = -1;
+    queue.forEach((queued, index) => {
+      if (lowest === -1 || this.getQueuePriority(queued) <= this.getQueuePriority(queue[lowest])) {
+        lowest = index;
+      }
+    });
+    return lowest;
+  }
+
+  // Tell the dashboard (and any listeners) why a message will never be read out
+  dropTTSMessage(streamerId, messageData, reason) {
+    const streamer = this.streamers.get(streamerId);
+    if (streamer) {
+      streamer.stats.dropped++;
+    }
+
+    const dropped = {
+      id: messageData.id || null,
+      streamerId,
+      reason,
+      message: messageData.originalMessage || messageData.message,
+      sender: messageData.sender || messageData.username || messageData.walletAddress?.substring(0, 8) || 'Anonymous',
+      walletAddress: messageData.walletAddress || null,
+      amount: messageData.amount || 0,
+      type: messageData.type || 'regular',
+      timestamp: new Date()
+    };
+
+    this.emit('tts-dropped', dropped);
+    this.broadcastToSubscribers(streamerId, 'tts-dropped', dropped);
+  }
+
+  // Start the next queued request if nothing is playing. Advances again when the
+  // browser source reports the message ended (or the safety timeout fires).
   async processQueue(streamerId) {
     const streamer = this.streamers.get(streamerId);
     if (!streamer || streamer.queue.length === 0) return;
 
+    const playback = streamer.playback;
+    if (playback.state !== 'idle' || playback.preparing || playback.spacingTimer) return;
+
+    // Leave cooldown_seconds of silence after the previous message
+    if (this.isInCooldown(streamerId)) {
+      this.scheduleSpacing(streamerId);
+      return;
+    }
+
     const ttsRequest = streamer.queue.shift();
     this.stats.queueLength--;
+    playback.preparing = true;
 
     try {
-      // Simulate TTS processing (in a real implementation, this would call a TTS API)
-      await this.simulateTTSProcessing(ttsRequest);
-      
-      // Update stats
-      streamer.stats.processed++;
-      streamer.stats.lastProcessed = new Date();
-      this.stats.totalProcessed++;
+      // Render audio, then hand the request to browser sources
+      await this.synthesizeTTSAudio(ttsRequest);
+      playback.preparing = false;
+
+      // Streamer was stopped while rendering
+      if (this.streamers.get(streamerId) !== streamer) return;
 
-      // Broadcast completion
-      this.broadcastToSubscribers(streamerId, 'tts-completed', {
-        id: ttsRequest.id,
-        message: ttsRequest.message
+      // Paused while rendering - keep the request at the front of the queue
+      if (playback.state === 'paused') {
+        streamer.queue.unshift(ttsRequest);
+        this.stats.queueLength++;
+        return;
+      }
+
+      playback.state = 'playing';
+      playback.current = ttsRequest;
+      this.armPlaybackTimeout(streamerId, this.estimatePlaybackMs(ttsRequest));
+
+      this.broadcastToSubscribers(streamerId, 'tts-request', {
+        ...ttsRequest,
+        queueLength: streamer.queue.length
       });
+      this.broadcastQueueUpdate(streamerId);
 
-      console.log(`✅ TTS processed for ${streamerId}: ${ttsRequest.message}`);
+      if (!ttsRequest.isReplay) {
+        await this.saveTTSMessage(ttsRequest);
+      }
+
+      console.log(`🔊 [TTS] Playing for ${streamerId}: ${ttsRequest.message}`);
     } catch (error) {
       console.error(`❌ Error processing TTS for ${streamerId}:`, error);
+      playback.preparing = false;
       streamer.stats.errors++;
       this.stats.totalErrors++;
+
+      if (playback.current === ttsRequest) {
+        this.finishPlayback(streamerId, ttsRequest.id, 'error');
+      } else {
+        this.processQueue(streamerId);
+      }
     }
   }
 
-  async simulateTTSProcessing(ttsRequest) {
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
+  scheduleSpacing(streamerId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) return;
+
+    const lastTTS = this.cooldowns.get(streamerId);
+    const remainingMs = Math.max(streamer.settings.cooldown_seconds * 1000 - (Date.now() - lastTTS), 0);
+
+    streamer.playback.spacingTimer = setTimeout(() => {
+      streamer.playback.spacingTimer = null;
+      this.processQueue(streamerId);
+    }, remainingMs);
+
+    this.broadcastToSubscribers(streamerId, 'tts-cooldown', { remainingMs });
+  }
+
+  // Rough speaking time, used until the browser source reports the real duration
+  estimatePlaybackMs(ttsRequest) {
+    const words = (ttsRequest.message || '').split(/\s+/).filter(Boolean).length;
+    const rate = parseFloat(ttsRequest.settings?.rate) || 1.0;
+    const speakingMs = (words / (150 * rate)) * 60000;
+    const alertMs = ttsRequest.tier?.alert_sound ? this.alertSoundAllowanceMs : 0;
+    return Math.min(Math.max(speakingMs, 3000) + alertMs + this.playbackGraceMs, this.maxPlaybackMs);
+  }
+
+  armPlaybackTimeout(streamerId, durationMs) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer || !streamer.playback.current) return;
+
+    const playback = streamer.playback;
+    const requestId = playback.current.id;
+    if (playback.timer) {
+      clearTimeout(playback.timer);
+    }
+
+    playback.timer = setTimeout(() => {
+      playback.timer = null;
+      console.log(`⏰ [TTS] No playback report for ${requestId} on ${streamerId} - moving on`);
+      this.broadcastToSubscribers(streamerId, 'tts-skip', { id: requestId });
+      this.finishPlayback(streamerId, requestId, 'timeout');
+    }, Math.min(durationMs, this.maxPlaybackMs));
+  }
+
+  // Playback acknowledgements from browser sources: started / ended / error
+  handlePlaybackEvent(streamerId, event, data = {}) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) return;
+
+    const playback = streamer.playback;
+    if (!playback.current || playback.current.id !== data.id) return;
+
+    if (event === 'started') {
+      playback.current.startedAt = new Date();
+      const duration = parseFloat(data.duration);
+      if (playback.state === 'playing' && duration > 0) {
+        this.armPlaybackTimeout(streamerId, duration * 1000 + this.playbackGraceMs);
+      }
+    } else if (event === 'ended') {
+      this.finishPlayback(streamerId, data.id, 'ended');
+    } else if (event === 'error') {
+      console.log(`⚠️ [TTS] Browser source failed to play ${data.id} for ${streamerId}: ${data.reason || 'unknown error'}`);
+      this.finishPlayback(streamerId, data.id, 'error');
+    }
+  }
+
+  finishPlayback(streamerId, requestId, reason) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) return;
+
+    const playback = streamer.playback;
+    if (!playback.current || playback.current.id !== requestId) return;
+
+    if (playback.timer) {
+      clearTimeout(playback.timer);
+      playback.timer = null;
+    }
+
+    const ttsRequest = playback.current;
+    playback.current = null;
+    if (playback.state === 'playing') {
+      playback.state = 'idle';
+    }
+
+    // Spacing starts when a message finishes; a skip moves straight on
+    if (reason !== 'skipped') {
+      this.cooldowns.set(streamerId, Date.now());
+    }
+
+    // Update stats
+    if (reason === 'error') {
+      streamer.stats.errors++;
+      this.stats.totalErrors++;
+    } else {
+      streamer.stats.processed++;
+      streamer.stats.lastProcessed = new Date();
+      this.stats.totalProcessed++;
+    }
+
+    // Broadcast completion
+    this.broadcastToSubscribers(streamerId, 'tts-completed', {
+      id: ttsRequest.id,
+      message: ttsRequest.message,
+      reason
+    });
+    this.broadcastQueueUpdate(streamerId);
+
+    console.log(`✅ TTS finished for ${streamerId} (${reason}): ${ttsRequest.message}`);
+
+    this.processQueue(streamerId);
+  }
+
+  // Dashboard playback controls
+  skipCurrent(streamerId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer || !streamer.playback.current) {
+      return { success: false, message: 'Nothing is playing' };
+    }
+
+    const requestId = streamer.playback.current.id;
+    this.broadcastToSubscribers(streamerId, 'tts-skip', { id: requestId });
+    this.finishPlayback(streamerId, requestId, 'skipped');
+    return { success: true, message: 'Skipped current message' };
+  }
+
+  pausePlayback(streamerId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) {
+      return { success: false, message: 'TTS service not running for this streamer' };
+    }
+
+    const playback = streamer.playback;
+    if (playback.state === 'paused') {
+      return { success: true, message: 'Playback already paused' };
+    }
+
+    playback.state = 'paused';
+    if (playback.timer) {
+      clearTimeout(playback.timer);
+      playback.timer = null;
+    }
+
+    this.broadcastToSubscribers(streamerId, 'tts-pause', { id: playback.current?.id || null });
+    this.broadcastQueueUpdate(streamerId);
+    return { success: true, message: 'Playback paused' };
+  }
+
+  resumePlayback(streamerId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) {
+      return { success: false, message: 'TTS service not running for this streamer' };
+    }
+
+    const playback = streamer.playback;
+    if (playback.state !== 'paused') {
+      return { success: true, message: 'Playback is not paused' };
+    }
+
+    if (playback.current) {
+      playback.state = 'playing';
+      this.armPlaybackTimeout(streamerId, this.estimatePlaybackMs(playback.current));
+      this.broadcastToSubscribers(streamerId, 'tts-resume', { id: playback.current.id });
+    } else {
+      playback.state = 'idle';
+    }
+
+    this.broadcastQueueUpdate(streamerId);
+    this.processQueue(streamerId);
+    return { success: true, message: 'Playback resumed' };
+  }
+
+  clearQueue(streamerId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) {
+      return { success: false, message: 'TTS service not running for this streamer' };
+    }
+
+    const cleared = streamer.queue.length;
+    const clearedRequests = streamer.queue;
+    streamer.queue = [];
+    this.stats.queueLength -= cleared;
+
+    clearedRequests.forEach(request => this.dropTTSMessage(streamerId, request, 'cleared'));
+
+    this.broadcastQueueUpdate(streamerId);
+    console.log(`🧹 [TTS] Cleared ${cleared} queued messages for ${streamerId}`);
+    return { success: true, message: `Cleared ${cleared} queued messages`, cleared };
+  }
+
+  // Reorder pending requests; ids missing from `orderedIds` keep their relative order at the end
+  reorderQueue(streamerId, orderedIds = []) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) {
+      return { success: false, message: 'TTS service not running for this streamer' };
+    }
+
+    const byId = new Map(streamer.queue.map(request => [request.id, request]));
+    const reordered = [];
+    for (const id of orderedIds) {
+      if (byId.has(id)) {
+        reordered.push(byId.get(id));
+        byId.delete(id);
+      }
+    }
+    streamer.queue = [...reordered, ...streamer.queue.filter(request => byId.has(request.id))];
+
+    this.broadcastQueueUpdate(streamerId);
+    return { success: true, message: 'Queue reordered' };
+  }
+
+  // Play a message from history again, ahead of the pending queue
+  async replayMessage(streamerId, messageId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) {
+      return { success: false, message: 'TTS service not running for this streamer' };
+    }
+
+    const stored = await this.databaseService.getTTSMessageByMessageId(streamerId, messageId);
+    const original = stored ? this.formatStoredMessage(stored) : streamer.recentMessages.find(msg => msg.id === messageId);
+    if (!original) {
+      return { success: false, message: 'Message not found' };
+    }
+
+    const ttsRequest = {
+      id: this.generateId(),
+      streamerId,
+      message: original.text,
+      originalMessage: original.text,
+      walletAddress: original.walletAddress,
+      sender: original.sender,
+      amount: original.amount,
+      type: original.type,
+      timestamp: new Date(),
+      settings: streamer.settings,
+      isReplay: true,
+      replayOf: messageId
+    };
+
+    this.enqueueTTSRequest(streamerId, ttsRequest, { front: true });
+    this.processQueue(streamerId);
+    return { success: true, message: 'Message queued for replay', requestId: ttsRequest.id };
+  }
+
+  summarizeRequest(ttsRequest) {
+    return {
+      id: ttsRequest.id,
+      message: ttsRequest.message,
+      sender: ttsRequest.sender,
+      amount: ttsRequest.amount || 0,
+      type: ttsRequest.type || 'regular',
+      tier: ttsRequest.tier || null,
+      voicePreset: ttsRequest.voicePreset || null,
+      isReplay: !!ttsRequest.isReplay,
+      timestamp: ttsRequest.timestamp
+    };
+  }
+
+  getQueueState(streamerId) {
+    const streamer = this.streamers.get(streamerId);
+    if (!streamer) {
+      return { state: 'idle', current: null, queue: [], credits: [] };
+    }
+
+    return {
+      state: streamer.playback.state,
+      current: streamer.playback.current ? this.summarizeRequest(streamer.playback.current) : null,
+      queue: streamer.queue.map(request => this.summarizeRequest(request)),
+      credits: this.getDonorCredits(streamerId)
+    };
+  }
+
+  broadcastQueueUpdate(streamerId) {
+    this.broadcastToSubscribers(streamerId, 'tts-queue-update', this.getQueueState(streamerId));
+  }
+
+  // Render the request to an audio file. Leaves audioUrl unset when server-side
+  // synthesis is unavailable so the browser source falls back to speechSynthesis.
+  async synthesizeTTSAudio(ttsRequest) {
+    if (!this.synthesisService || !this.synthesisService.isAvailable()) {
+      return;
+    }
+
+    try {
+      const audio = await this.synthesisService.synthesize(
+        ttsRequest.streamerId,
+        ttsRequest.id,
+        ttsRequest.message,
+        ttsRequest.settings || {}
+      );
+
+      if (audio) {
+        ttsRequest.audioUrl = audio.url;
+        ttsRequest.audioEngine = audio.engine;
+        ttsRequest.audioVolume = audio.volume;
+      }
+    } catch (error) {
+      console.error(`❌ [TTS] Audio synthesis failed for ${ttsRequest.streamerId}, falling back to browser speech:`, error.message);
+    }
+  }
+
+  async saveTTSMessage(ttsRequest) {
     // Create message object
     const message = {
       id: ttsRequest.id,
       text: ttsRequest.message,
       sender: ttsRequest.sender || 'Anonymous',
+      walletAddress: ttsRequest.walletAddress || null,
       timestamp: new Date(),
-      type: ttsRequest.type || 'regular',
-      amount: ttsRequest.amount || 0
+      type: ttsRequest.type || (ttsRequest.isTest ? 'test' : 'regular'),
+      amount: ttsRequest.amount || 0,
+      audioUrl: ttsRequest.audioUrl || null
     };
     
     try {
       // Save to database
       await this.databaseService.saveTTSMessage(ttsRequest.streamerId, message);
       
-      // Clean up old messages (keep only last 50)
-      await this.databaseService.cleanupOldTTSMessages(ttsRequest.streamerId, 50);
-      
-      // Also keep in memory for immediate access
-      const streamer = this.streamers.get(ttsRequest.streamerId);
-      if (streamer) {
-        streamer.recentMessages.unshift(message);
-        if (streamer.recentMessages.length > 50) {
-          streamer.recentMessages = streamer.recentMessages.slice(0, 50);
-        }
-      }
-      
-      // Broadcast to browser source
-      this.broadcastTTSMessage(ttsRequest.streamerId, message);
-      
+      // Apply the streamer's history retention policy
+      const streamerSettings = this.streamers.get(ttsRequest.streamerId)?.settings || this.getDefaultSettings();
+      await this.databaseService.cleanupOldTTSMessages(
+        ttsRequest.streamerId,
+        streamerSettings.history_max_messages || this.getDefaultSettings().history_max_messages,
+        streamerSettings.history_retention_days || this.getDefaultSettings().history_retention_days
+      );
     } catch (error) {
       console.error(`❌ Error saving TTS message to database:`, error);
-      // Still broadcast even if database save fails
-      this.broadcastTTSMessage(ttsRequest.streamerId, message);
     }
     
-    // In a real implementation, this would:
-    // 1. Call a TTS API (Google Cloud TTS, Azure, etc.)
-    // 2. Generate audio file
-    // 3. Play audio or send to audio system
-    // 4. Update browser source with current message
+    // Also keep in memory for immediate access
+    const streamer = this.streamers.get(ttsRequest.streamerId);
+    if (streamer) {
+      streamer.recentMessages.unshift(message);
+      if (streamer.recentMessages.length > 50) {
+        streamer.recentMessages = streamer.recentMessages.slice(0, 50);
+      }
+    }
+    
+    // Broadcast to dashboard
+    this.broadcastTTSMessage(ttsRequest.streamerId, message);
   }
 
-  formatTTSMessage(walletAddress, amount, message) {
+  formatTTSMessage(walletAddress, amount, message, amountLabel = null) {
     if (amount === 0) {
       return message;
     }
     
-    // Extract username from wallet address (first 4 characters)
-    let username = walletAddress;
-    if (walletAddress && walletAddress.length > 4) {
-      if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
-        username = walletAddress.substring(0, 4);
-      }
-    }
-    
-    const formattedAmount = amount > 0 ? `${amount} SOL` : 'unknown amount';
+    const username = this.shortenWalletAddress(walletAddress);
+    const formattedAmount = amountLabel || (amount > 0 ? `${amount} SOL` : 'unknown amount');
     return `${username} donated ${formattedAmount}. ${message}`;
   }
 
+  // Extract username from wallet address (first 4 characters)
+  shortenWalletAddress(walletAddress) {
+    if (walletAddress && walletAddress.length > 4 && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
+      return walletAddress.substring(0, 4);
+    }
+    return walletAddress;
+  }
+
   generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
@@ -786,16 +1541,37 @@ class IntegratedTTSService extends EventEmitter {
         throw new Error(`Invalid settings: ${validation.errors.join(', ')}`);
       }
 
+      if (settings.donation_tiers) {
+        settings = { ...settings, donation_tiers: this.normalizeDonationTiers(settings.donation_tiers) };
+      }
+
+      if (settings.voice_presets) {
+        settings = { ...settings, voice_presets: this.normalizeVoicePresets(settings.voice_presets) };
+      }
+
+      if (settings.accepted_mints) {
+        settings = { ...settings, accepted_mints: this.normalizeAcceptedMints(settings.accepted_mints) };
+      }
+
+      // Merge with stored settings so partial updates don't drop other keys
+      const storedSettings = await this.databaseService.getTTSSettings(streamerId);
+      const mergedSettings = { ...this.getDefaultSettings(), ...(storedSettings || {}), ...settings };
+
       // Update in database
-      await this.databaseService.updateTTSSettings(streamerId, settings);
+      await this.databaseService.updateTTSSettings(streamerId, mergedSettings);
 
       // Update in memory
       const streamer = this.streamers.get(streamerId);
       if (streamer) {
-        streamer.settings = { ...streamer.settings, ...settings };
+        streamer.settings = { ...streamer.settings, ...mergedSettings };
+
+        // Start or stop watching token accounts to match the accepted tokens
+        if (this.walletMonitor && streamer.config.wallet_address) {
+          this.walletMonitor.setTokenMints(streamer.config.wallet_address, this.getWatchedMints(streamer.settings, streamer.config.token_address), streamerId);
+        }
       }
 
-      return { success: true, settings };
+      return { success: true, settings: mergedSettings };
     } catch (error) {
       console.error(`❌ Error updating TTS settings for ${streamerId}:`, error);
       throw error;
@@ -815,18 +1591,26 @@ class IntegratedTTSService extends EventEmitter {
         timestamp: new Date(),
         settings: finalSettings,
         isTest: true,
+        type: 'test',
+        sender: 'Test User',
         walletAddress: 'Test User',
         amount: 0
       };
 
-      // Broadcast TTS request to browser source
-      this.broadcastToSubscribers(streamerId, 'tts-request', ttsRequest);
-      console.log(`🎤 TTS test sent to browser source: ${message}`);
-
-      // Simulate TTS processing
-      await this.simulateTTSProcessing(ttsRequest);
+      if (streamer) {
+        // Tests jump the queue but still wait for the current message to finish
+        this.enqueueTTSRequest(streamerId, ttsRequest, { front: true });
+        this.processQueue(streamerId);
+        console.log(`🎤 TTS test queued for browser source: ${message}`);
+      } else {
+        // Render audio and broadcast TTS request to browser source
+        await this.synthesizeTTSAudio(ttsRequest);
+        this.broadcastToSubscribers(streamerId, 'tts-request', ttsRequest);
+        console.log(`🎤 TTS test sent to browser source: ${message}`);
+        await this.saveTTSMessage(ttsRequest);
+      }
 
-      return { success: true, message: 'TTS test completed' };
+      return { success: true, message: 'TTS test queued', requestId: ttsRequest.id };
     } catch (error) {
       console.error(`❌ Error testing TTS for ${streamerId}:`, error);
       throw error;
@@ -851,7 +1635,8 @@ class IntegratedTTSService extends EventEmitter {
       const stats = {
         queueLength: streamer.queue.length,
         processedToday: streamer.stats.processed,
-        errors: streamer.stats.errors
+        errors: streamer.stats.errors,
+        dropped: streamer.stats.dropped
       };
       
       console.log(`TTS Stats: Returning stats for ${streamerId}:`, stats);
@@ -867,21 +1652,35 @@ class IntegratedTTSService extends EventEmitter {
       // Get messages from database instead of memory
       const messages = await this.databaseService.getTTSMessages(streamerId, limit);
       
-      // Convert database format to expected format
-      return messages.map(msg => ({
-        id: msg.message_id,
-        text: msg.message_text,
-        sender: msg.sender,
-        timestamp: new Date(msg.timestamp),
-        type: msg.message_type,
-        amount: msg.amount
-      }));
+      return messages.map(msg => this.formatStoredMessage(msg));
     } catch (error) {
       console.error(`❌ Error getting recent messages for ${streamerId}:`, error);
       return [];
     }
   }
 
+  async searchMessages(streamerId, options = {}) {
+    const { messages, total } = await this.databaseService.searchTTSMessages(streamerId, options);
+    return {
+      messages: messages.map(msg => this.formatStoredMessage(msg)),
+      total
+    };
+  }
+
+  // Convert database format to expected format
+  formatStoredMessage(msg) {
+    return {
+      id: msg.message_id || String(msg.id),
+      text: msg.message,
+      sender: msg.sender || msg.username || 'Anonymous',
+      walletAddress: msg.wallet_address,
+      timestamp: new Date(msg.created_at),
+      type: msg.message_type || 'regular',
+      amount: parseFloat(msg.amount) || 0,
+      audioUrl: msg.audio_url
+    };
+  }
+
   broadcastTTSMessage(streamerId, message) {
     if (this.io) {
       this.io.to(`streamer-${streamerId}`).emit('tts-message', {
@@ -892,7 +1691,7 @@ class IntegratedTTSService extends EventEmitter {
   }
 
   async getBrowserSourceUrl(streamerId, baseUrl) {
-    return `${baseUrl}/browser-source/tts/${streamerId}`;
+    return withBrowserSourceKey(`${baseUrl}/browser-source/tts/${streamerId}`, streamerId);
   }
 
   getDefaultSettings() {
@@ -903,13 +1702,60 @@ class IntegratedTTSService extends EventEmitter {
       pitch: 1.0,
       enabled: true,
       min_donation: 0.01,
-      cooldown_seconds: 3, // Reduced from 30 to 3 seconds
+      min_donation_unit: 'SOL', // 'SOL' or 'TOKEN' (the streamer's own token); tier minimums use the same unit
+      token_donations_enabled: false,
+      accepted_mints: [], // [{ mint, symbol, sol_per_token }]; empty accepts only the streamer's own token
+      cooldown_seconds: 3, // Silence between queued messages
       max_message_length: 200,
+      max_queue_depth: 20,
       auto_tts_enabled: true,
-      donation_gate_enabled: true
+      donation_gate_enabled: true,
+      memo_messages_enabled: true, // Read the memo attached to a donation as its TTS message
+      claim_window_seconds: 300, // How long a donor has to use their credit in chat
+      credit_mode: 'message', // 'message' (one per donation), 'messages' or 'characters' (credit_rate per donation unit)
+      credit_rate: 1,
+      credit_announce_enabled: false, // Tell donors in chat how much credit they have left
+      history_retention_days: 30,
+      history_max_messages: 500,
+      donation_tiers: [], // [{ name, min_amount, max_message_length, priority, voice, alert_sound, color }]
+      viewer_voice_selection_enabled: false,
+      voice_presets: [] // [{ name, voice, rate, pitch, browser_voice }]
     };
   }
 
+  normalizeVoicePresets(presets) {
+    return presets.map(preset => ({
+      name: String(preset.name).trim().toLowerCase(),
+      voice: preset.voice,
+      rate: parseFloat(preset.rate) || null,
+      pitch: parseFloat(preset.pitch) || null,
+      browser_voice: String(preset.browser_voice || '').trim().substring(0, 100) || null
+    }));
+  }
+
+  normalizeAcceptedMints(rules) {
+    return rules.map(rule => ({
+      mint: String(rule.mint).trim(),
+      symbol: String(rule.symbol || '').trim().substring(0, 10) || null,
+      sol_per_token: parseFloat(rule.sol_per_token) || null
+    }));
+  }
+
+  // Keep only known tier fields, lowest tier first
+  normalizeDonationTiers(tiers) {
+    return tiers
+      .map(tier => ({
+        name: String(tier.name || '').trim().substring(0, 50) || `${tier.min_amount} SOL`,
+        min_amount: parseFloat(tier.min_amount),
+        max_message_length: parseInt(tier.max_message_length) || null,
+        priority: parseInt(tier.priority) || 0,
+        voice: tier.voice || null,
+        alert_sound: tier.alert_sound || null,
+        color: tier.color || null
+      }))
+      .sort((a, b) => a.min_amount - b.min_amount);
+  }
+
   validateSettings(settings) {
     const errors = [];
     
@@ -937,12 +1783,158 @@ class IntegratedTTSService extends EventEmitter {
       errors.push('Max message length must be between 10 and 500 characters');
     }
     
+    if (settings.max_queue_depth && (settings.max_queue_depth < 1 || settings.max_queue_depth > 200)) {
+      errors.push('Max queue depth must be between 1 and 200 messages');
+    }
+    
+    if (settings.history_retention_days && (settings.history_retention_days < 1 || settings.history_retention_days > 365)) {
+      errors.push('History retention must be between 1 and 365 days');
+    }
+    
+    if (settings.history_max_messages && (settings.history_max_messages < 10 || settings.history_max_messages > 10000)) {
+      errors.push('History size must be between 10 and 10000 messages');
+    }
+    
+    if (settings.donation_tiers !== undefined) {
+      errors.push(...this.validateDonationTiers(settings.donation_tiers));
+    }
+    
+    if (settings.voice_presets !== undefined) {
+      errors.push(...this.validateVoicePresets(settings.voice_presets));
+    }
+    
+    if (settings.min_donation_unit !== undefined && !['SOL', 'TOKEN'].includes(settings.min_donation_unit)) {
+      errors.push('Minimum donation unit must be SOL or TOKEN');
+    }
+    
+    if (settings.accepted_mints !== undefined) {
+      errors.push(...this.validateAcceptedMints(settings.accepted_mints));
+    }
+    
+    if (settings.claim_window_seconds !== undefined && !(settings.claim_window_seconds >= 10 && settings.claim_window_seconds <= 3600)) {
+      errors.push('Claim window must be between 10 and 3600 seconds');
+    }
+    
+    if (settings.credit_mode !== undefined && !['message', 'messages', 'characters'].includes(settings.credit_mode)) {
+      errors.push('Donation credit must be message, messages or characters');
+    }
+    
+    if (settings.credit_rate !== undefined && !(settings.credit_rate > 0 && settings.credit_rate <= 1000000)) {
+      errors.push('Credit rate must be more than 0');
+    }
+    
     return {
       isValid: errors.length === 0,
       errors: errors
     };
   }
 
+  validateDonationTiers(tiers) {
+    const errors = [];
+
+    if (!Array.isArray(tiers)) {
+      return ['Donation tiers must be a list'];
+    }
+
+    if (tiers.length > 10) {
+      errors.push('At most 10 donation tiers are allowed');
+    }
+
+    tiers.forEach((tier, index) => {
+      const label = `Tier ${index + 1}`;
+      const minAmount = parseFloat(tier.min_amount);
+      if (!(minAmount > 0)) {
+        errors.push(`${label}: minimum amount must be greater than 0`);
+      }
+      if (tier.max_message_length && (tier.max_message_length < 10 || tier.max_message_length > 1000)) {
+        errors.push(`${label}: max message length must be between 10 and 1000 characters`);
+      }
+      if (tier.priority && (tier.priority < 0 || tier.priority > 10)) {
+        errors.push(`${label}: priority must be between 0 and 10`);
+      }
+      if (tier.color && !/^#[0-9a-fA-F]{6}$/.test(tier.color)) {
+        errors.push(`${label}: color must be a hex color like #8B5CF6`);
+      }
+      if (tier.alert_sound && !/^(https?:\/\/|\/)[^\s"'<>]+$/.test(tier.alert_sound)) {
+        errors.push(`${label}: alert sound must be an http(s) URL or a path on this site`);
+      }
+    });
+
+    const amounts = tiers.map(tier => parseFloat(tier.min_amount));
+    if (new Set(amounts).size !== amounts.length) {
+      errors.push('Donation tiers must have different minimum amounts');
+    }
+
+    return errors;
+  }
+
+  validateAcceptedMints(rules) {
+    const errors = [];
+
+    if (!Array.isArray(rules)) {
+      return ['Accepted tokens must be a list'];
+    }
+
+    if (rules.length > 10) {
+      errors.push('At most 10 accepted tokens are allowed');
+    }
+
+    rules.forEach((rule, index) => {
+      const label = `Token ${index + 1}`;
+      if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(String(rule.mint || '').trim())) {
+        errors.push(`${label}: mint must be a Solana address`);
+      }
+      if (rule.symbol && String(rule.symbol).trim().length > 10) {
+        errors.push(`${label}: symbol must be at most 10 characters`);
+      }
+      if (rule.sol_per_token !== undefined && rule.sol_per_token !== null && !(parseFloat(rule.sol_per_token) >= 0)) {
+        errors.push(`${label}: SOL per token must be a positive number`);
+      }
+    });
+
+    const mints = rules.map(rule => String(rule.mint || '').trim());
+    if (new Set(mints).size !== mints.length) {
+      errors.push('Each token can only be listed once');
+    }
+
+    return errors;
+  }
+
+  validateVoicePresets(presets) {
+    const errors = [];
+
+    if (!Array.isArray(presets)) {
+      return ['Voice presets must be a list'];
+    }
+
+    if (presets.length > 20) {
+      errors.push('At most 20 voice presets are allowed');
+    }
+
+    presets.forEach((preset, index) => {
+      const label = `Voice preset ${index + 1}`;
+      if (!/^[\w-]{1,20}$/.test(String(preset.name || '').trim())) {
+        errors.push(`${label}: name must be 1-20 letters, numbers, dashes or underscores`);
+      }
+      if (!preset.voice || typeof preset.voice !== 'string') {
+        errors.push(`${label}: a voice is required`);
+      }
+      if (preset.rate && (preset.rate < 0.1 || preset.rate > 3.0)) {
+        errors.push(`${label}: rate must be between 0.1 and 3.0`);
+      }
+      if (preset.pitch && (preset.pitch < 0.1 || preset.pitch > 3.0)) {
+        errors.push(`${label}: pitch must be between 0.1 and 3.0`);
+      }
+    });
+
+    const names = presets.map(preset => String(preset.name || '').trim().toLowerCase());
+    if (new Set(names).size !== names.length) {
+      errors.push('Voice preset names must be unique');
+    }
+
+    return errors;
+  }
+
   isConnected() {
     return this.isInitialized;
   }
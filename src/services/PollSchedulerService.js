@@ -0,0 +1,315 @@
+const EventEmitter = require('events');
+const cron = require('node-cron');
+
+const DEFAULT_QUEUE_GAP_SECONDS = 10;
+const MAX_QUEUE_GAP_SECONDS = 600;
+
+// Saved poll templates, a queue per streamer that starts its polls one after another, and cron
+// schedules that start a template at set times. Every poll goes through IntegratedPollService's
+// createPoll, like one started from the dashboard. Emits 'poll-started' with a chat announcement
+// for each poll it starts. A running queue is kept in memory, so it's paused by a restart.
+class PollSchedulerService extends EventEmitter {
+  constructor() {
+    super();
+    this.databaseService = null;
+    this.pollService = null;
+    this.cronTasks = new Map(); // scheduleId -> node-cron task
+    this.queues = new Map(); // streamerId -> { gapSeconds, timer } while its queue is running
+  }
+
+  async initialize(databaseService, pollService) {
+    this.databaseService = databaseService;
+    this.pollService = pollService;
+
+    // The next queued poll starts a little after the last one closes
+    this.pollService.on('poll-ended', ({ streamerId }) => this.handlePollEnded(streamerId));
+
+    const schedules = await this.databaseService.getPollSchedules();
+    for (const schedule of schedules.filter(schedule => schedule.enabled)) {
+      this.scheduleTask(schedule);
+    }
+    console.log(`✅ Poll Scheduler initialized (${this.cronTasks.size} schedules)`);
+  }
+
+  stop() {
+    for (const task of this.cronTasks.values()) {
+      task.stop();
+    }
+    this.cronTasks.clear();
+    for (const streamerId of this.queues.keys()) {
+      this.stopQueue(streamerId);
+    }
+  }
+
+  validateTemplate(template) {
+    const name = String(template.name || '').trim();
+    const errors = [];
+    if (!name) {
+      errors.push('Template name is required');
+    } else if (name.length > 100) {
+      errors.push('Template name must be 100 characters or less');
+    }
+
+    // A template has to make a poll createPoll would accept
+    const pollCheck = this.pollService.validatePollData({
+      question: template.question,
+      options: template.options,
+      duration: template.duration,
+      weighting: template.weighting,
+      type: template.type
+    });
+
+    return {
+      isValid: errors.length === 0 && pollCheck.isValid,
+      errors: errors.concat(pollCheck.errors)
+    };
+  }
+
+  async createTemplate(streamerId, template) {
+    const created = await this.databaseService.createPollTemplate(streamerId, {
+      name: String(template.name).trim(),
+      question: template.question.trim(),
+      options: template.type === 'yesno' ? [] : template.options.map(option => option.trim()),
+      type: template.type || 'single',
+      weighting: template.weighting || 'none',
+      durationSeconds: template.duration
+    });
+    console.log(`📋 [${streamerId}] Saved poll template "${created.name}"`);
+    return created;
+  }
+
+  async deleteTemplate(streamerId, templateId) {
+    const template = await this.databaseService.getPollTemplate(streamerId, templateId);
+    if (!template) return false;
+
+    // Its schedules go with it
+    const schedules = await this.databaseService.getPollSchedules(streamerId);
+    for (const schedule of schedules.filter(schedule => schedule.template_id === template.id)) {
+      this.unscheduleTask(schedule.id);
+    }
+    await this.databaseService.deletePollTemplate(streamerId, template.id);
+    console.log(`🗑️ [${streamerId}] Deleted poll template "${template.name}"`);
+    return true;
+  }
+
+  // Start a template's poll right now; throws if another poll is running
+  async startTemplate(streamerId, templateId, createdBy = null) {
+    const template = await this.databaseService.getPollTemplate(streamerId, templateId);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+    return this.startFromTemplate(streamerId, template, createdBy);
+  }
+
+  async startFromTemplate(streamerId, template, createdBy) {
+    const poll = await this.pollService.createPoll(streamerId, {
+      question: template.question,
+      options: template.options,
+      duration: template.duration_seconds,
+      weighting: template.weighting,
+      type: template.poll_type,
+      createdBy
+    });
+    console.log(`📋 [${streamerId}] Started poll ${poll.id} from template "${template.name}"${createdBy ? ` (${createdBy})` : ''}`);
+
+    this.emit('poll-started', {
+      streamerId,
+      poll,
+      message: this.pollService.formatStartMessage(this.pollService.getActivePoll(streamerId))
+    });
+    return poll;
+  }
+
+  async enqueueTemplate(streamerId, templateId) {
+    const template = await this.databaseService.getPollTemplate(streamerId, templateId);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+    await this.databaseService.addToPollQueue(streamerId, template.id);
+  }
+
+  /**
+   * Queued polls and whether the queue is running
+   * @param {string} streamerId
+   * @returns {Promise<{running: boolean, gapSeconds: number, items: Object[]}>}
+   */
+  async getQueueState(streamerId) {
+    const queue = this.queues.get(streamerId);
+    return {
+      running: !!queue,
+      gapSeconds: queue ? queue.gapSeconds : DEFAULT_QUEUE_GAP_SECONDS,
+      items: await this.databaseService.getPollQueue(streamerId)
+    };
+  }
+
+  // Starts the next queued poll now, unless one is already running (its end starts the next)
+  async startQueue(streamerId, gapSeconds = DEFAULT_QUEUE_GAP_SECONDS) {
+    const items = await this.databaseService.getPollQueue(streamerId);
+    if (items.length === 0) {
+      throw new Error('The queue is empty');
+    }
+
+    this.stopQueue(streamerId);
+    const gap = Math.max(0, Math.min(MAX_QUEUE_GAP_SECONDS, parseInt(gapSeconds) || 0));
+    this.queues.set(streamerId, { gapSeconds: gap, timer: null });
+    console.log(`▶️ [${streamerId}] Poll queue started: ${items.length} polls, ${gap}s apart`);
+
+    await this.startNextQueued(streamerId);
+    return this.getQueueState(streamerId);
+  }
+
+  stopQueue(streamerId) {
+    const queue = this.queues.get(streamerId);
+    if (!queue) return false;
+
+    clearTimeout(queue.timer);
+    this.queues.delete(streamerId);
+    console.log(`⏸️ [${streamerId}] Poll queue stopped`);
+    return true;
+  }
+
+  handlePollEnded(streamerId) {
+    const queue = this.queues.get(streamerId);
+    if (!queue) return;
+
+    clearTimeout(queue.timer);
+    queue.timer = setTimeout(() => {
+      this.startNextQueued(streamerId).catch((error) => {
+        console.error(`❌ [${streamerId}] Failed to start the next queued poll:`, error);
+      });
+    }, queue.gapSeconds * 1000);
+  }
+
+  async startNextQueued(streamerId) {
+    const queue = this.queues.get(streamerId);
+    if (!queue) return;
+    queue.timer = null;
+
+    if (!this.pollService.streamers.has(streamerId)) {
+      console.log(`⚠️ [${streamerId}] Poll bot isn't running, stopping the poll queue`);
+      this.stopQueue(streamerId);
+      return;
+    }
+    if (this.pollService.getActivePoll(streamerId)) return;
+
+    const [next] = await this.databaseService.getPollQueue(streamerId);
+    if (!next) {
+      console.log(`🏁 [${streamerId}] Poll queue finished`);
+      this.stopQueue(streamerId);
+      return;
+    }
+
+    try {
+      const poll = await this.startFromTemplate(streamerId, next.template, 'queue');
+      await this.databaseService.markPollQueueItem(next.id, 'started', poll.id);
+    } catch (error) {
+      // Skip a poll that can't start (e.g. a token-weighted one without a token) and carry on
+      console.error(`❌ [${streamerId}] Queued poll "${next.template.name}" failed to start:`, error.message);
+      await this.databaseService.markPollQueueItem(next.id, 'failed');
+      await this.startNextQueued(streamerId);
+    }
+  }
+
+  validateSchedule(schedule) {
+    const errors = [];
+    const expression = String(schedule.cron_expression || '').trim();
+    if (!expression) {
+      errors.push('Cron expression is required');
+    } else if (!cron.validate(expression)) {
+      errors.push('Cron expression is not valid (e.g. "0 20 * * 5" for Fridays at 20:00)');
+    }
+
+    if (schedule.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+      } catch (error) {
+        errors.push('Time zone is not valid (e.g. "Europe/Berlin")');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  async createSchedule(streamerId, schedule) {
+    const template = await this.databaseService.getPollTemplate(streamerId, schedule.template_id);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    const created = await this.databaseService.createPollSchedule(streamerId, {
+      templateId: template.id,
+      cronExpression: String(schedule.cron_expression).trim(),
+      timezone: schedule.timezone || null
+    });
+    this.scheduleTask(created);
+    return created;
+  }
+
+  async setScheduleEnabled(streamerId, scheduleId, enabled) {
+    const schedule = await this.databaseService.getPollSchedule(streamerId, scheduleId);
+    if (!schedule) return null;
+
+    await this.databaseService.setPollScheduleEnabled(streamerId, schedule.id, enabled);
+    if (enabled) {
+      this.scheduleTask(schedule);
+    } else {
+      this.unscheduleTask(schedule.id);
+    }
+    return { ...schedule, enabled };
+  }
+
+  async deleteSchedule(streamerId, scheduleId) {
+    const schedule = await this.databaseService.getPollSchedule(streamerId, scheduleId);
+    if (!schedule) return false;
+
+    this.unscheduleTask(schedule.id);
+    await this.databaseService.deletePollSchedule(streamerId, schedule.id);
+    return true;
+  }
+
+  scheduleTask(schedule) {
+    this.unscheduleTask(schedule.id);
+    const task = cron.schedule(schedule.cron_expression, () => {
+      this.runSchedule(schedule.streamer_id, schedule.id).catch((error) => {
+        console.error(`❌ [${schedule.streamer_id}] Poll schedule ${schedule.id} failed:`, error);
+      });
+    }, schedule.timezone ? { timezone: schedule.timezone } : {});
+    this.cronTasks.set(schedule.id, task);
+    console.log(`⏰ [${schedule.streamer_id}] Scheduled "${schedule.template_name}" at "${schedule.cron_expression}"${schedule.timezone ? ` (${schedule.timezone})` : ''}`);
+  }
+
+  unscheduleTask(scheduleId) {
+    const task = this.cronTasks.get(scheduleId);
+    if (!task) return;
+    task.stop();
+    this.cronTasks.delete(scheduleId);
+  }
+
+  // A schedule that fires while another poll is running skips that run rather than queueing up
+  async runSchedule(streamerId, scheduleId) {
+    const schedule = await this.databaseService.getPollSchedule(streamerId, scheduleId);
+    if (!schedule || !schedule.enabled) return;
+
+    let result;
+    if (!this.pollService.streamers.has(streamerId)) {
+      result = "Skipped: the poll bot isn't running";
+    } else if (this.pollService.getActivePoll(streamerId)) {
+      result = 'Skipped: another poll was running';
+    } else {
+      try {
+        const poll = await this.startTemplate(streamerId, schedule.template_id, 'schedule');
+        result = `Started poll ${poll.id}`;
+      } catch (error) {
+        result = `Failed: ${error.message}`;
+      }
+    }
+
+    console.log(`⏰ [${streamerId}] Schedule "${schedule.template_name}": ${result}`);
+    await this.databaseService.recordPollScheduleRun(schedule.id, result);
+  }
+}
+
+module.exports = PollSchedulerService;
@@ -0,0 +1,183 @@
+const { Connection } = require('@solana/web3.js');
+const config = require('../../config');
+
+// Shared Solana RPC connections with a request budget and a health score per endpoint.
+//
+// Every request takes a token from its endpoint's bucket (SOLANA_RPC_RPS per second,
+// bursts up to SOLANA_RPC_BURST), so the whole process stays under each provider's
+// limit no matter how many wallets are watched. Requests go to the healthiest endpoint
+// that has budget left; 429s and connection errors put an endpoint on a cooldown, and
+// endpoints that haven't failed in a while drift back to full health.
+class RpcEndpointPool {
+  constructor(options = {}) {
+    this.commitment = options.commitment || config.solana.commitment;
+    this.requestsPerSecond = options.requestsPerSecond || config.solana.rateLimit.requestsPerSecond;
+    this.burst = options.burst || config.solana.rateLimit.burst;
+    this.recoveryMs = options.recoveryMs || 60000; // Time for an idle endpoint to heal from 0 to full health
+    this.maxWaitMs = options.maxWaitMs || 5000; // Longest a request waits for budget before giving up
+
+    const urls = options.endpoints || config.solana.rpcUrls;
+    this.endpoints = urls.map(url => ({
+      url,
+      connection: this.createConnection(url),
+      tokens: this.burst,
+      lastRefill: Date.now(),
+      health: 1, // 0..1, moving average of successful requests
+      healthUpdatedAt: Date.now(),
+      cooldownUntil: 0,
+      consecutiveFailures: 0,
+      stats: { requests: 0, errors: 0, rateLimited: 0 }
+    }));
+  }
+
+  createConnection(url) {
+    // The pool backs off and picks endpoints itself, so don't let web3.js
+    // sit in its own retry loop first
+    return new Connection(url, {
+      commitment: this.commitment,
+      disableRetryOnRateLimit: true
+    });
+  }
+
+  /**
+   * Run a request against the best available endpoint
+   * @param {string} method - RPC method name, for logging
+   * @param {Function} fn - Receives a web3.js Connection and returns a promise
+   * @returns {Promise<*>} Whatever fn resolves with; errors are rethrown after being scored
+   */
+  async call(method, fn) {
+    const endpoint = await this.acquire();
+    endpoint.stats.requests++;
+
+    try {
+      const result = await fn(endpoint.connection);
+      this.reportSuccess(endpoint);
+      return result;
+    } catch (error) {
+      this.reportFailure(endpoint, error, method);
+      throw error;
+    }
+  }
+
+  // Take one request token, waiting briefly for a bucket to refill if every endpoint is spent
+  async acquire() {
+    const deadline = Date.now() + this.maxWaitMs;
+
+    while (true) {
+      const now = Date.now();
+      const available = this.getRankedEndpoints(now).filter(endpoint => endpoint.cooldownUntil <= now);
+
+      if (available.length === 0) {
+        const error = new Error('All RPC endpoints are cooling down after errors');
+        error.code = 'RPC_COOLDOWN';
+        throw error;
+      }
+
+      const ready = available.find(endpoint => endpoint.tokens >= 1);
+      if (ready) {
+        ready.tokens -= 1;
+        return ready;
+      }
+
+      const waitMs = Math.min(...available.map(endpoint => (1 - endpoint.tokens) / this.requestsPerSecond * 1000));
+      if (now + waitMs > deadline) {
+        const error = new Error('RPC request budget exhausted');
+        error.code = 'RPC_BUDGET';
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.ceil(waitMs)));
+    }
+  }
+
+  // Healthiest first; ties keep the configured order so the primary endpoint is preferred
+  getRankedEndpoints(now = Date.now()) {
+    for (const endpoint of this.endpoints) {
+      this.refill(endpoint, now);
+      this.recover(endpoint, now);
+    }
+    return this.endpoints
+      .map((endpoint, index) => ({ endpoint, index }))
+      .sort((a, b) => (b.endpoint.health - a.endpoint.health) || (a.index - b.index))
+      .map(({ endpoint }) => endpoint);
+  }
+
+  // Endpoint the websocket subscription should use
+  getBestEndpoint() {
+    const now = Date.now();
+    const ranked = this.getRankedEndpoints(now);
+    return ranked.find(endpoint => endpoint.cooldownUntil <= now) || ranked[0];
+  }
+
+  refill(endpoint, now) {
+    const elapsed = (now - endpoint.lastRefill) / 1000;
+    endpoint.tokens = Math.min(this.burst, endpoint.tokens + elapsed * this.requestsPerSecond);
+    endpoint.lastRefill = now;
+  }
+
+  recover(endpoint, now) {
+    const elapsed = now - endpoint.healthUpdatedAt;
+    endpoint.health = Math.min(1, endpoint.health + elapsed / this.recoveryMs);
+    endpoint.healthUpdatedAt = now;
+  }
+
+  reportSuccess(endpoint) {
+    endpoint.health = endpoint.health * 0.9 + 0.1;
+    endpoint.healthUpdatedAt = Date.now();
+    endpoint.consecutiveFailures = 0;
+  }
+
+  reportFailure(endpoint, error, method) {
+    const kind = RpcEndpointPool.classifyError(error);
+    endpoint.stats.errors++;
+    endpoint.consecutiveFailures++;
+    endpoint.health = endpoint.health * 0.9;
+    endpoint.healthUpdatedAt = Date.now();
+
+    if (kind === 'rate_limit') {
+      endpoint.stats.rateLimited++;
+      endpoint.tokens = 0;
+      const cooldown = Math.min(300000, 5000 * Math.pow(2, endpoint.consecutiveFailures - 1)); // Max 5 minutes
+      endpoint.cooldownUntil = Date.now() + cooldown;
+      console.log(`⚠️ [RPC POOL] ${endpoint.url} rate limited on ${method}, cooling down for ${cooldown}ms`);
+    } else if (kind === 'connection') {
+      endpoint.health = endpoint.health * 0.5;
+      const cooldown = Math.min(60000, 2000 * Math.pow(2, endpoint.consecutiveFailures - 1)); // Max 1 minute
+      endpoint.cooldownUntil = Date.now() + cooldown;
+      console.log(`⚠️ [RPC POOL] ${endpoint.url} unreachable on ${method}, cooling down for ${cooldown}ms`);
+    } else if (kind === 'storage') {
+      console.log(`⚠️ [RPC POOL] ${endpoint.url} long-term storage error on ${method}`);
+    }
+  }
+
+  /**
+   * Sort an RPC error into the cases callers handle differently
+   * @param {Error} error
+   * @returns {'rate_limit'|'storage'|'connection'|'timeout'|'cooldown'|'other'}
+   */
+  static classifyError(error) {
+    const message = (error && error.message) || '';
+    if (error && (error.code === 'RPC_COOLDOWN' || error.code === 'RPC_BUDGET')) return 'cooldown';
+    if (message.includes('429')) return 'rate_limit';
+    if ((error && error.code === -32019) || message.includes('Failed to query long-term storage')) return 'storage';
+    if (message.includes('ENOTFOUND') || message.includes('ECONNREFUSED') || message.includes('fetch failed')) return 'connection';
+    if (message.includes('timeout')) return 'timeout';
+    return 'other';
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => {
+      this.refill(endpoint, now);
+      this.recover(endpoint, now);
+      return {
+        url: endpoint.url,
+        health: Math.round(endpoint.health * 100) / 100,
+        availableRequests: Math.floor(endpoint.tokens),
+        coolingDownMs: Math.max(0, endpoint.cooldownUntil - now),
+        ...endpoint.stats
+      };
+    });
+  }
+}
+
+module.exports = RpcEndpointPool;
@@ -1,5 +1,6 @@
 const PumpChatClient = require('../lib/viri-pump-client.js').PumpChatClient;
 const EventEmitter = require('events');
+const config = require('../../config');
 
 class SharedChatMonitor extends EventEmitter {
   constructor(streamerId, tokenAddress) {
@@ -20,7 +21,9 @@ class SharedChatMonitor extends EventEmitter {
       this.client = new PumpChatClient({
         roomId: this.tokenAddress,
         username: `monitor_${this.streamerId}`,
-        messageHistoryLimit: 50
+        messageHistoryLimit: 50,
+        url: config.pumpChat.url,
+        origin: config.pumpChat.origin
       });
 
       // Set up event handlers
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const { withBrowserSourceKey } = require('../utils/browserSource');
 
 class TTSService {
   constructor() {
@@ -126,7 +127,7 @@ class TTSService {
   }
 
   async getBrowserSourceUrl(streamerId, baseUrl) {
-    return `${baseUrl}/browser-source/tts/${streamerId}`;
+    return withBrowserSourceKey(`${baseUrl}/browser-source/tts/${streamerId}`, streamerId);
   }
 
   getDefaultSettings() {
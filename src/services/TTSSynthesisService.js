@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const path = require('path');
+const EspeakEngine = require('./tts-engines/EspeakEngine');
+const PiperEngine = require('./tts-engines/PiperEngine');
+
+// Renders queued TTS requests to audio files that browser sources play by URL.
+// When no engine is usable the service reports itself unavailable and the
+// browser source falls back to the Web Speech API.
+class TTSSynthesisService {
+  constructor(options = {}) {
+    this.engines = new Map(); // engine name -> engine instance
+    this.engineName = options.engine || 'espeak';
+    this.audioDir = path.resolve(options.audioDir || './data/tts-audio');
+    this.publicPath = options.publicPath || '/tts-audio';
+    this.maxFilesPerStreamer = options.maxFilesPerStreamer || 200;
+    this.activeEngine = null;
+
+    this.registerEngine(new EspeakEngine(options.espeak));
+    this.registerEngine(new PiperEngine(options.piper));
+  }
+
+  registerEngine(engine) {
+    this.engines.set(engine.name, engine);
+  }
+
+  async initialize() {
+    await fs.mkdir(this.audioDir, { recursive: true });
+
+    if (this.engineName === 'browser') {
+      console.log('🔈 [TTS SYNTH] Server-side synthesis disabled - browser sources will use speechSynthesis');
+      return;
+    }
+
+    const engine = this.engines.get(this.engineName);
+    if (!engine) {
+      console.log(`⚠️ [TTS SYNTH] Unknown TTS engine "${this.engineName}" - falling back to browser speech`);
+      return;
+    }
+
+    if (await engine.isAvailable()) {
+      this.activeEngine = engine;
+      console.log(`✅ [TTS SYNTH] Using ${engine.name} engine, audio stored in ${this.audioDir}`);
+    } else {
+      console.log(`⚠️ [TTS SYNTH] ${engine.name} engine is not available on this machine - falling back to browser speech`);
+    }
+  }
+
+  isAvailable() {
+    return !!this.activeEngine;
+  }
+
+  getEngineName() {
+    return this.activeEngine ? this.activeEngine.name : 'browser';
+  }
+
+  // Streamer IDs end up in file paths, so keep them to a safe character set
+  getStreamerDir(streamerId) {
+    return String(streamerId).replace(/[^A-Za-z0-9_-]/g, '_');
+  }
+
+  async synthesize(streamerId, requestId, text, voiceSettings = {}) {
+    if (!this.activeEngine) {
+      return null;
+    }
+
+    const engine = this.activeEngine;
+    const streamerDir = this.getStreamerDir(streamerId);
+    const fileName = `${this.getStreamerDir(requestId)}.${engine.extension}`;
+    const dirPath = path.join(this.audioDir, streamerDir);
+    const filePath = path.join(dirPath, fileName);
+
+    await fs.mkdir(dirPath, { recursive: true });
+
+    const startTime = Date.now();
+    await engine.synthesize(text, voiceSettings, filePath);
+    console.log(`🔊 [TTS SYNTH] Rendered ${fileName} with ${engine.name} in ${Date.now() - startTime}ms`);
+
+    await this.pruneAudio(streamerId);
+
+    return {
+      engine: engine.name,
+      url: `${this.publicPath}/${streamerDir}/${fileName}`,
+      mimeType: engine.mimeType,
+      // Engines that can't apply gain leave volume to the player
+      volume: engine.handlesVolume ? 1 : Math.min(1, parseFloat(voiceSettings.volume) || 1)
+    };
+  }
+
+  // Keep only the newest files for a streamer
+  async pruneAudio(streamerId) {
+    const dirPath = path.join(this.audioDir, this.getStreamerDir(streamerId));
+
+    try {
+      const fileNames = await fs.readdir(dirPath);
+      if (fileNames.length <= this.maxFilesPerStreamer) return;
+
+      const files = await Promise.all(fileNames.map(async (fileName) => {
+        const stat = await fs.stat(path.join(dirPath, fileName));
+        return { fileName, mtime: stat.mtimeMs };
+      }));
+
+      files.sort((a, b) => b.mtime - a.mtime);
+      for (const file of files.slice(this.maxFilesPerStreamer)) {
+        await fs.unlink(path.join(dirPath, file.fileName));
+      }
+    } catch (error) {
+      console.error(`❌ [TTS SYNTH] Error pruning audio for ${streamerId}:`, error);
+    }
+  }
+}
+
+module.exports = TTSSynthesisService;
@@ -1,65 +1,196 @@
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { PublicKey } = require('@solana/web3.js');
 const EventEmitter = require('events');
-
+const WebSocket = require('ws');
+const bs58 = require('bs58').default;
+const config = require('../../config');
+const RpcEndpointPool = require('./RpcEndpointPool');
+
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+// SPL Memo v2 and the older v1 program; wallets attach one of these to a transfer as its message
+const MEMO_PROGRAM_IDS = ['MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr', 'Memo1UhkJRfHyvLMcVucJwxXeuD6ALUKqrfmbw8'];
+
+// One monitor watches every streamer's wallet. A wallet shared by several streamers
+// is checked once and its donations name all of them (donation.streamerIds).
 class WalletMonitor extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
-    // Use multiple RPC endpoints for better reliability
-    this.rpcEndpoints = [
-      'https://mainnet.helius-rpc.com/?api-key=1c17dfcf-e870-42b1-af2c-b834175b0adc',
-      process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
-      'https://solana-api.projectserum.com'
-    ];
-    this.currentRpcIndex = 0;
-    this.connection = new Connection(
-      this.rpcEndpoints[this.currentRpcIndex],
-      'confirmed'
-    );
+    // Shared connections and request budget for all wallets (SOLANA_RPC_URLS, SOLANA_RPC_RPS)
+    this.commitment = options.commitment || config.solana.commitment;
+    this.rpcPool = options.rpcPool || new RpcEndpointPool({ endpoints: options.rpcEndpoints, commitment: this.commitment });
     
     this.monitoredWallets = new Map();
     this.monitoringInterval = null;
-    this.checkInterval = 15000; // Check every 15 seconds per wallet
-    this.requestDelay = 3000; // 3 seconds between requests
-    this.lastRequestTime = 0;
+    this.checkInterval = options.checkInterval || 15000; // Check every 15 seconds per wallet
+    this.checkRunning = false;
+
+    // Catch-up: page back to the last handled signature instead of only looking at the newest
+    this.databaseService = options.databaseService || null; // Persists the per-wallet cursor (wallet_cursors)
+    this.signaturePageSize = options.signaturePageSize || 100;
+    this.maxCatchUpPages = options.maxCatchUpPages || 10;
+    this.maxTransactionAge = options.maxTransactionAge || 60 * 60 * 1000; // Skip anything older than an hour
+    this.processedSignatures = new Set(); // Shared by a wallet and its token accounts so a transaction is handled once
+    this.processedSignatureLimit = 500;
+    this.maxTransactionAttempts = options.maxTransactionAttempts || 5; // Transient fetch failures before a signature is skipped
+    this.transactionAttempts = new Map(); // signature -> failed fetches so far
+
+    // Push mode: logsSubscribe over the RPC websocket, with the polling loop as fallback
+    this.detectionMode = options.detectionMode || config.solana.detectionMode;
+    this.wsEndpoint = options.wsEndpoint || config.solana.wsUrl;
+    this.reconcileInterval = options.reconcileInterval || 120000; // Safety poll while subscribed, in case a notification is missed
+    this.socket = null;
+    this.socketConnected = false;
+    this.socketRequestId = 0;
+    this.socketPingTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.pendingSubscriptions = new Map(); // JSON-RPC request id -> wallet address
+    this.subscriptions = new Map(); // subscription id -> wallet address
   }
 
-  // Start monitoring a wallet for incoming SOL donations
-  startMonitoring(walletAddress, streamerAddress) {
+  // Start monitoring a wallet for a streamer's SOL donations (and tokens of options.tokenMints)
+  startMonitoring(walletAddress, streamerId, options = {}) {
     // Validate wallet address format
     if (!walletAddress || typeof walletAddress !== 'string' || walletAddress.length < 32) {
       console.error(`❌ Invalid wallet address format: ${walletAddress}`);
       return;
     }
 
-    // Check if already monitoring this wallet
-    if (this.monitoredWallets.has(walletAddress)) {
+    // Already watched (maybe for another streamer) - just add this streamer
+    const existing = this.monitoredWallets.get(walletAddress);
+    if (existing) {
+      if (!existing.owner && streamerId) {
+        existing.streamers.set(streamerId, new Set(options.tokenMints || []));
+        this.updateTokenAccounts(walletAddress);
+      }
       return;
     }
 
     console.log(`🔍 Starting wallet monitoring for: ${walletAddress}`);
-    console.log(`   Streamer: ${streamerAddress}`);
+    console.log(`   Streamer: ${streamerId || options.owner}`);
     
-    // Initialize with current time to only process new transactions
+    // Where to resume is decided on the first check (persisted cursor or newest signature)
     const startTime = Date.now();
     
     this.monitoredWallets.set(walletAddress, {
-      streamerAddress: streamerAddress,
+      streamers: new Map(streamerId ? [[streamerId, new Set(options.tokenMints || [])]] : []), // streamerId -> accepted mints
       lastSignature: null,
+      cursorLoaded: false,
+      cursorStarted: false, // Set once the starting point is known, even when the wallet had no signatures yet
+      owner: options.owner || null, // Set on token accounts watched on behalf of a wallet
+      tokenMints: new Set(),
+      subscriptionId: null,
+      lastCheckTime: 0,
+      checking: null,
       isMonitoring: true,
       startTime: startTime
     });
 
+    if (this.detectionMode === 'subscribe') {
+      if (this.socketConnected) {
+        this.subscribeWallet(walletAddress);
+      } else {
+        this.connectSocket();
+      }
+    }
+
     // Start the monitoring loop if not already running
     if (!this.monitoringInterval) {
       this.startMonitoringLoop();
     }
+
+    if (!options.owner) {
+      this.updateTokenAccounts(walletAddress);
+    }
   }
 
-  // Stop monitoring a specific wallet
-  stopMonitoring(walletAddress) {
-    if (this.monitoredWallets.has(walletAddress)) {
+  // Change the token mints a streamer accepts on this wallet
+  setTokenMints(walletAddress, mints = [], streamerId) {
+    const walletData = this.monitoredWallets.get(walletAddress);
+    if (!walletData || walletData.owner || !walletData.streamers.has(streamerId)) {
+      return;
+    }
+    walletData.streamers.set(streamerId, new Set(mints));
+    this.updateTokenAccounts(walletAddress);
+  }
+
+  // Watch the wallet's associated token accounts for every mint its streamers accept. Token
+  // transfers only list the token accounts, so they never show up in the owner's signature history.
+  updateTokenAccounts(walletAddress) {
+    const walletData = this.monitoredWallets.get(walletAddress);
+    if (!walletData || walletData.owner) {
+      return;
+    }
+
+    const mints = new Set();
+    for (const streamerMints of walletData.streamers.values()) {
+      streamerMints.forEach(mint => mints.add(mint));
+    }
+
+    const tokenAccounts = new Map(); // token account -> mint
+    for (const mint of mints) {
+      try {
+        // pump.fun has minted under both token programs, so watch both possible accounts
+        for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+          tokenAccounts.set(this.getTokenAccountAddress(walletAddress, mint, programId), mint);
+        }
+      } catch (error) {
+        console.error(`❌ [WALLET MONITOR] Invalid token mint ${mint}:`, error.message);
+      }
+    }
+    walletData.tokenMints = new Set(tokenAccounts.values());
+
+    for (const [address, data] of Array.from(this.monitoredWallets.entries())) {
+      if (data.owner === walletAddress && !tokenAccounts.has(address)) {
+        this.stopMonitoring(address);
+      }
+    }
+    for (const [tokenAccount, mint] of tokenAccounts) {
+      if (!this.monitoredWallets.has(tokenAccount)) {
+        console.log(`🪙 [WALLET MONITOR] Watching ${mint} token account ${tokenAccount} for ${walletAddress}`);
+        this.startMonitoring(tokenAccount, null, { owner: walletAddress });
+      }
+    }
+  }
+
+  getTokenAccountAddress(walletAddress, mint, programId = TOKEN_PROGRAM_ID) {
+    const [address] = PublicKey.findProgramAddressSync(
+      [new PublicKey(walletAddress).toBuffer(), programId.toBuffer(), new PublicKey(mint).toBuffer()],
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+    return address.toBase58();
+  }
+
+  // Streamers a donation to this wallet (or one of its token accounts) belongs to
+  getStreamerIds(walletAddress) {
+    const walletData = this.monitoredWallets.get(walletAddress);
+    if (!walletData) return [];
+    if (walletData.owner) return this.getStreamerIds(walletData.owner);
+    return Array.from(walletData.streamers.keys());
+  }
+
+  // Stop monitoring a wallet for one streamer, or entirely when no streamer is given
+  stopMonitoring(walletAddress, streamerId) {
+    const walletData = this.monitoredWallets.get(walletAddress);
+    if (walletData && streamerId !== undefined && !walletData.owner) {
+      walletData.streamers.delete(streamerId);
+      if (walletData.streamers.size > 0) {
+        this.updateTokenAccounts(walletAddress);
+        return;
+      }
+    }
+
+    if (walletData) {
+      this.unsubscribeWallet(walletAddress);
       this.monitoredWallets.delete(walletAddress);
+
+      for (const [address, data] of Array.from(this.monitoredWallets.entries())) {
+        if (data.owner === walletAddress) {
+          this.stopMonitoring(address);
+        }
+      }
       console.log(`⏹️ Stopped monitoring wallet: ${walletAddress}`);
     }
     
@@ -69,6 +200,9 @@ class WalletMonitor extends EventEmitter {
       this.monitoringInterval = null;
       console.log('⏹️ Wallet monitoring stopped - no wallets to monitor');
     }
+    if (this.monitoredWallets.size === 0) {
+      this.closeSocket();
+    }
   }
 
   // Start the monitoring loop
@@ -85,46 +219,227 @@ class WalletMonitor extends EventEmitter {
     console.log(`✅ [WALLET MONITOR] Monitoring loop started with interval ${this.checkInterval}ms`);
   }
 
-  // Check for new transactions on all monitored wallets
+  // Check for new transactions on all monitored wallets. Pacing comes from the
+  // RPC pool's request budget, so a pass can outlast the interval - skip ticks until it's done.
   async checkForNewTransactions() {
-    for (const [walletAddress, walletData] of this.monitoredWallets.entries()) {
-      if (!walletData.isMonitoring) {
-        continue;
+    if (this.checkRunning) {
+      return;
+    }
+    this.checkRunning = true;
+
+    try {
+      for (const [walletAddress, walletData] of Array.from(this.monitoredWallets.entries())) {
+        if (!walletData.isMonitoring) {
+          continue;
+        }
+
+        // While notifications are arriving, polling is only a safety net
+        if (walletData.subscriptionId !== null && Date.now() - walletData.lastCheckTime < this.reconcileInterval) {
+          continue;
+        }
+        
+        try {
+          await this.runWalletCheck(walletAddress, walletData);
+        } catch (error) {
+          console.error(`❌ [WALLET MONITOR] Error checking wallet ${walletAddress}:`, error);
+        }
       }
+    } finally {
+      this.checkRunning = false;
+    }
+  }
+
+  // One check per wallet at a time; a notification that arrives mid-check queues another pass
+  async runWalletCheck(walletAddress, walletData) {
+    if (walletData.checking) {
+      walletData.recheck = true;
+      return walletData.checking;
+    }
+
+    walletData.checking = (async () => {
+      do {
+        walletData.recheck = false;
+        // Only a complete catch-up counts; otherwise the poll loop retries on its next tick
+        const caughtUp = await this.checkWalletTransactions(walletAddress, walletData);
+        walletData.lastCheckTime = caughtUp ? Date.now() : 0;
+      } while (walletData.recheck && this.monitoredWallets.get(walletAddress) === walletData);
+    })();
+
+    try {
+      await walletData.checking;
+    } finally {
+      walletData.checking = null;
+    }
+  }
+
+  // Websocket endpoint for subscriptions (SOLANA_WS_URL, or the active RPC URL over ws)
+  getWebSocketUrl() {
+    if (this.wsEndpoint) {
+      return this.wsEndpoint;
+    }
+    const url = new URL(this.rpcPool.getBestEndpoint().url);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    return url.toString();
+  }
+
+  connectSocket() {
+    if (this.socket) {
+      return;
+    }
+
+    const url = this.getWebSocketUrl();
+    console.log(`🔌 [WALLET MONITOR] Connecting to ${url} for transaction notifications`);
+    const socket = new WebSocket(url);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.socketConnected = true;
+      this.reconnectAttempts = 0;
+      console.log(`✅ [WALLET MONITOR] Websocket connected, subscribing to ${this.monitoredWallets.size} wallet(s)`);
 
-      // Check if this wallet is in retry backoff
-      if (walletData.nextRetryTime && Date.now() < walletData.nextRetryTime) {
-        continue;
+      // Public nodes drop idle sockets
+      this.socketPingTimer = setInterval(() => socket.ping(), 30000);
+
+      for (const walletAddress of this.monitoredWallets.keys()) {
+        this.subscribeWallet(walletAddress);
       }
-      
-      // Add delay between requests to avoid rate limiting
-      const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-      if (timeSinceLastRequest < this.requestDelay) {
-        const delayNeeded = this.requestDelay - timeSinceLastRequest;
-        console.log(`⏳ [WALLET MONITOR] Waiting ${delayNeeded}ms before next request to avoid rate limiting`);
-        await new Promise(resolve => setTimeout(resolve, delayNeeded));
+    });
+
+    socket.on('message', (data) => this.handleSocketMessage(data.toString()));
+
+    socket.on('error', (error) => {
+      console.error(`❌ [WALLET MONITOR] Websocket error: ${error.message}`);
+    });
+
+    socket.on('close', () => this.handleSocketClose(socket));
+  }
+
+  handleSocketClose(socket) {
+    if (this.socket !== socket) {
+      return; // Closed on purpose by closeSocket()
+    }
+
+    clearInterval(this.socketPingTimer);
+    this.socketPingTimer = null;
+    this.socket = null;
+    this.socketConnected = false;
+    this.pendingSubscriptions.clear();
+    this.subscriptions.clear();
+
+    // Every wallet goes back to the regular polling interval until we resubscribe
+    for (const walletData of this.monitoredWallets.values()) {
+      walletData.subscriptionId = null;
+    }
+
+    if (this.monitoredWallets.size === 0) {
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = Math.min(60000, 1000 * Math.pow(2, this.reconnectAttempts - 1)); // Max 1 minute
+    console.log(`⚠️ [WALLET MONITOR] Websocket closed, polling every ${this.checkInterval}ms and reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connectSocket();
+    }, delay);
+  }
+
+  closeSocket() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    clearInterval(this.socketPingTimer);
+    this.socketPingTimer = null;
+
+    const socket = this.socket;
+    this.socket = null;
+    this.socketConnected = false;
+    this.pendingSubscriptions.clear();
+    this.subscriptions.clear();
+    if (socket) {
+      socket.close();
+    }
+  }
+
+  sendSocketRequest(method, params) {
+    const id = ++this.socketRequestId;
+    this.socket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    return id;
+  }
+
+  subscribeWallet(walletAddress) {
+    if (!this.socketConnected) {
+      return;
+    }
+    const id = this.sendSocketRequest('logsSubscribe', [{ mentions: [walletAddress] }, { commitment: this.commitment }]);
+    this.pendingSubscriptions.set(id, walletAddress);
+  }
+
+  unsubscribeWallet(walletAddress) {
+    const walletData = this.monitoredWallets.get(walletAddress);
+    if (!walletData || walletData.subscriptionId === null) {
+      return;
+    }
+
+    this.subscriptions.delete(walletData.subscriptionId);
+    if (this.socketConnected) {
+      this.sendSocketRequest('logsUnsubscribe', [walletData.subscriptionId]);
+    }
+    walletData.subscriptionId = null;
+  }
+
+  handleSocketMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      console.log(`⚠️ [WALLET MONITOR] Ignoring malformed websocket message: ${raw.substring(0, 80)}`);
+      return;
+    }
+
+    // Reply to logsSubscribe: { id, result: subscriptionId }
+    if (message.id !== undefined && this.pendingSubscriptions.has(message.id)) {
+      const walletAddress = this.pendingSubscriptions.get(message.id);
+      this.pendingSubscriptions.delete(message.id);
+
+      const walletData = this.monitoredWallets.get(walletAddress);
+      if (!walletData) {
+        return;
       }
-      
-      try {
-        await this.checkWalletTransactions(walletAddress, walletData);
-        this.lastRequestTime = Date.now();
-      } catch (error) {
-        console.error(`❌ [WALLET MONITOR] Error checking wallet ${walletAddress}:`, error);
+      if (message.error) {
+        console.log(`⚠️ [WALLET MONITOR] logsSubscribe failed for ${walletAddress}, polling instead:`, message.error.message);
+        return;
       }
+
+      walletData.subscriptionId = message.result;
+      this.subscriptions.set(message.result, walletAddress);
+      console.log(`📡 [WALLET MONITOR] Subscribed to ${walletAddress} (subscription ${message.result})`);
+
+      // Pick up anything that landed while we weren't subscribed
+      this.runWalletCheck(walletAddress, walletData);
+      return;
     }
-  }
 
-  // Switch to next RPC endpoint
-  switchToNextRpc() {
-    this.currentRpcIndex = (this.currentRpcIndex + 1) % this.rpcEndpoints.length;
-    this.connection = new Connection(
-      this.rpcEndpoints[this.currentRpcIndex],
-      'confirmed'
-    );
-    console.log(`🔄 [WALLET MONITOR] Switched to RPC endpoint: ${this.rpcEndpoints[this.currentRpcIndex]}`);
+    if (message.method === 'logsNotification' && message.params) {
+      const { subscription, result } = message.params;
+      const walletAddress = this.subscriptions.get(subscription);
+      const walletData = walletAddress && this.monitoredWallets.get(walletAddress);
+      if (!walletData || !result || !result.value) {
+        return;
+      }
+
+      // Failed transactions can't be donations
+      if (result.value.err) {
+        return;
+      }
+
+      console.log(`⚡ [WALLET MONITOR] Notification for ${walletAddress}: ${result.value.signature}`);
+      this.runWalletCheck(walletAddress, walletData);
+    }
   }
 
-  // Check transactions for a specific wallet
+  // Check transactions for a specific wallet. Resolves true once caught up to the newest signature.
   async checkWalletTransactions(walletAddress, walletData) {
     try {
       
@@ -135,117 +450,176 @@ class WalletMonitor extends EventEmitter {
       }
 
       const publicKey = new PublicKey(walletAddress);
-      
-      // Get only the most recent signature to check for new transactions
-      const signatures = await this.connection.getSignaturesForAddress(publicKey, {
-        limit: 1, // Only get the most recent signature
-        commitment: 'confirmed'
-      });
 
-      if (signatures.length === 0) {
-        return;
+      // Resume from the persisted cursor so a restart neither replays nor loses donations
+      if (!walletData.cursorLoaded) {
+        await this.loadCursor(walletAddress, walletData);
       }
 
-      const latestSignature = signatures[0].signature;
-      
-      // If we don't have a last signature yet, just store this one and wait for next check
-      if (!walletData.lastSignature) {
-        walletData.lastSignature = latestSignature;
-        return;
+      // No cursor yet: remember the newest signature and only handle what lands after it.
+      // A wallet with no signatures at all starts from the beginning, so its first donation counts.
+      if (!walletData.lastSignature && !walletData.cursorStarted) {
+        const latest = await this.rpcPool.call('getSignaturesForAddress', connection => connection.getSignaturesForAddress(publicKey, {
+          limit: 1,
+          commitment: this.commitment
+        }));
+        walletData.cursorStarted = true;
+        if (latest.length > 0) {
+          await this.advanceCursor(walletAddress, walletData, latest[0]);
+          console.log(`🔍 [WALLET MONITOR] Starting cursor for ${walletAddress}: ${latest[0].signature}`);
+        } else {
+          console.log(`🔍 [WALLET MONITOR] No transactions yet for ${walletAddress}, watching from the start`);
+        }
+        return true;
       }
 
-      // If the latest signature is the same as our last one, no new transactions
-      if (latestSignature === walletData.lastSignature) {
-        return;
+      const signatures = await this.fetchSignaturesSince(publicKey, walletData.lastSignature);
+      if (signatures.length === 0) {
+        return true;
       }
 
-      // We have a new transaction! Check if it's recent enough before processing
-      const transactionTime = signatures[0].blockTime ? signatures[0].blockTime * 1000 : Date.now();
-      const now = Date.now();
-      const maxAge = 5 * 60 * 1000; // Only process transactions from the last 5 minutes
-      
-      console.log(`🆕 [WALLET MONITOR] New transaction detected for ${walletAddress}: ${latestSignature}`);
-      console.log(`🕐 [WALLET MONITOR] Transaction time: ${new Date(transactionTime).toISOString()}, Age: ${Math.round((now - transactionTime) / 1000)}s`);
-      
-      // Only process very recent transactions to avoid storage issues
-      if (transactionTime >= walletData.startTime && (now - transactionTime) <= maxAge) {
-        console.log(`✅ [WALLET MONITOR] Transaction is recent enough, processing...`);
-        await this.processTransaction(latestSignature, walletAddress, walletAddress);
-      } else {
-        console.log(`⏰ [WALLET MONITOR] Transaction too old (${Math.round((now - transactionTime) / 1000)}s), skipping to avoid storage issues...`);
+      console.log(`🆕 [WALLET MONITOR] ${signatures.length} new transaction(s) for ${walletAddress}`);
+
+      // Oldest first so donations are announced in the order they landed
+      for (const signatureInfo of signatures.reverse()) {
+        const signature = signatureInfo.signature;
+
+        if (this.processedSignatures.has(signature)) {
+          console.log(`⏭️ [WALLET MONITOR] Already processed ${signature}, skipping`);
+        } else if (signatureInfo.err) {
+          console.log(`⏭️ [WALLET MONITOR] Transaction ${signature} failed on chain, skipping`);
+        } else {
+          const transactionTime = signatureInfo.blockTime ? signatureInfo.blockTime * 1000 : Date.now();
+          const age = Date.now() - transactionTime;
+          console.log(`🕐 [WALLET MONITOR] Transaction ${signature} time: ${new Date(transactionTime).toISOString()}, Age: ${Math.round(age / 1000)}s`);
+
+          if (age > this.maxTransactionAge) {
+            console.log(`⏰ [WALLET MONITOR] Transaction too old (${Math.round(age / 1000)}s), skipping to avoid storage issues...`);
+          } else {
+            // Token accounts report donations to the wallet that owns them
+            const recipient = walletData.owner || walletAddress;
+            const handled = await this.processTransaction(signature, recipient, recipient);
+            if (!handled) {
+              // Couldn't fetch it right now - leave the cursor here and pick up from this signature next check
+              return;
+            }
+          }
+        }
+
+        await this.advanceCursor(walletAddress, walletData, signatureInfo);
       }
 
-      // Update our last signature
-      walletData.lastSignature = latestSignature;
-      console.log(`🔍 [WALLET MONITOR] Updated last signature for ${walletAddress}: ${latestSignature}`);
+      console.log(`🔍 [WALLET MONITOR] Updated last signature for ${walletAddress}: ${walletData.lastSignature}`);
+      return true;
 
     } catch (error) {
-      // Handle connection errors by switching RPC endpoints
-      if (error.message && (
-        error.message.includes('ENOTFOUND') || 
-        error.message.includes('ECONNREFUSED') ||
-        error.message.includes('timeout') ||
-        error.message.includes('fetch failed')
-      )) {
-        console.log(`⚠️ Connection error for wallet ${walletAddress}, switching RPC endpoint`);
-        this.switchToNextRpc();
+      // The pool has already scored the endpoint, so the next check goes to a healthier one
+      const kind = RpcEndpointPool.classifyError(error);
+      if (kind === 'rate_limit' || kind === 'cooldown') {
+        console.log(`⚠️ [WALLET MONITOR] No RPC budget for wallet ${walletAddress} right now, will retry next check`);
         return;
       }
-      
-      // Handle rate limiting gracefully with exponential backoff
-      if (error.message && error.message.includes('429')) {
-        console.log(`⚠️ [WALLET MONITOR] Rate limited for wallet ${walletAddress}, will retry later`);
-        console.log(`🔍 [WALLET MONITOR] Error details:`, error.message);
-        
-        // Implement exponential backoff
-        walletData.retryCount = (walletData.retryCount || 0) + 1;
-        const backoffDelay = Math.min(300000, 30000 * Math.pow(2, walletData.retryCount - 1)); // Max 5 minutes
-        walletData.nextRetryTime = Date.now() + backoffDelay;
-        
-        console.log(`⏰ [WALLET MONITOR] Backing off for ${backoffDelay}ms (attempt ${walletData.retryCount})`);
-        return;
-      }
-      
-      // Handle RPC storage errors with exponential backoff
-      if (error.code === -32019 || (error.message && error.message.includes('Failed to query long-term storage'))) {
-        console.log(`⚠️ RPC storage error for wallet ${walletAddress}, switching RPC endpoint`);
-        this.switchToNextRpc();
+      if (kind === 'connection' || kind === 'timeout' || kind === 'storage') {
+        console.log(`⚠️ [WALLET MONITOR] RPC ${kind} error for wallet ${walletAddress}, will retry next check`);
         return;
       }
       
-      // Reset retry count on successful operations
-      walletData.retryCount = 0;
-      walletData.nextRetryTime = null;
-      
       console.error(`Error checking transactions for ${walletAddress}:`, error);
     }
   }
 
-  // Process a transaction to check for SOL donations
+  // Every signature newer than `until`, newest first, paging back with `before`
+  async fetchSignaturesSince(publicKey, until) {
+    const signatures = [];
+    let before;
+
+    for (let page = 0; page < this.maxCatchUpPages; page++) {
+      const batch = await this.rpcPool.call('getSignaturesForAddress', connection => connection.getSignaturesForAddress(publicKey, {
+        until,
+        before,
+        limit: this.signaturePageSize,
+        commitment: this.commitment
+      }));
+      signatures.push(...batch);
+
+      if (batch.length < this.signaturePageSize) {
+        return signatures;
+      }
+      before = batch[batch.length - 1].signature;
+    }
+
+    console.log(`⚠️ [WALLET MONITOR] More than ${signatures.length} new signatures, only catching up on the newest ones`);
+    return signatures;
+  }
+
+  async loadCursor(walletAddress, walletData) {
+    if (this.databaseService) {
+      try {
+        const cursor = await this.databaseService.getWalletCursor(walletAddress);
+        if (cursor) {
+          walletData.lastSignature = cursor.last_signature;
+          console.log(`📍 [WALLET MONITOR] Resuming ${walletAddress} from ${cursor.last_signature}`);
+        }
+      } catch (error) {
+        console.error(`❌ [WALLET MONITOR] Error loading cursor for ${walletAddress}:`, error);
+      }
+    }
+    walletData.cursorLoaded = true;
+  }
+
+  async advanceCursor(walletAddress, walletData, signatureInfo) {
+    walletData.lastSignature = signatureInfo.signature;
+    this.processedSignatures.add(signatureInfo.signature);
+    if (this.processedSignatures.size > this.processedSignatureLimit) {
+      const oldest = this.processedSignatures.values().next().value;
+      this.processedSignatures.delete(oldest);
+    }
+
+    if (this.databaseService) {
+      try {
+        await this.databaseService.saveWalletCursor(walletAddress, signatureInfo.signature, signatureInfo.slot);
+      } catch (error) {
+        console.error(`❌ [WALLET MONITOR] Error saving cursor for ${walletAddress}:`, error);
+      }
+    }
+  }
+
+  // Process a transaction to check for SOL donations.
+  // Resolves true once the signature is done with (handled or skipped), false when it should be retried on the next check.
   async processTransaction(signature, walletAddress, streamerAddress) {
     try {
       console.log(`🔍 [WALLET MONITOR] Processing transaction ${signature} for wallet ${walletAddress} (streamer: ${streamerAddress})`);
       
       // Get transaction details with timeout and error handling
-      const transaction = await Promise.race([
-        this.connection.getTransaction(signature, {
-          commitment: 'confirmed',
-          maxSupportedTransactionVersion: 0
-        }),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Transaction fetch timeout')), 10000)
-        )
-      ]);
+      const transaction = await this.rpcPool.call('getTransaction', connection => {
+        let timeoutTimer;
+        return Promise.race([
+          connection.getTransaction(signature, {
+            commitment: this.commitment,
+            maxSupportedTransactionVersion: 0
+          }),
+          new Promise((_, reject) => {
+            timeoutTimer = setTimeout(() => reject(new Error('Transaction fetch timeout')), 10000);
+          })
+        ]).finally(() => clearTimeout(timeoutTimer));
+      });
 
+      // Not visible at this commitment yet
       if (!transaction) {
-        console.log(`❌ [WALLET MONITOR] Transaction not found for signature: ${signature}`);
-        return;
+        return this.giveUpOnTransaction(signature, 'not found');
       }
+      this.transactionAttempts.delete(signature);
 
       console.log(`📋 [WALLET MONITOR] Transaction found, analyzing...`);
       const accountKeys = transaction.transaction.message.accountKeys;
       const instructions = transaction.transaction.message.instructions;
 
+      // Donor's message, when the transfer carries a memo
+      const memo = this.extractMemo(transaction);
+      if (memo) {
+        console.log(`📝 [WALLET MONITOR] Memo on ${signature}: ${memo}`);
+      }
+
       // Use balance delta approach - much more robust
       const amount = this.calculateSOLAmount(transaction, null, walletAddress);
       console.log(`💰 [WALLET MONITOR] Calculated SOL amount: ${amount} SOL`);
@@ -284,56 +658,110 @@ class WalletMonitor extends EventEmitter {
         console.log(`   Transaction: ${signature}`);
         console.log(`   Timestamp: ${new Date().toISOString()}`);
 
-        // Get minimum donation requirement from TTS settings
-        const minDonation = 0.01; // Default minimum, should be fetched from streamer settings
-        console.log(`🔍 [WALLET MONITOR] Checking donation amount: ${amount} SOL >= ${minDonation} SOL`);
+        // Every transfer is reported; each streamer's own minimum is applied downstream
+        const donationData = {
+          from: sender.address,
+          to: streamerAddress,
+          amount: amount,
+          amountUnit: 'SOL',
+          memo,
+          transactionHash: signature,
+          timestamp: new Date().toISOString(),
+          streamerIds: this.getStreamerIds(walletAddress)
+        };
         
-        if (amount >= minDonation) {
-          console.log(`✅ [WALLET MONITOR] Donation amount ${amount} SOL meets minimum requirement of ${minDonation} SOL`);
-          
-          // Emit donation event
-          const donationData = {
-            from: sender.address,
-            to: streamerAddress,
-            amount: amount,
-            amountUnit: 'SOL',
-            transactionHash: signature,
-            timestamp: new Date().toISOString()
-          };
-          
-          console.log(`📡 [WALLET MONITOR] Emitting donation event:`, donationData);
-          this.emit('donation', donationData);
-        } else {
-          console.log(`❌ [WALLET MONITOR] Donation amount ${amount} SOL below minimum requirement of ${minDonation} SOL`);
-        }
+        console.log(`📡 [WALLET MONITOR] Emitting donation event:`, donationData);
+        this.emit('donation', donationData);
       } else {
         console.log(`❌ [WALLET MONITOR] No SOL amount detected in transaction (amount: ${amount})`);
       }
 
+      // Token donations in any of the mints this wallet accepts
+      const walletData = this.monitoredWallets.get(walletAddress);
+      const tokenTransfers = this.calculateTokenTransfers(transaction, walletAddress, walletData ? walletData.tokenMints : null);
+      for (const transfer of tokenTransfers) {
+        const donationData = {
+          from: transfer.from,
+          to: streamerAddress,
+          amount: transfer.tokenAmount,
+          amountUnit: 'TOKEN',
+          mint: transfer.mint,
+          tokenAmount: transfer.tokenAmount,
+          memo,
+          transactionHash: signature,
+          timestamp: new Date().toISOString(),
+          streamerIds: this.getStreamerIds(walletAddress)
+        };
+
+        console.log(`🪙 TOKEN DONATION DETECTED!`);
+        console.log(`   From: ${transfer.from}`);
+        console.log(`   To: ${streamerAddress}`);
+        console.log(`   Amount: ${transfer.tokenAmount} of ${transfer.mint}`);
+        console.log(`   Transaction: ${signature}`);
+        this.emit('donation', donationData);
+      }
+
+      return true;
+
     } catch (error) {
-      // Handle storage errors by skipping the transaction
-      if (error.code === -32019 || (error.message && error.message.includes('Failed to query long-term storage'))) {
-        console.log(`⚠️ Storage error processing transaction ${signature}, skipping (transaction too old)`);
-        return;
+      const kind = RpcEndpointPool.classifyError(error);
+
+      // No request went out, so it doesn't count as an attempt
+      if (kind === 'cooldown') {
+        console.log(`⚠️ [WALLET MONITOR] No RPC budget for transaction ${signature} right now, will retry later`);
+        return false;
       }
-      
-      // Handle timeout errors
-      if (error.message && error.message.includes('timeout')) {
-        console.log(`⚠️ Timeout processing transaction ${signature}, skipping`);
-        return;
+
+      // Rate limited, unreachable or slow - worth a few more tries
+      if (kind === 'rate_limit' || kind === 'connection' || kind === 'timeout') {
+        return this.giveUpOnTransaction(signature, kind);
       }
-      
-      // Handle rate limiting gracefully with exponential backoff
-      if (error.message && error.message.includes('429')) {
-        console.log(`⚠️ [WALLET MONITOR] Rate limited processing transaction ${signature}, will retry later`);
-        console.log(`🔍 [WALLET MONITOR] Transaction error details:`, error.message);
-        
-        // Switch to next RPC endpoint on rate limiting
-        this.switchToNextRpc();
-        return;
+
+      // Storage misses and errors in the transaction itself fail the same way every time - skip it
+      this.transactionAttempts.delete(signature);
+      if (kind === 'storage') {
+        console.log(`⚠️ [WALLET MONITOR] Storage error processing transaction ${signature}, skipping (transaction too old)`);
+      } else {
+        console.error(`❌ [WALLET MONITOR] Error processing transaction ${signature}, skipping:`, error);
+      }
+      return true;
+    }
+  }
+
+  // Count a failed fetch. Resolves true once the signature has used up its attempts and should be
+  // skipped, so one transaction that never comes back can't hold up every later donation to the wallet.
+  giveUpOnTransaction(signature, reason) {
+    const attempts = (this.transactionAttempts.get(signature) || 0) + 1;
+    if (attempts >= this.maxTransactionAttempts) {
+      this.transactionAttempts.delete(signature);
+      console.error(`❌ [WALLET MONITOR] Giving up on transaction ${signature} after ${attempts} attempts (${reason}), skipping`);
+      return true;
+    }
+
+    this.transactionAttempts.set(signature, attempts);
+    console.log(`⚠️ [WALLET MONITOR] Couldn't fetch transaction ${signature} (${reason}), will retry later (attempt ${attempts}/${this.maxTransactionAttempts})`);
+    return false;
+  }
+
+  // Text of the transaction's SPL Memo instructions, or null. Works for legacy and v0
+  // messages (memo programs are never loaded from lookup tables, so the static keys suffice).
+  extractMemo(transaction) {
+    const message = transaction.transaction.message;
+    const keys = (message.staticAccountKeys || message.accountKeys || []).map(key => key.toString());
+    const instructions = message.compiledInstructions || message.instructions || [];
+
+    const memos = [];
+    for (const instruction of instructions) {
+      if (!MEMO_PROGRAM_IDS.includes(keys[instruction.programIdIndex])) continue;
+      try {
+        const data = typeof instruction.data === 'string' ? bs58.decode(instruction.data) : instruction.data;
+        const text = Buffer.from(data).toString('utf8').replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+        if (text) memos.push(text);
+      } catch (error) {
+        console.log(`⚠️ [WALLET MONITOR] Couldn't decode memo instruction: ${error.message}`);
       }
-      console.error(`❌ [WALLET MONITOR] Error processing transaction ${signature}:`, error);
     }
+    return memos.length > 0 ? memos.join(' ') : null;
   }
 
   // Calculate SOL amount from transaction
@@ -373,12 +801,75 @@ class WalletMonitor extends EventEmitter {
     }
   }
 
+  // Tokens of the given mints the wallet received, from pre/post token balances
+  calculateTokenTransfers(transaction, walletAddress, mints) {
+    try {
+      const { meta, transaction: tx } = transaction;
+      if (!meta || !mints || mints.size === 0) {
+        return [];
+      }
+
+      // Net raw-amount change per token account (a missing pre balance means the account was just created)
+      const changes = new Map(); // account index -> { mint, owner, decimals, delta }
+      for (const balance of meta.postTokenBalances || []) {
+        changes.set(balance.accountIndex, {
+          mint: balance.mint,
+          owner: balance.owner,
+          decimals: balance.uiTokenAmount.decimals,
+          delta: BigInt(balance.uiTokenAmount.amount)
+        });
+      }
+      for (const balance of meta.preTokenBalances || []) {
+        const change = changes.get(balance.accountIndex) || {
+          mint: balance.mint,
+          owner: balance.owner,
+          decimals: balance.uiTokenAmount.decimals,
+          delta: 0n
+        };
+        change.delta -= BigInt(balance.uiTokenAmount.amount);
+        changes.set(balance.accountIndex, change);
+      }
+
+      const transfers = [];
+      for (const mint of mints) {
+        const mintChanges = Array.from(changes.values()).filter(change => change.mint === mint);
+        const received = mintChanges
+          .filter(change => change.owner === walletAddress)
+          .reduce((total, change) => total + change.delta, 0n);
+        if (received <= 0n) {
+          continue;
+        }
+
+        // Whoever lost the most of this token sent it; otherwise assume the fee payer
+        const sender = mintChanges
+          .filter(change => change.owner !== walletAddress && change.delta < 0n)
+          .sort((a, b) => (a.delta < b.delta ? -1 : 1))[0];
+        const feePayer = tx.message.accountKeys[0];
+
+        transfers.push({
+          mint,
+          tokenAmount: Number(received) / Math.pow(10, mintChanges[0].decimals),
+          from: sender ? sender.owner : (feePayer ? feePayer.toBase58() : 'unknown')
+        });
+      }
+      return transfers;
+    } catch (error) {
+      console.error('Error calculating token transfers:', error);
+      return [];
+    }
+  }
+
   // Get monitoring status
   getStatus() {
     return {
       isMonitoring: this.monitoredWallets.size > 0,
-      monitoredWallets: Array.from(this.monitoredWallets.keys()),
-      checkInterval: this.checkInterval
+      monitoredWallets: Array.from(this.monitoredWallets.entries()).filter(([, data]) => !data.owner).map(([address]) => address),
+      tokenAccounts: Array.from(this.monitoredWallets.values()).filter(data => data.owner).length,
+      checkInterval: this.checkInterval,
+      detectionMode: this.detectionMode,
+      websocketConnected: this.socketConnected,
+      subscribedWallets: this.subscriptions.size,
+      rpcEndpoints: this.rpcPool.getStatus()
     };
   }
 
@@ -388,6 +879,7 @@ class WalletMonitor extends EventEmitter {
       clearInterval(this.monitoringInterval);
       this.monitoringInterval = null;
     }
+    this.closeSocket();
     this.monitoredWallets.clear();
     console.log('⏹️ Wallet monitoring stopped');
   }
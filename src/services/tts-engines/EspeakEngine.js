@@ -0,0 +1,63 @@
+const SynthesisEngine = require('./SynthesisEngine');
+
+// Dashboard voice names -> espeak voice variants
+const VOICE_MAP = {
+  'en-US-Standard-A': 'en-us+f3',
+  'en-US-Standard-B': 'en-us+m3',
+  'en-US-Standard-C': 'en-us+f2',
+  'en-US-Standard-D': 'en-us+m1',
+  'en-US-Wavenet-A': 'en-us+f4',
+  'en-US-Wavenet-B': 'en-us+m4',
+  'en-US-Wavenet-C': 'en-us+f5',
+  'en-US-Wavenet-D': 'en-us+m2'
+};
+
+class EspeakEngine extends SynthesisEngine {
+  constructor(options = {}) {
+    super('espeak', options);
+    this.binary = options.binary || 'espeak-ng';
+    this.defaultVoice = options.defaultVoice || 'en-us';
+    this.baseWordsPerMinute = 175;
+  }
+
+  async isAvailable() {
+    try {
+      await this.runProcess(this.binary, ['--version']);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  resolveVoice(voice) {
+    if (VOICE_MAP[voice]) {
+      return VOICE_MAP[voice];
+    }
+
+    // Allow raw espeak voice names like "en-gb" or "en-us+m2"
+    if (voice && /^[a-z]{2,3}(-[a-z0-9]+)?(\+[a-z0-9]+)?$/i.test(voice)) {
+      return voice.toLowerCase();
+    }
+
+    return this.defaultVoice;
+  }
+
+  async synthesize(text, voiceSettings, outputPath) {
+    const rate = parseFloat(voiceSettings.rate) || 1.0;
+    const pitch = parseFloat(voiceSettings.pitch) || 1.0;
+    const volume = parseFloat(voiceSettings.volume) || 1.0;
+
+    const args = [
+      '-v', this.resolveVoice(voiceSettings.voice),
+      '-s', String(Math.round(this.clamp(this.baseWordsPerMinute * rate, 80, 450))),
+      '-p', String(Math.round(this.clamp(50 * pitch, 0, 99))),
+      '-a', String(Math.round(this.clamp(100 * volume, 0, 200))),
+      '-w', outputPath,
+      '--stdin'
+    ];
+
+    await this.runProcess(this.binary, args, text);
+  }
+}
+
+module.exports = EspeakEngine;
@@ -0,0 +1,65 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SynthesisEngine = require('./SynthesisEngine');
+
+// Piper voices are ONNX models; a dashboard voice name maps to <modelDir>/<voice>.onnx
+// when that model exists, otherwise the default model is used.
+// Piper has no pitch or gain control, so volume is left to the browser source.
+class PiperEngine extends SynthesisEngine {
+  constructor(options = {}) {
+    super('piper', options);
+    this.binary = options.binary || 'piper';
+    this.modelDir = options.modelDir || './data/piper-models';
+    this.defaultModel = options.defaultModel || 'en_US-lessac-medium';
+    this.handlesVolume = false;
+  }
+
+  modelPath(name) {
+    return path.resolve(this.modelDir, `${name}.onnx`);
+  }
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async isAvailable() {
+    if (!(await this.fileExists(this.modelPath(this.defaultModel)))) {
+      return false;
+    }
+
+    try {
+      await this.runProcess(this.binary, ['--help']);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async resolveModel(voice) {
+    if (voice && /^[\w.-]+$/.test(voice) && await this.fileExists(this.modelPath(voice))) {
+      return this.modelPath(voice);
+    }
+    return this.modelPath(this.defaultModel);
+  }
+
+  async synthesize(text, voiceSettings, outputPath) {
+    const rate = parseFloat(voiceSettings.rate) || 1.0;
+
+    const args = [
+      '--model', await this.resolveModel(voiceSettings.voice),
+      '--output_file', outputPath,
+      // Piper speaks slower as length_scale grows
+      '--length_scale', (1 / this.clamp(rate, 0.1, 3.0)).toFixed(2)
+    ];
+
+    // Piper reads one utterance per line from stdin
+    await this.runProcess(this.binary, args, text.replace(/\s*\n\s*/g, ' ') + '\n');
+  }
+}
+
+module.exports = PiperEngine;
@@ -0,0 +1,72 @@
+const { spawn } = require('child_process');
+
+// Base class for server-side TTS engines.
+// Engines render text to an audio file on disk; TTSSynthesisService takes care
+// of where the file lives and how the browser source reaches it.
+class SynthesisEngine {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.extension = options.extension || 'wav';
+    this.mimeType = options.mimeType || 'audio/wav';
+    this.timeout = options.timeout || 30000;
+    this.handlesVolume = true; // false when the browser source has to apply volume itself
+  }
+
+  // Whether the engine can run on this machine (binary installed, model present, ...)
+  async isAvailable() {
+    return false;
+  }
+
+  // Render `text` to `outputPath` using the streamer's voice settings ({ voice, rate, pitch, volume })
+  async synthesize(text, voiceSettings, outputPath) {
+    throw new Error(`${this.name} engine does not implement synthesize()`);
+  }
+
+  clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  // Run an engine binary without a shell so chat text can never be interpreted as arguments
+  runProcess(binary, args, input = null) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(binary, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${this.name} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk.toString();
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      // An engine that exits before reading its input breaks the pipe (EPIPE)
+      child.stdin.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`${this.name} stopped reading its input: ${error.message}`));
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${this.name} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+
+      if (input !== null) {
+        child.stdin.write(input);
+      }
+      child.stdin.end();
+    });
+  }
+}
+
+module.exports = SynthesisEngine;
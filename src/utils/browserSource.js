@@ -6,11 +6,16 @@
  * via environment variables for production deployment.
  */
 
+const crypto = require('crypto');
+const config = require('../../config');
+
+let defaultSecretWarned = false;
+
 /**
  * Generate a browser source URL for a given streamer and type
  * @param {Object} req - Express request object
  * @param {string} streamerId - The streamer ID
- * @param {string} type - The browser source type ('tts' or 'poll')
+ * @param {string} type - The browser source type ('tts', 'poll', 'alerts' or 'goal')
  * @returns {string} The complete browser source URL
  */
 function generateBrowserSourceUrl(req, streamerId, type) {
@@ -46,7 +51,51 @@ function getBaseUrl(req) {
  * @returns {string} The TTS browser source URL
  */
 function getTTSBrowserSourceUrl(req, streamerId) {
-  return generateBrowserSourceUrl(req, streamerId, 'tts');
+  return withBrowserSourceKey(generateBrowserSourceUrl(req, streamerId, 'tts'), streamerId);
+}
+
+/**
+ * Add the streamer's browser source key to a TTS browser source URL, when there is one
+ * @param {string} url - The TTS browser source URL
+ * @param {string} streamerId - The streamer ID
+ * @returns {string} The URL with its key
+ */
+function withBrowserSourceKey(url, streamerId) {
+  const key = getBrowserSourceKey(streamerId);
+  return key ? `${url}?key=${key}` : url;
+}
+
+/**
+ * Get the key that lets a TTS browser source report playback for its streamer.
+ * Without SESSION_SECRET there is no key: the fallback secret is in the public source,
+ * so anyone could compute it.
+ * @param {string} streamerId - The streamer ID
+ * @returns {string|null} The browser source key, or null while SESSION_SECRET is unset
+ */
+function getBrowserSourceKey(streamerId) {
+  if (!process.env.SESSION_SECRET) {
+    if (!defaultSecretWarned) {
+      defaultSecretWarned = true;
+      console.error('⚠️ SESSION_SECRET is not set - TTS browser sources get no key and their playback reports are ignored. Set SESSION_SECRET and re-copy the TTS browser source URL.');
+    }
+    return null;
+  }
+  return crypto.createHmac('sha256', config.server.sessionSecret).update(`browser-source:${streamerId}`).digest('hex');
+}
+
+/**
+ * Check a key sent by a browser source against the streamer's own
+ * @param {string} streamerId - The streamer ID
+ * @param {string} key - The key the browser source sent
+ * @returns {boolean} Whether the key belongs to the streamer
+ */
+function isValidBrowserSourceKey(streamerId, key) {
+  if (typeof key !== 'string' || !key) return false;
+  const expectedKey = getBrowserSourceKey(streamerId);
+  if (!expectedKey) return false;
+  const expected = Buffer.from(expectedKey);
+  const given = Buffer.from(key);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
 }
 
 /**
@@ -59,6 +108,36 @@ function getPollBrowserSourceUrl(req, streamerId) {
   return generateBrowserSourceUrl(req, streamerId, 'poll');
 }
 
+/**
+ * Generate donation alerts browser source URL
+ * @param {Object} req - Express request object
+ * @param {string} streamerId - The streamer ID
+ * @returns {string} The alerts browser source URL
+ */
+function getAlertsBrowserSourceUrl(req, streamerId) {
+  return generateBrowserSourceUrl(req, streamerId, 'alerts');
+}
+
+/**
+ * Generate donation goal browser source URL
+ * @param {Object} req - Express request object
+ * @param {string} streamerId - The streamer ID
+ * @returns {string} The goal browser source URL
+ */
+function getGoalBrowserSourceUrl(req, streamerId) {
+  return generateBrowserSourceUrl(req, streamerId, 'goal');
+}
+
+/**
+ * Generate the donor leaderboard data URL (JSON, for overlays that poll it)
+ * @param {Object} req - Express request object
+ * @param {string} streamerId - The streamer ID
+ * @returns {string} The leaderboard data URL
+ */
+function getLeaderboardDataUrl(req, streamerId) {
+  return `${getBaseUrl(req)}/api/browser-source/leaderboard/${streamerId}/data`;
+}
+
 /**
  * Generate all browser source URLs for a streamer
  * @param {Object} req - Express request object
@@ -68,7 +147,9 @@ function getPollBrowserSourceUrl(req, streamerId) {
 function getAllBrowserSourceUrls(req, streamerId) {
   return {
     tts: getTTSBrowserSourceUrl(req, streamerId),
-    poll: getPollBrowserSourceUrl(req, streamerId)
+    poll: getPollBrowserSourceUrl(req, streamerId),
+    alerts: getAlertsBrowserSourceUrl(req, streamerId),
+    goal: getGoalBrowserSourceUrl(req, streamerId)
   };
 }
 
@@ -76,6 +157,12 @@ module.exports = {
   generateBrowserSourceUrl,
   getBaseUrl,
   getTTSBrowserSourceUrl,
+  withBrowserSourceKey,
+  getBrowserSourceKey,
+  isValidBrowserSourceKey,
   getPollBrowserSourceUrl,
+  getAlertsBrowserSourceUrl,
+  getGoalBrowserSourceUrl,
+  getLeaderboardDataUrl,
   getAllBrowserSourceUrls
 };
@@ -0,0 +1,45 @@
+/**
+ * CSV Export Helpers
+ *
+ * Small helpers for turning rows of plain objects into CSV downloads.
+ */
+
+/**
+ * Escape a single value for CSV output
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Prevent spreadsheet formula injection from chat text
+  const safeText = typeof value === 'string' && /^[=+\-@]/.test(text) ? `'${text}` : text;
+
+  if (/[",\r\n]/.test(safeText)) {
+    return `"${safeText.replace(/"/g, '""')}"`;
+  }
+  return safeText;
+}
+
+/**
+ * Convert rows to a CSV string
+ * @param {Object[]} rows - Rows to export
+ * @param {string[]} columns - Keys to include, in order (used as the header row)
+ * @returns {string} The CSV document
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
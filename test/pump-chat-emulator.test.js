@@ -0,0 +1,89 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const PumpChatEmulator = require('../src/dev/PumpChatEmulator');
+const { PumpChatClient } = require('../src/lib/viri-pump-client');
+
+const ROOM = 'EmuLatorTestMint1111111111111111111111pump';
+
+// Connect a PumpChatClient to the emulator and wait until it has joined the room
+async function connectClient(emulator, options = {}) {
+  const client = new PumpChatClient({ roomId: ROOM, username: 'sendkit-bot', url: emulator.getUrl(), ...options });
+  client.maxReconnectAttempts = 0;
+  const joined = once(emulator, 'joinRoom', { signal: AbortSignal.timeout(5000) });
+  client.connect();
+  await joined;
+  return client;
+}
+
+async function disconnectClient(emulator, client) {
+  const closed = once(emulator, 'disconnect', { signal: AbortSignal.timeout(5000) });
+  client.disconnect();
+  await closed;
+}
+
+describe('PumpChatEmulator', () => {
+  let emulator;
+
+  before(async () => {
+    // The chat client logs every frame; keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    emulator = new PumpChatEmulator({ port: 0 });
+    await emulator.start();
+  });
+
+  after(async () => {
+    await emulator.stop();
+    mock.restoreAll();
+  });
+
+  it('delivers posted messages to a joined client', async () => {
+    const client = await connectClient(emulator);
+    try {
+      const received = once(client, 'message', { signal: AbortSignal.timeout(5000) });
+      emulator.postMessage(ROOM, { username: 'viewer1', message: '!tts hello from the emulator' });
+      const [message] = await received;
+
+      assert.equal(message.roomId, ROOM);
+      assert.equal(message.username, 'viewer1');
+      assert.equal(message.message, '!tts hello from the emulator');
+      assert.equal(message.userAddress, emulator.fakeAddress('viewer1'));
+    } finally {
+      await disconnectClient(emulator, client);
+    }
+  });
+
+  it('plays back a script in order', async () => {
+    const client = await connectClient(emulator);
+    try {
+      const received = [];
+      client.on('message', (message) => received.push(message.message));
+      await emulator.runScript([
+        { username: 'viewer1', message: 'first' },
+        { delay: 20, username: 'viewer2', message: 'second' }
+      ], { roomId: ROOM });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.deepEqual(received, ['first', 'second']);
+    } finally {
+      await disconnectClient(emulator, client);
+    }
+  });
+
+  it('accepts messages the client sends to the room', async () => {
+    const client = await connectClient(emulator);
+    try {
+      const sent = once(emulator, 'sendMessage', { signal: AbortSignal.timeout(5000) });
+      client.sendMessage('Poll started');
+      const [message] = await sent;
+
+      assert.equal(message.roomId, ROOM);
+      assert.equal(message.username, 'sendkit-bot');
+      assert.equal(message.message, 'Poll started');
+      assert.equal(emulator.rooms.get(ROOM).at(-1).message, 'Poll started');
+    } finally {
+      await disconnectClient(emulator, client);
+    }
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { once } = require('events');
+const { Keypair } = require('@solana/web3.js');
+const SolanaRpcStub = require('../src/dev/SolanaRpcStub');
+const { buildTransferFixture, buildTokenTransferFixture } = SolanaRpcStub;
+const WalletMonitor = require('../src/services/WalletMonitor');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'src', 'dev', 'fixtures', 'solana');
+const MINT = '95Ege3uFfTi6YgvcYALLFyDdUTHXMS2gcCdLtD9RBqaa';
+
+function randomAddress() {
+  return Keypair.generate().publicKey.toBase58();
+}
+
+function nextDonation(monitor) {
+  return once(monitor, 'donation', { signal: AbortSignal.timeout(10000) }).then(([donation]) => donation);
+}
+
+describe('SolanaRpcStub with WalletMonitor', () => {
+  let stub;
+  let monitor;
+
+  before(async () => {
+    // The monitor logs every check; keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    stub = new SolanaRpcStub({ port: 0, fixturesDir: FIXTURES_DIR });
+    await stub.start();
+  });
+
+  afterEach(() => {
+    if (monitor) {
+      monitor.stop();
+      monitor = null;
+    }
+    stub.clearFailures();
+  });
+
+  after(async () => {
+    await stub.stop();
+    mock.restoreAll();
+  });
+
+  // Start watching a wallet and wait until its first check is done, so a transaction
+  // landed afterwards is new rather than part of the wallet's history
+  async function watch(wallet, options = {}, monitorOptions = {}) {
+    monitor = new WalletMonitor({ rpcEndpoints: [stub.getUrl()], checkInterval: 100, detectionMode: 'poll', ...monitorOptions });
+    let checks = 0;
+    const secondCheck = new Promise((resolve) => {
+      const onRequest = ({ method, params }) => {
+        if (method === 'getSignaturesForAddress' && params[0] === wallet && ++checks === 2) {
+          stub.off('request', onRequest);
+          resolve();
+        }
+      };
+      stub.on('request', onRequest);
+    });
+    monitor.startMonitoring(wallet, 'streamer-1', options);
+    await secondCheck;
+    return monitor;
+  }
+
+  it('serves landed fixtures over JSON-RPC', async () => {
+    const signature = stub.replay('sol-donation', { signature: 'StubFixtureSignature1111111111111111111111111' });
+    const response = await fetch(stub.getUrl(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getTransaction', params: [signature, { encoding: 'json' }] })
+    });
+    const body = await response.json();
+
+    assert.equal(body.id, 1);
+    assert.equal(body.result.transaction.signatures[0], signature);
+  });
+
+  it('reports a SOL donation and its memo', async () => {
+    const streamer = randomAddress();
+    const donor = randomAddress();
+    const donation = nextDonation(await watch(streamer));
+    const signature = stub.landTransaction(buildTransferFixture({ from: donor, to: streamer, lamports: 0.25e9, memo: 'gm from the stub' }));
+
+    const received = await donation;
+    assert.equal(received.transactionHash, signature);
+    assert.equal(received.from, donor);
+    assert.equal(received.amountUnit, 'SOL');
+    assert.equal(received.amount, 0.25);
+    assert.equal(received.memo, 'gm from the stub');
+    assert.deepEqual(received.streamerIds, ['streamer-1']);
+  });
+
+  it('reports a donation in an accepted token', async () => {
+    const streamer = randomAddress();
+    const donor = randomAddress();
+    const donation = nextDonation(await watch(streamer, { tokenMints: [MINT] }));
+    stub.landTransaction(buildTokenTransferFixture({ from: donor, to: streamer, mint: MINT, amount: 25000 * 1e6 }));
+
+    const received = await donation;
+    assert.equal(received.amountUnit, 'TOKEN');
+    assert.equal(received.mint, MINT);
+    assert.equal(received.tokenAmount, 25000);
+  });
+
+  it('retries a transaction the RPC failed to return', async () => {
+    const streamer = randomAddress();
+    const donor = randomAddress();
+    const donation = nextDonation(await watch(streamer));
+    stub.injectFailure('getTransaction', 'not_found', 2);
+    const signature = stub.landTransaction(buildTransferFixture({ from: donor, to: streamer, lamports: 0.1e9 }));
+
+    const received = await donation;
+    assert.equal(received.transactionHash, signature);
+    assert.equal(stub.requests.filter(request => request.method === 'getTransaction' && request.failure).length, 2);
+  });
+
+  it('gives up on a transaction that is never found and reports the next donation', async () => {
+    const streamer = randomAddress();
+    const donor = randomAddress();
+    const donation = nextDonation(await watch(streamer, {}, { maxTransactionAttempts: 3 }));
+    stub.injectFailure('getTransaction', 'not_found', 3);
+    const missing = stub.landTransaction(buildTransferFixture({ from: donor, to: streamer, lamports: 0.2e9 }));
+    const signature = stub.landTransaction(buildTransferFixture({ from: donor, to: streamer, lamports: 0.3e9 }));
+
+    const received = await donation;
+    assert.equal(received.transactionHash, signature);
+    assert.equal(received.amount, 0.3);
+    assert.equal(stub.requests.filter(request => request.method === 'getTransaction' && request.params[0] === missing).length, 3);
+  });
+
+  it('skips a transaction missing from long-term storage and reports the next donation', async () => {
+    const streamer = randomAddress();
+    const donor = randomAddress();
+    const donation = nextDonation(await watch(streamer));
+    stub.injectFailure('getTransaction', 'storage', 1);
+    const pruned = stub.landTransaction(buildTransferFixture({ from: donor, to: streamer, lamports: 0.2e9 }));
+    const signature = stub.landTransaction(buildTransferFixture({ from: donor, to: streamer, lamports: 0.3e9 }));
+
+    const received = await donation;
+    assert.equal(received.transactionHash, signature);
+    assert.equal(stub.requests.filter(request => request.method === 'getTransaction' && request.params[0] === pruned).length, 1);
+  });
+
+  it('skips a transaction it cannot read and reports the next donation', async () => {
+    const streamer = randomAddress();
+    const donor = randomAddress();
+    const donation = nextDonation(await watch(streamer));
+    const broken = buildTransferFixture({ from: donor, to: streamer, lamports: 0.2e9 });
+    broken.meta.preBalances = null;
+    const unreadable = stub.landTransaction(broken);
+    const signature = stub.landTransaction(buildTransferFixture({ from: donor, to: streamer, lamports: 0.3e9 }));
+
+    const received = await donation;
+    assert.equal(received.transactionHash, signature);
+    assert.equal(stub.requests.filter(request => request.method === 'getTransaction' && request.params[0] === unreadable).length, 1);
+  });
+});